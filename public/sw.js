@@ -0,0 +1,21 @@
+// public/sw.js
+// Service worker for reminder notifications (see src/lib/notifications.js).
+// Reminders are computed in the page; this worker only displays them and
+// opens the event when a notification is clicked.
+
+self.addEventListener('install', () => self.skipWaiting())
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()))
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close()
+  const url = event.notification.data?.url || '/feed'
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+    const existing = windows.find(w => new URL(w.url).origin === self.location.origin)
+    if (existing) {
+      await existing.focus()
+      return existing.navigate(url)
+    }
+    return self.clients.openWindow(url)
+  })())
+})
@@ -0,0 +1,136 @@
+// server/accounts.js  (ESM)
+// Accounts and sessions. Passwords are scrypt-hashed with a per-user salt. A
+// session is a random token handed to the browser as an httpOnly cookie and
+// stored here only as a SHA-256 hash, so the sessions file can't be replayed.
+// Each account also holds the data browsers sync (see src/lib/syncMerge.js).
+// Reviewers (who moderate submissions) are the accounts whose email is listed
+// in REVIEWER_EMAILS (comma-separated).
+
+import crypto from 'node:crypto'
+import { promisify } from 'node:util'
+import { jsonTable, dataFile } from './db.js'
+import { emptySyncState, mergeSyncState } from '../src/lib/syncMerge.js'
+
+const scrypt = promisify(crypto.scrypt)
+const KEY_LENGTH = 64
+const MIN_PASSWORD = 8
+
+export const SESSION_COOKIE = 'ubc_session'
+export const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000
+
+const users = jsonTable(() => dataFile('users.json'), () => ({})) // id -> user
+const sessions = jsonTable(() => dataFile('sessions.json'), () => ({})) // sha256(token) -> { userId, expiresAt }
+
+/** SHA-256 hex of a secret token, for storing tokens that can't be replayed from the file */
+export const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex')
+export const normalizeEmail = email => String(email || '').trim().toLowerCase()
+
+/** Error message for bad credentials in a request body, or null */
+export function validateCredentials({ email, password } = {}) {
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizeEmail(email))) return 'Enter a valid email address'
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD) {
+    return `Password must be at least ${MIN_PASSWORD} characters`
+  }
+  return null
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16)
+  const key = await scrypt(password, salt, KEY_LENGTH)
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`
+}
+
+async function checkPassword(password, stored) {
+  const [scheme, saltHex, keyHex] = String(stored || '').split('$')
+  if (scheme !== 'scrypt' || !saltHex || !keyHex) return false
+  const key = await scrypt(password, Buffer.from(saltHex, 'hex'), KEY_LENGTH)
+  return crypto.timingSafeEqual(key, Buffer.from(keyHex, 'hex'))
+}
+
+function findByEmail(email) {
+  const target = normalizeEmail(email)
+  return Object.values(users.get()).find(u => u.email === target) || null
+}
+
+/** Whether the user may moderate submissions (REVIEWER_EMAILS, read per call so .env applies) */
+export function isReviewer(user) {
+  if (!user) return false
+  const emails = String(process.env.REVIEWER_EMAILS || '').split(',').map(normalizeEmail).filter(Boolean)
+  return emails.includes(user.email)
+}
+
+/** What clients get to see of a user */
+export function publicUser(user) {
+  return { id: user.id, email: user.email, createdAt: user.createdAt, reviewer: isReviewer(user) }
+}
+
+/** New account, or null if the email is taken */
+export async function createUser(email, password) {
+  if (findByEmail(email)) return null
+  const passwordHash = await hashPassword(password)
+  // check again: a registration for the same email may have finished while we hashed
+  if (findByEmail(email)) return null
+  const user = {
+    id: 'user_' + crypto.randomUUID(),
+    email: normalizeEmail(email),
+    passwordHash,
+    createdAt: new Date().toISOString(),
+    data: emptySyncState()
+  }
+  users.get()[user.id] = user
+  users.save()
+  return user
+}
+
+/** The user for an email/password pair, or null */
+export async function authenticate(email, password) {
+  const user = findByEmail(email)
+  if (!user) {
+    // hash anyway so unknown emails take as long as wrong passwords
+    await hashPassword(String(password || ''))
+    return null
+  }
+  return (await checkPassword(String(password || ''), user.passwordHash)) ? user : null
+}
+
+/** Start a session; returns the token for the cookie */
+export function createSession(userId) {
+  const token = crypto.randomBytes(32).toString('hex')
+  sessions.get()[hashToken(token)] = { userId, expiresAt: Date.now() + SESSION_TTL_MS }
+  sessions.save()
+  return token
+}
+
+/** The signed-in user for a session token, or null (expired sessions are dropped) */
+export function userForSession(token) {
+  if (!token) return null
+  const all = sessions.get()
+  const key = hashToken(token)
+  const session = all[key]
+  if (!session) return null
+  if (session.expiresAt < Date.now()) {
+    delete all[key]
+    sessions.save()
+    return null
+  }
+  return users.get()[session.userId] || null
+}
+
+export function endSession(token) {
+  if (!token) return
+  const all = sessions.get()
+  const key = hashToken(token)
+  if (!all[key]) return
+  delete all[key]
+  sessions.save()
+}
+
+/** Merge a browser's (sanitized) sync state into the account; returns the merged state */
+export function syncUserData(userId, state) {
+  const user = users.get()[userId]
+  if (!user) return null
+  user.data = mergeSyncState(user.data, state)
+  user.syncedAt = new Date().toISOString()
+  users.save()
+  return user.data
+}
@@ -0,0 +1,131 @@
+// server/ai/providers.js  (ESM)
+// LLM providers for /api/ai/summarize. Pick one with AI_PROVIDER:
+// - "openai"            : OpenAI API (OPENAI_API_KEY, OPENAI_MODEL)
+// - "openai-compatible" : any OpenAI-style server, e.g. a local model (AI_BASE_URL, AI_API_KEY, AI_MODEL)
+// - "heuristic"         : deterministic, offline; reuses src/lib/ai.js (default when no key is set)
+
+import OpenAI from 'openai'
+import { summarize, suggestTags, detectLevel } from '../../src/lib/ai.js'
+import { SUMMARY_SCHEMA } from './schema.js'
+
+const SUMMARY_MAX = SUMMARY_SCHEMA.properties.summary.maxLength
+
+/* Keywords structured-output endpoints understand; the rest are enforced by validate() */
+const MODEL_KEYWORDS = ['type', 'properties', 'required', 'additionalProperties', 'items', 'enum']
+
+function toModelSchema(schema) {
+  if (Array.isArray(schema) || typeof schema !== 'object' || schema === null) return schema
+  const out = {}
+  for (const key of MODEL_KEYWORDS) {
+    if (!(key in schema)) continue
+    if (key === 'properties') {
+      out.properties = Object.fromEntries(Object.entries(schema.properties).map(([k, v]) => [k, toModelSchema(v)]))
+    } else if (key === 'items') {
+      out.items = toModelSchema(schema.items)
+    } else {
+      out[key] = schema[key]
+    }
+  }
+  return out
+}
+
+function buildPrompt({ title, description, start, location, url, organizer }) {
+  return `
+You are helping a student events platform. Given the raw event text, return a compact JSON object with:
+- summary: 2–3 sentence plain-English summary (no newlines, at most ${SUMMARY_MAX} characters)
+- tags: 3–6 lowercase tags (e.g., ai, data science, swe, entrepreneurship, finance, security, robotics, sustainability, health, law, education, quantum, game dev, bioengineering, ux)
+- level: one of "beginner", "intermediate", or "advanced"
+- missing: array of any missing fields from: ["date", "location", "link", "organizer"]
+
+Event Title: ${title}
+Event Description: ${description}
+Start: ${start || '(not given)'}
+Location: ${location || '(not given)'}
+Link: ${url || '(not given)'}
+Organizer: ${organizer || '(not given)'}
+`.trim()
+}
+
+/* Cut at a word boundary so the summary fits the schema (long text may have no sentence breaks) */
+function clip(text, max = SUMMARY_MAX) {
+  if (text.length <= max) return text
+  const cut = text.slice(0, max - 1)
+  const space = cut.lastIndexOf(' ')
+  return `${(space > max / 2 ? cut.slice(0, space) : cut).trimEnd()}…`
+}
+
+/* Fields the form already filled in don't count as missing */
+function missingFields(input) {
+  const missing = []
+  if (!input.start) missing.push('date')
+  if (!String(input.location || '').trim()) missing.push('location')
+  if (!String(input.url || '').trim()) missing.push('link')
+  if (!String(input.organizer || '').trim()) missing.push('organizer')
+  return missing
+}
+
+function openAIProvider({ name, apiKey, baseURL, model }) {
+  const client = new OpenAI({ apiKey, baseURL })
+  return {
+    name,
+    model,
+    async summarize(input) {
+      const resp = await client.responses.create({
+        model,
+        input: buildPrompt(input),
+        temperature: 0.3,
+        text: {
+          format: {
+            type: 'json_schema',
+            name: 'event_summary',
+            schema: toModelSchema(SUMMARY_SCHEMA),
+            strict: true
+          }
+        }
+      })
+      const data = JSON.parse(resp.output_text || '')
+      // the form knows what it filled in; don't let the model guess
+      return { ...data, missing: missingFields(input) }
+    }
+  }
+}
+
+function heuristicProvider() {
+  return {
+    name: 'heuristic',
+    model: 'src/lib/ai.js',
+    async summarize(input) {
+      const text = `${input.title || ''}. ${input.description || ''}`
+      const tags = suggestTags(text)
+      return {
+        summary: clip(summarize(input.description || input.title || '')),
+        tags: tags.length ? tags : ['event'],
+        level: detectLevel(text),
+        missing: missingFields(input)
+      }
+    }
+  }
+}
+
+/** Build the provider selected by the environment. */
+export function createProvider(env = process.env) {
+  const openaiKey = env.OPENAI_API_KEY || ''
+  const kind = (env.AI_PROVIDER || (openaiKey ? 'openai' : 'heuristic')).toLowerCase()
+
+  if (kind === 'openai') {
+    if (!openaiKey) throw new Error('AI_PROVIDER=openai needs OPENAI_API_KEY')
+    return openAIProvider({ name: 'openai', apiKey: openaiKey, model: env.OPENAI_MODEL || 'gpt-4o-mini' })
+  }
+  if (kind === 'openai-compatible') {
+    if (!env.AI_BASE_URL) throw new Error('AI_PROVIDER=openai-compatible needs AI_BASE_URL')
+    return openAIProvider({
+      name: 'openai-compatible',
+      // local servers usually ignore the key, but the SDK requires one
+      apiKey: env.AI_API_KEY || 'local',
+      baseURL: env.AI_BASE_URL,
+      model: env.AI_MODEL || 'local-model'
+    })
+  }
+  if (kind === 'heuristic') return heuristicProvider()
+  throw new Error(`Unknown AI_PROVIDER "${kind}"`)
+}
@@ -0,0 +1,71 @@
+// server/ai/schema.js  (ESM)
+// JSON schema for the summarize response, plus a small validator covering the
+// subset of JSON Schema we use (so the same schema can be sent to the model).
+
+export const SUMMARY_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['summary', 'tags', 'level', 'missing'],
+  properties: {
+    summary: { type: 'string', minLength: 1, maxLength: 600 },
+    tags: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 8,
+      uniqueItems: true,
+      items: { type: 'string', minLength: 1, pattern: '^[a-z0-9][a-z0-9 /&.+-]*$' }
+    },
+    level: { type: 'string', enum: ['beginner', 'intermediate', 'advanced'] },
+    missing: {
+      type: 'array',
+      uniqueItems: true,
+      items: { type: 'string', enum: ['date', 'location', 'link', 'organizer'] }
+    }
+  }
+}
+
+function typeOf(v) {
+  if (Array.isArray(v)) return 'array'
+  if (v === null) return 'null'
+  return typeof v
+}
+
+/**
+ * Validate a value against a schema.
+ * Returns a list of human-readable errors (empty when valid).
+ */
+export function validate(schema, value, path = '$') {
+  const errors = []
+  const actual = typeOf(value)
+  if (schema.type && schema.type !== actual) {
+    return [`${path}: expected ${schema.type}, got ${actual}`]
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`)
+  }
+
+  if (actual === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) errors.push(`${path}: too short`)
+    if (schema.maxLength != null && value.length > schema.maxLength) errors.push(`${path}: too long`)
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path}: does not match ${schema.pattern}`)
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${path}: needs at least ${schema.minItems} items`)
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${path}: allows at most ${schema.maxItems} items`)
+    if (schema.uniqueItems && new Set(value.map(v => JSON.stringify(v))).size !== value.length) errors.push(`${path}: items must be unique`)
+    if (schema.items) value.forEach((v, i) => errors.push(...validate(schema.items, v, `${path}[${i}]`)))
+  }
+
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key}: is required`)
+    }
+    for (const [key, v] of Object.entries(value)) {
+      const sub = schema.properties?.[key]
+      if (sub) errors.push(...validate(sub, v, `${path}.${key}`))
+      else if (schema.additionalProperties === false) errors.push(`${path}.${key}: is not allowed`)
+    }
+  }
+  return errors
+}
@@ -0,0 +1,44 @@
+// server/db.js  (ESM)
+// Tiny JSON-file tables. Each table is loaded once, kept in memory and flushed
+// to its file on every write, so data survives restarts.
+
+import fs from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+
+// Resolved lazily so DATA_DIR from .env (loaded after imports) is honoured
+export const dataFile = (name) => path.join(process.env.DATA_DIR || path.join(__dirname, 'data'), name)
+
+/**
+ * Open a table backed by a JSON file.
+ * - file: () => absolute path
+ * - seed: () => initial value when the file doesn't exist yet
+ * Returns { get, save }: get() returns the live value; mutate it, then save().
+ */
+export function jsonTable(file, seed = () => []) {
+  let value = null
+
+  function save() {
+    const target = file()
+    fs.mkdirSync(path.dirname(target), { recursive: true })
+    // Write to a temp file then rename, so a crash never leaves a half-written file
+    const tmp = `${target}.tmp`
+    fs.writeFileSync(tmp, JSON.stringify(value, null, 2))
+    fs.renameSync(tmp, target)
+  }
+
+  function get() {
+    if (value) return value
+    try {
+      value = JSON.parse(fs.readFileSync(file(), 'utf8'))
+    } catch {
+      value = seed()
+      save()
+    }
+    return value
+  }
+
+  return { get, save }
+}
@@ -0,0 +1,137 @@
+// server/engagement.js  (ESM)
+// Engagement counters behind Trending. For every event we keep, per actor, when
+// they last opened it, saved it, added it to a calendar or shared it. An actor
+// counts once per kind, so reloads and Save/Unsave toggling don't pump the
+// numbers. Actors are accounts, or for opens and shares also the id a browser
+// sends ('anon:<id>'); anyone can mint those, so:
+// - saves and calendar adds (the heavier weights, and "N going") only count
+//   for signed-in accounts;
+// - each event keeps at most MAX_ANONYMOUS_ACTORS anonymous actors, dropping
+//   the least recently active, so made-up ids can neither grow the file
+//   without bound nor add more than that to a score.
+//
+// Scores decay with a half-life: each engagement is worth its weight now and
+// half that HALF_LIFE_DAYS later, so what people engage with this week
+// outranks what was popular last month.
+
+import { jsonTable, dataFile } from './db.js'
+import { facultyMatch } from '../src/lib/faculties.js'
+import { canonicalInterests } from '../src/lib/taxonomy.js'
+import { isPast } from '../src/lib/lifecycle.js'
+
+export const ENGAGEMENT_KINDS = ['open', 'save', 'unsave', 'calendar', 'share']
+export const ACCOUNT_KINDS = ['save', 'unsave', 'calendar'] // not counted for anonymous actors
+export const HALF_LIFE_DAYS = 3
+export const MAX_ANONYMOUS_ACTORS = 200
+const WEIGHTS = { open: 1, share: 2, save: 3, calendar: 4 }
+const DAY_MS = 24 * 60 * 60 * 1000
+// older engagement adds under 1% to a score; opens/shares/calendar adds past it are dropped
+const MAX_AGE_MS = 21 * DAY_MS
+
+const table = jsonTable(() => dataFile('engagement.json'), () => ({})) // eventId -> { actor -> { kind: epoch ms } }
+
+/** Actor key for a request: the account, else the browser's id (null without either) */
+export function actorFor(user, clientId) {
+  if (user) return user.id
+  const id = String(clientId || '').slice(0, 100)
+  return id ? `anon:${id}` : null
+}
+
+// Account ids are 'user_…' (server/accounts.js); anything else is a browser id
+const isAnonymous = actor => !actor.startsWith('user_')
+
+/* Make room for one more anonymous actor by dropping the least recently active */
+function capAnonymous(byActor) {
+  const anonymous = Object.entries(byActor).filter(([actor]) => isAnonymous(actor))
+  if (anonymous.length < MAX_ANONYMOUS_ACTORS) return
+  const lastSeen = kinds => Math.max(0, ...Object.values(kinds))
+  anonymous
+    .sort((a, b) => lastSeen(a[1]) - lastSeen(b[1]))
+    .slice(0, anonymous.length - MAX_ANONYMOUS_ACTORS + 1)
+    .forEach(([actor]) => delete byActor[actor])
+}
+
+/* Drop stale entries (a current save is kept: it's still counted in `saves`) */
+function prune(byActor, now) {
+  for (const [actor, kinds] of Object.entries(byActor)) {
+    for (const [kind, at] of Object.entries(kinds)) {
+      if (kind !== 'save' && now - at > MAX_AGE_MS) delete kinds[kind]
+    }
+    if (!Object.keys(kinds).length) delete byActor[actor]
+  }
+}
+
+/**
+ * Record that `actor` (see actorFor) engaged with an event. 'unsave' takes back
+ * their save. Returns false when nothing changed (e.g. a second save from the
+ * same actor, or a save from an anonymous one).
+ */
+export function recordEngagement(eventId, actor, kind, now = Date.now()) {
+  if (isAnonymous(actor) && ACCOUNT_KINDS.includes(kind)) return false
+  const all = table.get()
+  const byActor = all[eventId] || (all[eventId] = {})
+  if (!byActor[actor] && isAnonymous(actor)) capAnonymous(byActor)
+  const mine = byActor[actor] || (byActor[actor] = {})
+  if (kind === 'unsave') {
+    if (!mine.save) return false
+    delete mine.save
+  } else if (kind === 'save') {
+    if (mine.save) return false
+    mine.save = now
+  } else {
+    mine[kind] = now
+  }
+  prune(byActor, now)
+  if (!Object.keys(byActor).length) delete all[eventId]
+  table.save()
+  return true
+}
+
+/** { score, counts: { open, save, calendar, share } } for one event; counts are distinct actors */
+export function engagementFor(eventId, now = Date.now()) {
+  const counts = { open: 0, save: 0, calendar: 0, share: 0 }
+  let score = 0
+  for (const [actor, kinds] of Object.entries(table.get()[String(eventId)] || {})) {
+    for (const [kind, at] of Object.entries(kinds)) {
+      if (!(kind in counts)) continue
+      if (isAnonymous(actor) && ACCOUNT_KINDS.includes(kind)) continue // recorded before saves needed an account
+      counts[kind]++
+      const age = Math.max(0, now - at)
+      if (age <= MAX_AGE_MS) score += WEIGHTS[kind] * Math.pow(0.5, age / (HALF_LIFE_DAYS * DAY_MS))
+    }
+  }
+  return { score: Math.round(score * 100) / 100, counts }
+}
+
+/**
+ * Trending among (normalized) events, highest score first: [{ id, score, counts }].
+ * Ended events are left out. `faculty` narrows to events open to that faculty;
+ * `interests` to events tagged with at least one of them.
+ */
+export function trendingEvents(events, { faculty = null, interests = [], limit = 10, now = Date.now() } = {}) {
+  const wanted = canonicalInterests(interests)
+  return events
+    .filter(e => !isPast(e, now))
+    .filter(e => !faculty || facultyMatch(e.faculties, faculty) != null)
+    .filter(e => !wanted.length || (e.tags || []).some(t => wanted.includes(t)))
+    .map(e => ({ id: String(e.id), ...engagementFor(e.id, now) }))
+    .filter(t => t.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+}
+
+/**
+ * Stats for every (normalized) event with engagement: { [id]: { score, counts, rank } }.
+ * rank is the position in the overall trending order (0 = top), null for ended events.
+ */
+export function engagementSummary(events, now = Date.now()) {
+  const all = table.get()
+  const rank = new Map(trendingEvents(events, { limit: Infinity, now }).map((t, i) => [t.id, i]))
+  const out = {}
+  for (const e of events) {
+    const id = String(e.id)
+    if (!all[id]) continue
+    out[id] = { ...engagementFor(id, now), rank: rank.has(id) ? rank.get(id) : null }
+  }
+  return out
+}
@@ -2,15 +2,51 @@
 import express from 'express'
 import cors from 'cors'
 import dotenv from 'dotenv'
-import OpenAI from 'openai'
+import crypto from 'node:crypto'
+import { fileURLToPath } from 'node:url'
+import { createProvider } from './ai/providers.js'
+import { SUMMARY_SCHEMA, validate } from './ai/schema.js'
+import { listEvents, getEvent, createEvent, updateEvent, deleteEvent } from './store.js'
+import {
+  createSubscription,
+  getSubscription,
+  updateSubscription,
+  eventsForSubscription
+} from './subscriptions.js'
+import {
+  SESSION_COOKIE,
+  SESSION_TTL_MS,
+  validateCredentials,
+  createUser,
+  authenticate,
+  createSession,
+  userForSession,
+  endSession,
+  publicUser,
+  isReviewer,
+  hashToken,
+  syncUserData
+} from './accounts.js'
+import {
+  ENGAGEMENT_KINDS,
+  ACCOUNT_KINDS,
+  HALF_LIFE_DAYS,
+  actorFor,
+  recordEngagement,
+  trendingEvents,
+  engagementSummary
+} from './engagement.js'
+import { sanitizeSyncState } from '../src/lib/syncMerge.js'
+import { facultyCode } from '../src/lib/faculties.js'
+import { normalizeEvent } from '../src/lib/data.js'
+import { buildCalendar } from '../src/lib/calendar.js'
 
 dotenv.config()
 
 const PORT = Number(process.env.PORT || 8787)
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY || ''
-const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini'
+const provider = createProvider()
 
-const app = express()
+export const app = express()
 app.use(cors())
 app.use(express.json({ limit: '1mb' }))
 
@@ -29,74 +65,313 @@ app.get('/', (_req, res) => {
 app.get('/api/health', (_req, res) => {
   res.json({
     ok: true,
-    hasKey: Boolean(OPENAI_API_KEY),
-    model: OPENAI_MODEL,
-    envLoaded: Boolean(process.env.OPENAI_API_KEY)
+    provider: provider.name,
+    model: provider.model,
+    envLoaded: Boolean(process.env.OPENAI_API_KEY || process.env.AI_PROVIDER)
   })
 })
 
-// AI summarize endpoint
+// Events CRUD (file-backed store, see server/store.js)
+function validateEvent(body, { partial = false } = {}) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return 'Body must be a JSON object'
+  if (!partial && !String(body.title || body.name || '').trim()) return 'Event needs a title'
+  if (body.start && !Number.isFinite(new Date(body.start).getTime())) return 'Invalid start date'
+  if (body.end && !Number.isFinite(new Date(body.end).getTime())) return 'Invalid end date'
+  if (body.deadline && !Number.isFinite(new Date(body.deadline).getTime())) return 'Invalid deadline'
+  if (body.tags && !Array.isArray(body.tags)) return 'tags must be an array'
+  if (body.capacity != null && !(Number(body.capacity) > 0)) return 'capacity must be a positive number'
+  if (body.recurrence && !['daily', 'weekly', 'monthly'].includes(body.recurrence.freq)) {
+    return 'recurrence.freq must be daily, weekly or monthly'
+  }
+  return null
+}
+
+// Moderation: submissions start as 'pending'; records without a status (the
+// seeded public/events.json) count as approved. Only approved events are public.
+// Edits to an approved event wait in `revision` until a reviewer approves them,
+// so the approved version stays live (and in people's saves) meanwhile.
+// Reviewers are signed-in accounts listed in REVIEWER_EMAILS (server/accounts.js).
+const STATUSES = ['pending', 'approved', 'rejected', 'changes-requested']
+const REVIEW_ACTIONS = { approve: 'approved', reject: 'rejected', 'request-changes': 'changes-requested' }
+const statusOf = (e) => e.status || 'approved'
+
+// Ownership: a submission records its submitter's account (if signed in) and
+// the hash of an owner token that POST returns once. Only a request with that
+// session or token (X-Owner-Token header) may edit or delete the event.
+const OWNER_HEADER = 'x-owner-token'
+
+function isOwner(req, evt) {
+  const user = userForSession(sessionToken(req))
+  if (user && evt.ownerId && user.id === evt.ownerId) return true
+  const token = req.get(OWNER_HEADER)
+  return Boolean(token && evt.ownerTokenHash && hashToken(token) === evt.ownerTokenHash)
+}
+
+/* Clients can't set moderation, ownership or bookkeeping fields directly */
+function stripModeration(body) {
+  const {
+    status: _status, reviewNotes: _notes, revision: _revision,
+    pendingEdit: _pendingEdit, editedFields: _editedFields,
+    ownerId: _ownerId, ownerTokenHash: _hash, ownerToken: _token,
+    id: _id, createdAt: _createdAt, updatedAt: _updatedAt,
+    ...rest
+  } = body
+  return rest
+}
+
+/* What everyone sees: no owner details; an edit awaiting review is only flagged, not shown */
+function publicEvent(record) {
+  const { revision, ownerId: _ownerId, ownerTokenHash: _hash, ...evt } = record
+  return revision ? { ...evt, pendingEdit: true } : evt
+}
+
+/* What reviewers see in the queue: an edited live event as it would look once approved */
+function queuedEvent(evt) {
+  const { revision, ...live } = evt
+  if (!revision) return publicEvent(evt)
+  return { ...publicEvent(live), ...revision, status: 'pending', editedFields: Object.keys(revision) }
+}
+
+const inQueue = (e, status) => statusOf(e) === status || (status === 'pending' && Boolean(e.revision))
+
+// GET /api/events?status=pending|approved|rejected|changes-requested|all (default approved)
+// Anything but approved is the review queue, for reviewers only.
+app.get('/api/events', (req, res) => {
+  const status = String(req.query.status || 'approved')
+  if (status !== 'all' && !STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Unknown status "${status}"` })
+  }
+  const list = listEvents()
+  if (status === 'approved') return res.json(list.filter(e => statusOf(e) === 'approved').map(publicEvent))
+  requireReviewer(req, res, () => {
+    res.json(status === 'all' ? list.map(publicEvent) : list.filter(e => inQueue(e, status)).map(queuedEvent))
+  })
+})
+
+// GET /api/events/:id: approved events for everyone; other submissions only for
+// their submitter and reviewers (everyone else gets 404, as if it didn't exist)
+app.get('/api/events/:id', (req, res) => {
+  const evt = getEvent(req.params.id)
+  const visible = evt && (
+    statusOf(evt) === 'approved' || isOwner(req, evt) || isReviewer(userForSession(sessionToken(req)))
+  )
+  if (!visible) return res.status(404).json({ error: 'Event not found' })
+  res.json(publicEvent(evt))
+})
+
+// The response carries ownerToken; it isn't stored, so it can't be recovered later
+app.post('/api/events', (req, res) => {
+  const problem = validateEvent(req.body)
+  if (problem) return res.status(400).json({ error: problem })
+  const user = userForSession(sessionToken(req))
+  const ownerToken = crypto.randomBytes(24).toString('hex')
+  const evt = createEvent({
+    ...stripModeration(req.body),
+    status: 'pending',
+    reviewNotes: [],
+    ownerId: user?.id,
+    ownerTokenHash: hashToken(ownerToken)
+  })
+  res.status(201).json({ ...publicEvent(evt), ownerToken })
+})
+
+app.put('/api/events/:id', (req, res) => {
+  const problem = validateEvent(req.body, { partial: true })
+  if (problem) return res.status(400).json({ error: problem })
+  const prev = getEvent(req.params.id)
+  if (!prev) return res.status(404).json({ error: 'Event not found' })
+  if (!isOwner(req, prev)) return res.status(403).json({ error: 'Only the submitter can edit this event' })
+  const patch = stripModeration(req.body)
+  // A live event keeps its approved version until the edit is reviewed
+  if (statusOf(prev) === 'approved') {
+    return res.json(publicEvent(updateEvent(prev.id, { revision: { ...prev.revision, ...patch } }, { touch: false })))
+  }
+  // Fixing a submission that was sent back puts it in the queue again
+  if (statusOf(prev) === 'changes-requested') patch.status = 'pending'
+  res.json(publicEvent(updateEvent(prev.id, patch)))
+})
+
+app.delete('/api/events/:id', (req, res) => {
+  const evt = getEvent(req.params.id)
+  if (!evt) return res.status(404).json({ error: 'Event not found' })
+  if (!isOwner(req, evt)) return res.status(403).json({ error: 'Only the submitter can delete this event' })
+  deleteEvent(evt.id)
+  res.status(204).end()
+})
+
+// POST /api/events/:id/review  { action: approve|reject|request-changes, note? }
+// For an edit to a live event, approve publishes the edit; the other actions
+// drop it and leave the live version as it was.
+app.post('/api/events/:id/review', requireReviewer, (req, res) => {
+  const { action, note = '' } = req.body || {}
+  const status = REVIEW_ACTIONS[action]
+  if (!status) return res.status(400).json({ error: 'action must be approve, reject or request-changes' })
+  const prev = getEvent(req.params.id)
+  if (!prev) return res.status(404).json({ error: 'Event not found' })
+  const entry = { action, note: String(note).trim(), at: new Date().toISOString() }
+  const reviewNotes = [...(prev.reviewNotes || []), prev.revision ? { ...entry, edit: true } : entry]
+  if (prev.revision) {
+    const approved = status === 'approved'
+    const evt = updateEvent(prev.id, { ...(approved ? prev.revision : {}), revision: undefined, reviewNotes }, { touch: approved })
+    return res.json(publicEvent(evt))
+  }
+  res.json(publicEvent(updateEvent(prev.id, { status, reviewNotes }, { touch: false })))
+})
+
+// Accounts (server/accounts.js). The session token travels in an httpOnly
+// cookie; the Vite dev proxy keeps /api same-origin so the browser sends it.
+function sessionToken(req) {
+  const pair = String(req.headers.cookie || '')
+    .split(';')
+    .map(s => s.trim())
+    .find(s => s.startsWith(`${SESSION_COOKIE}=`))
+  return pair ? decodeURIComponent(pair.slice(SESSION_COOKIE.length + 1)) : null
+}
+
+function startSession(res, user) {
+  res.cookie(SESSION_COOKIE, createSession(user.id), {
+    httpOnly: true,
+    sameSite: 'lax',
+    maxAge: SESSION_TTL_MS,
+    path: '/'
+  })
+}
+
+/* Sets req.user or answers 401 */
+function requireUser(req, res, next) {
+  req.user = userForSession(sessionToken(req))
+  if (!req.user) return res.status(401).json({ error: 'Not signed in' })
+  next()
+}
+
+/* Like requireUser, and answers 403 unless the user is a reviewer */
+function requireReviewer(req, res, next) {
+  requireUser(req, res, () => {
+    if (!isReviewer(req.user)) return res.status(403).json({ error: 'Only reviewers can do that' })
+    next()
+  })
+}
+
+app.post('/api/account/register', async (req, res) => {
+  const { email, password } = req.body || {}
+  const problem = validateCredentials({ email, password })
+  if (problem) return res.status(400).json({ error: problem })
+  const user = await createUser(email, password)
+  if (!user) return res.status(409).json({ error: 'An account with that email already exists' })
+  startSession(res, user)
+  res.status(201).json({ user: publicUser(user) })
+})
+
+app.post('/api/account/login', async (req, res) => {
+  const { email, password } = req.body || {}
+  const user = await authenticate(email, password)
+  if (!user) return res.status(401).json({ error: 'Wrong email or password' })
+  startSession(res, user)
+  res.json({ user: publicUser(user) })
+})
+
+app.post('/api/account/logout', (req, res) => {
+  endSession(sessionToken(req))
+  res.clearCookie(SESSION_COOKIE, { path: '/' })
+  res.status(204).end()
+})
+
+app.get('/api/account', requireUser, (req, res) => {
+  res.json({ user: publicUser(req.user) })
+})
+
+// POST /api/account/sync  body: this browser's sync state -> the merged state
+app.post('/api/account/sync', requireUser, (req, res) => {
+  const state = sanitizeSyncState(req.body)
+  if (!state) return res.status(400).json({ error: 'Body must be a sync state object' })
+  res.json(syncUserData(req.user.id, state))
+})
+
+// Engagement and Trending (server/engagement.js). Signed-in users count as
+// their account, so the same person on two devices counts once. Saves and
+// calendar adds need an account; opens and shares also count per browser.
+// POST /api/events/:id/engagement  { kind: open|save|unsave|calendar|share, clientId }
+app.post('/api/events/:id/engagement', (req, res) => {
+  const { kind, clientId } = req.body || {}
+  if (!ENGAGEMENT_KINDS.includes(kind)) {
+    return res.status(400).json({ error: `kind must be one of ${ENGAGEMENT_KINDS.join(', ')}` })
+  }
+  const evt = getEvent(req.params.id)
+  if (!evt || statusOf(evt) !== 'approved') return res.status(404).json({ error: 'Event not found' })
+  const user = userForSession(sessionToken(req))
+  if (!user && ACCOUNT_KINDS.includes(kind)) {
+    return res.status(401).json({ error: 'Sign in to count saves and calendar adds' })
+  }
+  const actor = actorFor(user, clientId)
+  if (!actor) return res.status(400).json({ error: 'clientId is required' })
+  recordEngagement(String(evt.id), actor, kind)
+  res.status(204).end()
+})
+
+// GET /api/trending?faculty=sci&interest=ai&interest=design&limit=10
+app.get('/api/trending', (req, res) => {
+  const faculty = req.query.faculty ? facultyCode(String(req.query.faculty)) : null
+  const interests = [].concat(req.query.interest || []).flatMap(v => String(v).split(',')).filter(Boolean)
+  const limit = Math.min(Math.max(Number(req.query.limit) || 10, 1), 100)
+  const approved = listEvents().filter(e => statusOf(e) === 'approved').map(normalizeEvent)
+  res.json({
+    halfLifeDays: HALF_LIFE_DAYS,
+    events: trendingEvents(approved, { faculty, interests, limit })
+  })
+})
+
+// GET /api/engagement -> { [eventId]: { score, counts, rank } } for the badges on cards
+app.get('/api/engagement', (_req, res) => {
+  const approved = listEvents().filter(e => statusOf(e) === 'approved').map(normalizeEvent)
+  res.json({ halfLifeDays: HALF_LIFE_DAYS, events: engagementSummary(approved) })
+})
+
+// Calendar feeds: a browser registers its saves/prefs and gets a token; calendar
+// apps poll GET /api/calendar/:token.ics, so edits to events show up on their own.
+app.post('/api/calendar/subscriptions', (req, res) => {
+  const sub = createSubscription(req.body || {})
+  res.status(201).json({ token: sub.token, mode: sub.mode })
+})
+
+app.put('/api/calendar/subscriptions/:token', (req, res) => {
+  const sub = updateSubscription(req.params.token, req.body || {})
+  if (!sub) return res.status(404).json({ error: 'Unknown calendar feed' })
+  res.json({ token: sub.token, mode: sub.mode })
+})
+
+app.get('/api/calendar/:token.ics', (req, res) => {
+  const sub = getSubscription(req.params.token)
+  if (!sub) return res.status(404).json({ error: 'Unknown calendar feed' })
+  const approved = listEvents().filter(e => statusOf(e) === 'approved').map(normalizeEvent)
+  const name = sub.mode === 'personalized' ? 'UBC Events — For you' : 'UBC Events — Saved'
+  res.type('text/calendar; charset=utf-8')
+  res.set('Cache-Control', 'no-cache')
+  res.send(buildCalendar(eventsForSubscription(sub, approved), { name, alarms: sub.alarms || [] }))
+})
+
+// AI summarize endpoint (provider chosen by AI_PROVIDER, see server/ai/providers.js)
 app.post('/api/ai/summarize', async (req, res) => {
+  const { start, location, url, organizer } = req.body || {}
+  const title = String(req.body?.title || '').trim()
+  const description = String(req.body?.description || '').trim()
+  if (!title && !description) {
+    return res.status(400).json({ error: 'Provide title or description' })
+  }
+
+  let data
   try {
-    if (!OPENAI_API_KEY) {
-      return res.status(400).json({ error: 'Missing OPENAI_API_KEY in .env' })
-    }
-    const { title = '', description = '' } = req.body || {}
-    if (!title && !description) {
-      return res.status(400).json({ error: 'Provide title or description' })
-    }
-
-    const client = new OpenAI({ apiKey: OPENAI_API_KEY })
-    const prompt = `
-You are helping a student events platform. Given the raw event text, return a compact JSON object with:
-- summary: 2–3 sentence plain-English summary (no newlines)
-- tags: 3–6 lowercase tags (e.g., ai, data science, swe, entrepreneurship, finance, security, robotics, sustainability, health, law, education, quantum, game dev, bioengineering, ux)
-- level: one of "beginner", "intermediate", or "advanced"
-- missing: array of any missing fields from: ["date", "location", "link", "organizer"]
-
-Event Title: ${title}
-Event Description: ${description}
-
-Return ONLY JSON like:
-{"summary":"...","tags":["..."],"level":"beginner","missing":["date","link"]}
-`.trim()
-
-    const resp = await client.responses.create({
-      model: OPENAI_MODEL,
-      input: prompt,
-      temperature: 0.3
-    })
-
-    const text =
-      resp?.output_text ||
-      resp?.output?.[0]?.content?.[0]?.text ||
-      resp?.content?.[0]?.text ||
-      resp?.choices?.[0]?.message?.content ||
-      ''
-
-    let data
-    try {
-      data = JSON.parse(text)
-    } catch {
-      data = {
-        summary: (text || '').replace(/\s+/g, ' ').slice(0, 280),
-        tags: ['event'],
-        level: 'beginner',
-        missing: []
-      }
-    }
-
-    if (!Array.isArray(data.tags)) data.tags = []
-    data.tags = data.tags.map(s => String(s).toLowerCase().trim()).slice(0, 8)
-    const lvl = String(data.level || '').toLowerCase()
-    if (!['beginner','intermediate','advanced'].includes(lvl)) data.level = 'beginner'
-    if (!Array.isArray(data.missing)) data.missing = []
-
-    res.json(data)
+    data = await provider.summarize({ title, description, start, location, url, organizer })
   } catch (err) {
     console.error('AI error:', err)
-    res.status(500).json({ error: 'AI summarize failed' })
+    return res.status(502).json({ error: 'AI summarize failed' })
   }
+
+  const problems = validate(SUMMARY_SCHEMA, data)
+  if (problems.length) {
+    console.error('AI output failed schema validation:', problems)
+    return res.status(502).json({ error: 'AI returned invalid output', details: problems })
+  }
+  res.json({ ...data, provider: provider.name })
 })
 
 // Fallback
@@ -104,6 +379,9 @@ app.use((req, res) => {
   res.status(404).json({ error: `No route ${req.method} ${req.path}` })
 })
 
-app.listen(PORT, () => {
-  console.log(`API server running at http://localhost:${PORT}`)
-})
+// Listen when run directly (`node server/index.js`); tests import `app` instead
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  app.listen(PORT, () => {
+    console.log(`API server running at http://localhost:${PORT}`)
+  })
+}
@@ -0,0 +1,72 @@
+// server/store.js  (ESM)
+// File-backed event store. Events are kept in memory and flushed to a JSON file
+// on every write, so submissions survive restarts and are shared by every client.
+
+import fs from 'node:fs'
+import path from 'node:path'
+import crypto from 'node:crypto'
+import { fileURLToPath } from 'node:url'
+import { jsonTable, dataFile } from './db.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const SEED_FILE = path.join(__dirname, '..', 'public', 'events.json')
+
+/* First run: seed the store from the bundled public/events.json */
+function seed() {
+  try {
+    const list = JSON.parse(fs.readFileSync(SEED_FILE, 'utf8'))
+    return Array.isArray(list) ? list : []
+  } catch {
+    return []
+  }
+}
+
+const table = jsonTable(() => process.env.EVENTS_DB || dataFile('events.json'), seed)
+const load = () => table.get()
+const persist = () => table.save()
+
+export function listEvents() {
+  return load()
+}
+
+export function getEvent(id) {
+  return load().find(e => String(e.id) === String(id)) || null
+}
+
+/* Add an event; the id is always generated here, never taken from evt */
+export function createEvent(evt) {
+  const list = load()
+  const created = { ...evt, id: 'cust_' + crypto.randomUUID(), createdAt: new Date().toISOString() }
+  list.push(created)
+  persist()
+  return created
+}
+
+/*
+ * Shallow-merge a patch into an existing event; id and createdAt are immutable.
+ * Pass { touch: false } for bookkeeping writes (e.g. moderation) that aren't edits.
+ */
+export function updateEvent(id, patch, { touch = true } = {}) {
+  const list = load()
+  const idx = list.findIndex(e => String(e.id) === String(id))
+  if (idx === -1) return null
+  const prev = list[idx]
+  list[idx] = {
+    ...prev,
+    ...patch,
+    id: prev.id,
+    createdAt: prev.createdAt,
+    updatedAt: touch ? new Date().toISOString() : prev.updatedAt
+  }
+  persist()
+  return list[idx]
+}
+
+export function deleteEvent(id) {
+  const list = load()
+  const idx = list.findIndex(e => String(e.id) === String(id))
+  if (idx === -1) return false
+  list.splice(idx, 1)
+  persist()
+  return true
+}
@@ -0,0 +1,66 @@
+// server/subscriptions.js  (ESM)
+// Calendar feed subscriptions: an unguessable token mapped to what a browser
+// wants in its feed (its saved event IDs, or events matching its profile).
+
+import crypto from 'node:crypto'
+import { jsonTable, dataFile } from './db.js'
+import { canonicalInterests } from '../src/lib/taxonomy.js'
+import { facultyCode, facultyMatch } from '../src/lib/faculties.js'
+
+export const MODES = ['saved', 'personalized']
+
+const table = jsonTable(() => dataFile('subscriptions.json'), () => Object.create(null))
+
+/* token -> subscription, without a prototype: tokens come from URLs, so
+   "__proto__" or "constructor" are just unknown tokens */
+function subscriptions() {
+  const subs = table.get()
+  if (Object.getPrototypeOf(subs) !== null) Object.setPrototypeOf(subs, null) // loaded from the file
+  return subs
+}
+
+function clean({ mode, ids, prefs, alarms }) {
+  return {
+    alarms: Array.isArray(alarms) ? alarms.map(Number).filter(n => Number.isInteger(n) && n > 0) : [],
+    mode: MODES.includes(mode) ? mode : 'saved',
+    ids: Array.isArray(ids) ? ids.map(String) : [],
+    prefs: prefs && typeof prefs === 'object'
+      ? { faculty: facultyCode(prefs.faculty), interests: canonicalInterests(prefs.interests) }
+      : null
+  }
+}
+
+export function createSubscription(body) {
+  const token = crypto.randomBytes(16).toString('hex')
+  const subs = subscriptions()
+  subs[token] = { ...clean(body), createdAt: new Date().toISOString() }
+  table.save()
+  return { token, ...subs[token] }
+}
+
+export function getSubscription(token) {
+  const sub = subscriptions()[token]
+  return sub ? { token, ...sub } : null
+}
+
+export function updateSubscription(token, body) {
+  const subs = subscriptions()
+  if (!subs[token]) return null
+  subs[token] = { ...subs[token], ...clean(body), updatedAt: new Date().toISOString() }
+  table.save()
+  return { token, ...subs[token] }
+}
+
+/** Pick the (normalized) events a subscription should contain. */
+export function eventsForSubscription(sub, events) {
+  if (sub.mode === 'personalized' && sub.prefs) {
+    const { faculty, interests } = sub.prefs
+    return events.filter(e => {
+      const facultyOk = facultyMatch(e.faculties, faculty) != null
+      const interestOk = (e.tags || []).some(t => interests.includes(t))
+      return facultyOk && interestOk
+    })
+  }
+  const ids = new Set(sub.ids)
+  return events.filter(e => ids.has(String(e.id)))
+}
@@ -1,8 +1,29 @@
 // src/App.jsx
+import { useEffect } from 'react'
 import { Outlet, Link, useLocation } from 'react-router-dom'
+import { getSavedIds, getUserPrefs } from './lib/storage.js'
+import { syncCalendarSubscription } from './lib/calendar.js'
+import { startSync } from './lib/account.js'
+import NotificationBell from './components/NotificationBell.jsx'
+import SavedSearchesMenu from './components/SavedSearchesMenu.jsx'
 
 export default function App() {
   const { pathname } = useLocation()
+
+  // Keep the subscribable calendar feed in step with saves and prefs
+  useEffect(() => {
+    const sync = () => syncCalendarSubscription({ ids: getSavedIds(), prefs: getUserPrefs() })
+    window.addEventListener('saves-updated', sync)
+    window.addEventListener('userprefs-updated', sync)
+    return () => {
+      window.removeEventListener('saves-updated', sync)
+      window.removeEventListener('userprefs-updated', sync)
+    }
+  }, [])
+
+  // Sync prefs, saves and custom events with the signed-in account
+  useEffect(() => startSync(), [])
+
   const is = (p) => pathname === p ? 'chip active' : 'chip'
   return (
     <div className="app">
@@ -12,9 +33,12 @@ export default function App() {
           <nav className="row">
             <Link className={is('/onboarding')} to="/onboarding">Onboarding</Link>
             <Link className={is('/feed')} to="/feed">Feed</Link>
+            <Link className={is('/calendar')} to="/calendar">Calendar</Link>
             <Link className={is('/saved')} to="/saved">Saved</Link>
             <Link className={is('/submit')} to="/submit">Submit</Link>
             <Link className={is('/settings')} to="/settings">Settings</Link>
+            <SavedSearchesMenu />
+            <NotificationBell />
           </nav>
         </div>
       </header>
@@ -0,0 +1,79 @@
+// src/components/AccountCard.jsx
+import { useEffect, useState } from 'react'
+import Card from './Card.jsx'
+import Button from './Button.jsx'
+import { getAccount } from '../lib/storage.js'
+import { login, logout, register, syncNow } from '../lib/account.js'
+import { useToast } from './Toaster.jsx'
+
+/** Sign in / create account, or sync status and sign out when signed in */
+export default function AccountCard() {
+  const toast = useToast()
+  const [account, setAccountState] = useState(() => getAccount())
+  const [email, setEmail] = useState('')
+  const [password, setPassword] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  useEffect(() => {
+    const refresh = () => setAccountState(getAccount())
+    window.addEventListener('account-updated', refresh)
+    window.addEventListener('storage', refresh)
+    return () => {
+      window.removeEventListener('account-updated', refresh)
+      window.removeEventListener('storage', refresh)
+    }
+  }, [])
+
+  async function run(action, success) {
+    setBusy(true)
+    try {
+      await action()
+      toast.success(success)
+      setPassword('')
+    } catch (e) {
+      toast.error(e.message || 'Something went wrong. Is the API server running?')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  function handleSubmit(e, mode) {
+    e?.preventDefault()
+    if (mode === 'register') {
+      run(() => register(email, password), 'Account created. Your profile, saves and events now sync.')
+    } else {
+      run(() => login(email, password), 'Signed in. Your data is merged with this browser’s.')
+    }
+  }
+
+  if (account) {
+    return (
+      <Card className="space-bottom">
+        <div className="h2" style={{ marginTop: 0 }}>Account</div>
+        <p className="muted" style={{ marginTop: 0 }}>
+          Signed in as <strong>{account.email}</strong>. Your profile, saved events and submitted events sync across devices.
+          {account.lastSyncedAt && <> Last synced {new Date(account.lastSyncedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}.</>}
+        </p>
+        <div className="row">
+          <Button kind="ghost" disabled={busy} onClick={() => run(syncNow, 'Synced.')}>Sync now</Button>
+          <Button kind="ghost" disabled={busy} onClick={() => run(logout, 'Signed out. Your data stays in your account.')}>Sign out</Button>
+        </div>
+      </Card>
+    )
+  }
+
+  return (
+    <Card className="space-bottom">
+      <div className="h2" style={{ marginTop: 0 }}>Account</div>
+      <p className="muted" style={{ marginTop: 0 }}>
+        Sign in to keep your profile, saved events and submitted events when you switch devices or clear this browser.
+      </p>
+      <form className="row" onSubmit={e => handleSubmit(e, 'login')}>
+        <input className="input" style={{ maxWidth: 260 }} type="email" autoComplete="email" placeholder="Email" value={email} onChange={e => setEmail(e.target.value)} required />
+        <input className="input" style={{ maxWidth: 220 }} type="password" autoComplete="current-password" placeholder="Password (8+ characters)" value={password} onChange={e => setPassword(e.target.value)} required minLength={8} />
+        <Button type="submit" disabled={busy}>Sign in</Button>
+        <Button type="button" kind="ghost" disabled={busy || !email || password.length < 8} onClick={() => handleSubmit(null, 'register')}>Create account</Button>
+      </form>
+    </Card>
+  )
+}
@@ -1,4 +1,3 @@
-export default function Badge({ children, className='' }) {
-    return <span className={`badge ${className}`}>{children}</span>;
+export default function Badge({ children, className='', ...rest }) {
+    return <span className={`badge ${className}`} {...rest}>{children}</span>;
   }
-  
\ No newline at end of file
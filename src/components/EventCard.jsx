@@ -3,14 +3,23 @@ import { Link } from 'react-router-dom'
 import Badge from './Badge.jsx'
 import Button from './Button.jsx'
 import Modal from './Modal.jsx'
+import Highlight from './Highlight.jsx'
 import { getSavedIds, toggleSaveId } from '../lib/storage.js'
 import { googleCalendarUrl, downloadICS } from '../lib/calendar.js'
+import { describeRecurrence } from '../lib/recurrence.js'
+import { deadlineBadge } from '../lib/deadline.js'
+import { phaseBadge } from '../lib/lifecycle.js'
+import { savedConflictsFor, describeOverlap } from '../lib/conflicts.js'
+import { trackEngagement, loadEngagement } from '../lib/engagement.js'
+import { popularityBadges } from '../lib/popularity.js'
+import { facultyBadges } from '../lib/faculties.js'
 import { useToast } from './Toaster.jsx'
 
-export default function EventCard({ evt, onSaveToggle, rank }) {
+export default function EventCard({ evt, onSaveToggle, rank, reason, highlight }) {
   const [open, setOpen] = useState(false)
   const [savedState, setSavedState] = useState(getSavedIds().includes(evt.id))
   const [imgSrc, setImgSrc] = useState(null)
+  const [stats, setStats] = useState(null) // engagement for Trending / going badges
   const toast = useToast()
 
   // Simple inline SVG placeholder (data URL) — neutral grey camera box
@@ -78,6 +87,12 @@ export default function EventCard({ evt, onSaveToggle, rank }) {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [evt?.id]) // update when the event identity changes
 
+  useEffect(() => {
+    let cancelled = false
+    loadEngagement().then(all => { if (!cancelled) setStats(all[String(evt.id)] || null) })
+    return () => { cancelled = true }
+  }, [evt.id])
+
   // Date formatting
   const start = evt.start ? new Date(evt.start) : null
   const end = evt.end ? new Date(evt.end) : null
@@ -87,6 +102,8 @@ export default function EventCard({ evt, onSaveToggle, rank }) {
       }`
     : 'TBA'
   const hasStart = !!evt.start
+  const phase = phaseBadge(evt)
+  const popularity = popularityBadges(evt, stats, { saved: savedState })
   const gcalHref = hasStart ? googleCalendarUrl(evt) : '#'
 
   async function shareEvent() {
@@ -98,11 +115,36 @@ export default function EventCard({ evt, onSaveToggle, rank }) {
         await navigator.clipboard.writeText(link)
         toast.success('Link copied to clipboard.')
       }
+      trackEngagement(evt.id, 'share')
     } catch {
       toast.info('Share cancelled.')
     }
   }
 
+  function openQuickView() {
+    setOpen(true)
+    trackEngagement(evt.id, 'open')
+  }
+
+  function toggleSave() {
+    const wasSaved = savedState
+    toggleSaveId(evt.id)
+    trackEngagement(evt.id, wasSaved ? 'unsave' : 'save')
+    setSavedState(!wasSaved)
+    onSaveToggle?.(evt.id)
+    toast.info(wasSaved ? 'Removed from Saved' : 'Saved ✓')
+    if (wasSaved || !hasStart) return
+    // warn when the new save clashes with something already saved
+    savedConflictsFor(evt)
+      .then(conflicts => {
+        if (!conflicts.length) return
+        const names = conflicts.slice(0, 2).map(c => c.b.title).join(' and ')
+        const more = conflicts.length > 2 ? ` and ${conflicts.length - 2} more` : ''
+        toast.warn(`⚠ Overlaps with ${names}${more} (${describeOverlap(conflicts[0])}). See Conflicts on the Saved page.`, { timeout: 6000 })
+      })
+      .catch(() => {})
+  }
+
   // onError fallback — sets to placeholder (only once)
   function handleImgError() {
     if (imgSrc !== PLACEHOLDER) setImgSrc(PLACEHOLDER)
@@ -161,17 +203,25 @@ export default function EventCard({ evt, onSaveToggle, rank }) {
           <h3
             className="card-title"
             style={{ margin: 0, cursor: 'pointer' }}
-            onClick={() => setOpen(true)}
+            onClick={openQuickView}
             title="Quick view"
           >
-            {evt.title}
+            <Highlight text={evt.title} hits={highlight} />
           </h3>
         </div>
 
+        {/* Why it was recommended */}
+        {reason && <div className="muted" style={{ fontSize: 13, marginBottom: '0.5rem' }}>✨ {reason}</div>}
+
         {/* Top-right badges */}
         <div className="row" style={{ gap: '0.5rem', flexWrap: 'wrap' }}>
-          {savedState && <Badge style={{ flexShrink: 0 }}>🔥 Trending</Badge>}
+          {phase && <Badge style={{ flexShrink: 0 }}>{phase}</Badge>}
+          {popularity.map(b => (
+            <Badge key={b.key} className={`badge-${b.key}`} title={b.title} style={{ flexShrink: 0 }}>{b.label}</Badge>
+          ))}
           {evt.isCustom && <Badge style={{ flexShrink: 0 }}>🆕 New</Badge>}
+          {evt.recurrence && <Badge style={{ flexShrink: 0 }}>🔁 {describeRecurrence(evt.recurrence)}</Badge>}
+          {evt.deadline && <Badge style={{ flexShrink: 0 }}>{deadlineBadge(evt)}</Badge>}
         </div>
 
         {/* Badges row */}
@@ -179,16 +229,16 @@ export default function EventCard({ evt, onSaveToggle, rank }) {
           className="row space-top"
           style={{ gap: '0.5rem', flexWrap: 'wrap', marginTop: '0.5rem' }}
         >
-          <Badge>{evt.faculty || 'All'}</Badge>
+          {facultyBadges(evt.faculties).map(f => <Badge key={f}>{f}</Badge>)}
           <Badge>{evt.level}</Badge>
           {evt.tags?.slice(0, 3).map((t) => (
-            <Badge key={t}>#{t}</Badge>
+            <Badge key={t}>#<Highlight text={t} hits={highlight} /></Badge>
           ))}
         </div>
 
         {/* Description */}
         <p className="space-top line-clamp-3" style={{ marginTop: '1rem' }}>
-          {evt.description}
+          <Highlight text={evt.summary || evt.description} hits={highlight} />
         </p>
 
         {/* Actions */}
@@ -197,7 +247,7 @@ export default function EventCard({ evt, onSaveToggle, rank }) {
             {when} · {evt.location || 'TBA'}
           </div>
           <div className="row" style={{ gap: '0.3rem', flexWrap: 'wrap' }}>
-            <Button kind="ghost" onClick={() => setOpen(true)}>
+            <Button kind="ghost" onClick={openQuickView}>
               Quick view
             </Button>
             <Link className="btn btn-ghost" to={`/e/${evt.id}`}>
@@ -220,7 +270,9 @@ export default function EventCard({ evt, onSaveToggle, rank }) {
                 if (!hasStart) {
                   e.preventDefault()
                   toast.error('This event is missing a start time.')
+                  return
                 }
+                trackEngagement(evt.id, 'calendar')
               }}
             >
               Add to Google
@@ -233,20 +285,13 @@ export default function EventCard({ evt, onSaveToggle, rank }) {
                   return
                 }
                 downloadICS(evt)
+                trackEngagement(evt.id, 'calendar')
                 toast.success('Calendar file downloaded.')
               }}
             >
               Download .ics
             </Button>
-            <Button
-              onClick={() => {
-                const wasSaved = savedState
-                toggleSaveId(evt.id)
-                setSavedState(!wasSaved)
-                onSaveToggle?.(evt.id)
-                toast.info(wasSaved ? 'Removed from Saved' : 'Saved ✓')
-              }}
-            >
+            <Button onClick={toggleSave}>
               {savedState ? 'Saved ✓' : 'Save'}
             </Button>
           </div>
@@ -286,13 +331,16 @@ export default function EventCard({ evt, onSaveToggle, rank }) {
           </div>
 
           <div className="row" style={{ marginBottom: 8, gap: '0.3rem', flexWrap: 'wrap' }}>
-            <Badge>{evt.faculty || 'All'}</Badge>
+            {facultyBadges(evt.faculties).map(f => <Badge key={f}>{f}</Badge>)}
             <Badge>{evt.level}</Badge>
             {evt.tags?.map((t) => (
               <Badge key={t}>#{t}</Badge>
             ))}
+            {phase && <Badge>{phase}</Badge>}
             {evt.isCustom && <Badge>🆕 New</Badge>}
-            {savedState && <Badge>🔥 Trending</Badge>}
+            {evt.recurrence && <Badge>🔁 {describeRecurrence(evt.recurrence)}</Badge>}
+            {evt.deadline && <Badge>{deadlineBadge(evt)}</Badge>}
+            {popularity.map(b => <Badge key={b.key} className={`badge-${b.key}`} title={b.title}>{b.label}</Badge>)}
           </div>
 
           <div className="muted" style={{ marginBottom: 12 }}>
@@ -326,7 +374,9 @@ export default function EventCard({ evt, onSaveToggle, rank }) {
               if (!hasStart) {
                 e.preventDefault()
                 toast.error('Missing start time.')
+                return
               }
+              trackEngagement(evt.id, 'calendar')
             }}
           >
             Add to Google
@@ -339,6 +389,7 @@ export default function EventCard({ evt, onSaveToggle, rank }) {
                 return
               }
               downloadICS(evt)
+              trackEngagement(evt.id, 'calendar')
               toast.success('Calendar file downloaded.')
             }}
           >
@@ -346,13 +397,7 @@ export default function EventCard({ evt, onSaveToggle, rank }) {
           </button>
           <button
             className={`btn ${savedState ? 'btn-primary' : 'btn-ghost'}`}
-            onClick={() => {
-              const wasSaved = savedState
-              toggleSaveId(evt.id)
-              setSavedState(!wasSaved)
-              onSaveToggle?.(evt.id)
-              toast.info(wasSaved ? 'Removed from Saved' : 'Saved ✓')
-            }}
+            onClick={toggleSave}
           >
             {savedState ? 'Saved ✓' : 'Save'}
           </button>
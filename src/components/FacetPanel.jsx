@@ -0,0 +1,112 @@
+// src/components/FacetPanel.jsx
+import { useState } from 'react'
+import Chip from './Chip.jsx'
+import { DATE_RANGES, COSTS, facetLabel } from '../lib/facets.js'
+import { LEVELS } from '../lib/feedFilters.js'
+
+// Values shown per list facet before "Show all"
+const FACET_LIMIT = 6
+
+const LIST_FACETS = [
+  { key: 'types', title: 'Event type' },
+  { key: 'orgs', title: 'Organizer' },
+  { key: 'locs', title: 'Location' },
+  { key: 'tags', title: 'Tags' }
+]
+
+/**
+ * Filter chips with counts (from facetCounts) for the Feed.
+ * onChange gets a patch of filters, e.g. { cost: 'free' } or { types: [...] }.
+ */
+export default function FacetPanel({ counts, filters, onChange }) {
+  const [expanded, setExpanded] = useState(() => new Set())
+  const label = (text, n) => n == null ? text : `${text} (${n})`
+
+  function toggleValue(key, value) {
+    const cur = filters[key] || []
+    onChange({ [key]: cur.includes(value) ? cur.filter(v => v !== value) : [...cur, value] })
+  }
+
+  function toggleExpanded(key) {
+    setExpanded(prev => {
+      const next = new Set(prev)
+      if (next.has(key)) next.delete(key)
+      else next.add(key)
+      return next
+    })
+  }
+
+  return (
+    <>
+      <div className="h2" style={{ marginTop: 0 }}>When</div>
+      <div className="chips">
+        <Chip active={filters.when === 'any'} onClick={() => onChange({ when: 'any' })}>Any time</Chip>
+        {DATE_RANGES.map(r => (
+          <Chip key={r.key} active={filters.when === r.key} onClick={() => onChange({ when: r.key })}>
+            {label(r.label, counts.when[r.key] || 0)}
+          </Chip>
+        ))}
+        <Chip active={filters.when === 'custom'} onClick={() => onChange({ when: 'custom' })}>
+          {label('Custom', filters.when === 'custom' && (filters.from || filters.to) ? counts.when.custom || 0 : null)}
+        </Chip>
+      </div>
+      {filters.when === 'custom' && (
+        <div className="row" style={{ marginTop: 8 }}>
+          <label className="muted">From <input className="input" type="date" value={filters.from} max={filters.to || undefined} onChange={e => onChange({ from: e.target.value })} /></label>
+          <label className="muted">To <input className="input" type="date" value={filters.to} min={filters.from || undefined} onChange={e => onChange({ to: e.target.value })} /></label>
+        </div>
+      )}
+
+      <div className="row" style={{ alignItems: 'flex-start', gap: 'var(--space-5)' }}>
+        <div>
+          <div className="h2">Cost</div>
+          <div className="chips">
+            <Chip active={filters.cost === 'any'} onClick={() => onChange({ cost: 'any' })}>Any</Chip>
+            {COSTS.map(c => (
+              <Chip key={c.key} active={filters.cost === c.key} onClick={() => onChange({ cost: c.key })}>
+                {label(c.label, counts.cost[c.key] || 0)}
+              </Chip>
+            ))}
+          </div>
+        </div>
+        <div>
+          <div className="h2">Level</div>
+          <div className="chips">
+            <Chip active={filters.level === 'all'} onClick={() => onChange({ level: 'all' })}>All</Chip>
+            {LEVELS.map(l => (
+              <Chip key={l} active={filters.level === l} onClick={() => onChange({ level: l })}>
+                {label(l, counts.level[l] || 0)}
+              </Chip>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {LIST_FACETS.map(({ key, title }) => {
+        const selected = filters[key] || []
+        const values = counts[key].filter(v => v.count > 0 || selected.includes(v.value))
+        if (!values.length) return null
+        const open = expanded.has(key)
+        // selected values stay visible when the list is collapsed
+        const shown = open ? values : values.filter((v, i) => i < FACET_LIMIT || selected.includes(v.value))
+        return (
+          <div key={key}>
+            <div className="h2">{title}</div>
+            <div className="chips">
+              {shown.map(({ value, count }) => (
+                <Chip key={value} active={selected.includes(value)} onClick={() => toggleValue(key, value)}>
+                  {label(facetLabel(key, value), count)}
+                </Chip>
+              ))}
+              {values.length > FACET_LIMIT && (
+                <button type="button" className="btn btn-ghost" onClick={() => toggleExpanded(key)}>
+                  {open ? 'Show fewer' : `Show all ${values.length}`}
+                </button>
+              )}
+            </div>
+          </div>
+        )
+      })}
+    </>
+  )
+}
@@ -0,0 +1,13 @@
+import { highlightSegments } from '../lib/search.js'
+
+/* Text with search hits wrapped in <mark> */
+export default function Highlight({ text, hits }) {
+  if (!hits?.length || !text) return text || null
+  return (
+    <>
+      {highlightSegments(text, hits).map((seg, i) => (
+        seg.hit ? <mark key={i}>{seg.text}</mark> : <span key={i}>{seg.text}</span>
+      ))}
+    </>
+  )
+}
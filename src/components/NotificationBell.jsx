@@ -0,0 +1,114 @@
+// src/components/NotificationBell.jsx
+import { useEffect, useRef, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { loadAllEvents } from '../lib/data.js'
+import {
+  checkReminders,
+  getNotifications,
+  getReminderPrefs,
+  markAllRead,
+  markRead,
+  clearNotifications,
+  registerServiceWorker
+} from '../lib/notifications.js'
+
+const CHECK_EVERY_MS = 15 * 60 * 1000
+
+const KIND_ICONS = { starting: '📅', deadline: '⏰', edited: '✏️', cancelled: '⚠️' }
+
+export default function NotificationBell() {
+  const [open, setOpen] = useState(false)
+  const [items, setItems] = useState(() => getNotifications())
+  const panelRef = useRef(null)
+  const unread = items.filter(n => !n.read).length
+
+  // Run reminder checks on load, periodically, and whenever saves change
+  useEffect(() => {
+    let cancelled = false
+    async function run() {
+      const { events, source } = await loadAllEvents()
+      // nothing loaded: skip this round. Without the shared store (the bundled
+      // events.json instead) reminders still run, but missing saves aren't "cancelled"
+      if (!cancelled && source) await checkReminders(events, { complete: source === 'api' })
+    }
+    if (getReminderPrefs().browser) registerServiceWorker()
+    run()
+    const timer = setInterval(run, CHECK_EVERY_MS)
+    window.addEventListener('saves-updated', run)
+    return () => {
+      cancelled = true
+      clearInterval(timer)
+      window.removeEventListener('saves-updated', run)
+    }
+  }, [])
+
+  // Keep the badge in sync with inbox changes (this tab and others)
+  useEffect(() => {
+    const refresh = () => setItems(getNotifications())
+    window.addEventListener('notifications-updated', refresh)
+    window.addEventListener('storage', refresh)
+    return () => {
+      window.removeEventListener('notifications-updated', refresh)
+      window.removeEventListener('storage', refresh)
+    }
+  }, [])
+
+  // Close when clicking outside the panel
+  useEffect(() => {
+    if (!open) return
+    const onDown = (e) => { if (!panelRef.current?.contains(e.target)) setOpen(false) }
+    const onKey = (e) => { if (e.key === 'Escape') setOpen(false) }
+    document.addEventListener('mousedown', onDown)
+    document.addEventListener('keydown', onKey)
+    return () => {
+      document.removeEventListener('mousedown', onDown)
+      document.removeEventListener('keydown', onKey)
+    }
+  }, [open])
+
+  return (
+    <div className="notif" ref={panelRef}>
+      <button
+        className="chip"
+        aria-label={`Notifications${unread ? ` (${unread} unread)` : ''}`}
+        aria-expanded={open}
+        onClick={() => setOpen(o => !o)}
+      >
+        🔔{unread > 0 && <span className="notif-count">{unread}</span>}
+      </button>
+
+      {open && (
+        <div className="notif-panel card" role="dialog" aria-label="Notifications">
+          <div className="row-between">
+            <div className="h3" style={{ margin: 0 }}>Notifications</div>
+            <div className="row" style={{ gap: 6 }}>
+              <button className="btn btn-ghost" disabled={!unread} onClick={markAllRead}>Mark all read</button>
+              <button className="btn btn-ghost" disabled={!items.length} onClick={clearNotifications}>Clear</button>
+            </div>
+          </div>
+
+          {items.length === 0 && <p className="muted">No notifications yet. Save events to get reminders.</p>}
+
+          <div className="notif-list">
+            {items.map(n => (
+              <Link
+                key={n.id}
+                to={`/e/${n.eventId}`}
+                className={`notif-item ${n.read ? '' : 'unread'}`}
+                onClick={() => { markRead(n.id); setOpen(false) }}
+              >
+                <div><strong>{KIND_ICONS[n.kind] || '🔔'} {n.title}</strong></div>
+                <div className="muted">{n.message}</div>
+                <div className="muted" style={{ fontSize: 12 }}>{new Date(n.createdAt).toLocaleString()}</div>
+              </Link>
+            ))}
+          </div>
+
+          <div style={{ marginTop: 8 }}>
+            <Link className="link" to="/settings" onClick={() => setOpen(false)}>Reminder settings</Link>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
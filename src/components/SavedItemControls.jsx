@@ -0,0 +1,65 @@
+// src/components/SavedItemControls.jsx
+import { useState } from 'react'
+import Chip from './Chip.jsx'
+import { SAVE_STATUSES, SAVE_STATUS_LABELS, updateSavedDetail } from '../lib/storage.js'
+
+/** Status, collections and private note for one saved event (Saved page) */
+export default function SavedItemControls({ evt, detail, collections }) {
+  const [note, setNote] = useState(detail.note || '')
+  const [editingNote, setEditingNote] = useState(false)
+
+  function toggleCollection(id) {
+    const has = detail.collections.includes(id)
+    updateSavedDetail(evt.id, {
+      collections: has ? detail.collections.filter(c => c !== id) : [...detail.collections, id]
+    })
+  }
+
+  function saveNote() {
+    setEditingNote(false)
+    if (note.trim() !== (detail.note || '')) updateSavedDetail(evt.id, { note: note.trim() })
+  }
+
+  return (
+    <div className="saved-controls">
+      <div className="row" style={{ gap: 8 }}>
+        <label className="muted" htmlFor={`status-${evt.id}`}>Status</label>
+        <select
+          id={`status-${evt.id}`}
+          className="input"
+          style={{ maxWidth: 160, padding: '6px 10px' }}
+          value={detail.status}
+          onChange={e => updateSavedDetail(evt.id, { status: e.target.value })}
+        >
+          {SAVE_STATUSES.map(s => <option key={s} value={s}>{SAVE_STATUS_LABELS[s]}</option>)}
+        </select>
+      </div>
+
+      {collections.length > 0 && (
+        <div className="chips" style={{ marginTop: 8 }}>
+          {collections.map(c => (
+            <Chip key={c.id} active={detail.collections.includes(c.id)} onClick={() => toggleCollection(c.id)}>
+              {detail.collections.includes(c.id) ? '✓ ' : '+ '}{c.name}
+            </Chip>
+          ))}
+        </div>
+      )}
+
+      {editingNote ? (
+        <textarea
+          className="textarea"
+          style={{ minHeight: 70, marginTop: 8 }}
+          placeholder="Private note (only you see this)"
+          value={note}
+          autoFocus
+          onChange={e => setNote(e.target.value)}
+          onBlur={saveNote}
+        />
+      ) : (
+        <button type="button" className="saved-note" onClick={() => { setNote(detail.note || ''); setEditingNote(true) }}>
+          {detail.note ? `📝 ${detail.note}` : '📝 Add a note'}
+        </button>
+      )}
+    </div>
+  )
+}
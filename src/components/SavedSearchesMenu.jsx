@@ -0,0 +1,111 @@
+// src/components/SavedSearchesMenu.jsx
+import { useEffect, useRef, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { getSavedSearches, removeSavedSearch } from '../lib/storage.js'
+import { getAllEventsMerged } from '../lib/data.js'
+import { checkSearchAlerts, markSearchSeen, setSearchAlerts } from '../lib/searchAlerts.js'
+
+const CHECK_EVERY_MS = 15 * 60 * 1000
+
+export default function SavedSearchesMenu() {
+  const [open, setOpen] = useState(false)
+  const [searches, setSearches] = useState(() => getSavedSearches())
+  const panelRef = useRef(null)
+  const newCount = searches.reduce((n, s) => n + (s.alerts !== false ? s.newIds?.length || 0 : 0), 0)
+
+  useEffect(() => {
+    const refresh = () => setSearches(getSavedSearches())
+    window.addEventListener('saved-searches-updated', refresh)
+    window.addEventListener('storage', refresh)
+    return () => {
+      window.removeEventListener('saved-searches-updated', refresh)
+      window.removeEventListener('storage', refresh)
+    }
+  }, [])
+
+  // Look for newly matching events on load and periodically
+  useEffect(() => {
+    let cancelled = false
+    async function run() {
+      if (!getSavedSearches().length) return
+      const events = await getAllEventsMerged().catch(() => [])
+      if (!cancelled && events.length) checkSearchAlerts(events)
+    }
+    run()
+    const timer = setInterval(run, CHECK_EVERY_MS)
+    return () => {
+      cancelled = true
+      clearInterval(timer)
+    }
+  }, [])
+
+  // Close when clicking outside the panel
+  useEffect(() => {
+    if (!open) return
+    const onDown = (e) => { if (!panelRef.current?.contains(e.target)) setOpen(false) }
+    const onKey = (e) => { if (e.key === 'Escape') setOpen(false) }
+    document.addEventListener('mousedown', onDown)
+    document.addEventListener('keydown', onKey)
+    return () => {
+      document.removeEventListener('mousedown', onDown)
+      document.removeEventListener('keydown', onKey)
+    }
+  }, [open])
+
+  return (
+    <div className="dropdown" ref={panelRef}>
+      <button className="chip" aria-expanded={open} onClick={() => setOpen(o => !o)}>
+        Searches
+        {newCount > 0
+          ? <span className="notif-count" aria-label={`${newCount} new`}>{newCount}</span>
+          : searches.length > 0 && ` (${searches.length})`}
+      </button>
+
+      {open && (
+        <div className="dropdown-panel card" role="dialog" aria-label="Saved searches">
+          <div className="h3" style={{ marginTop: 0 }}>Saved searches</div>
+          {searches.length === 0 && (
+            <p className="muted">Nothing saved yet. Filter the feed and hit “Save this search”.</p>
+          )}
+          {searches.map(s => {
+            const alerts = s.alerts !== false
+            const fresh = alerts ? s.newIds?.length || 0 : 0
+            return (
+              <div key={s.id} className="dropdown-item row-between">
+                <div>
+                  <Link
+                    className="link"
+                    to={`/feed?${s.query}`}
+                    onClick={() => { markSearchSeen(s.id); setOpen(false) }}
+                  >
+                    {s.name}
+                  </Link>
+                  {fresh > 0 && <div className="muted" style={{ fontSize: 12 }}>{fresh} new event{fresh === 1 ? '' : 's'} match</div>}
+                </div>
+                <div className="row" style={{ gap: 4 }}>
+                  <button
+                    className="btn btn-ghost"
+                    style={{ padding: '4px 8px' }}
+                    title={alerts ? 'Alerts on — click to mute' : 'Alerts off — click to get alerts'}
+                    aria-label={`${alerts ? 'Mute' : 'Turn on'} alerts for ${s.name}`}
+                    onClick={() => setSearchAlerts(s.id, !alerts)}
+                  >
+                    {alerts ? '🔔' : '🔕'}
+                  </button>
+                  <button
+                    className="btn btn-ghost"
+                    style={{ padding: '4px 8px' }}
+                    aria-label={`Remove saved search ${s.name}`}
+                    onClick={() => removeSavedSearch(s.id)}
+                  >
+                    ✕
+                  </button>
+                </div>
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
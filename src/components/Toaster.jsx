@@ -13,6 +13,7 @@ export function ToasterProvider({ children }) {
       title: toast.title || '',
       message: toast.message || '',
       variant: toast.variant || 'info', // 'info' | 'success' | 'danger' | 'warn'
+      action: toast.action || null, // optional { label, onClick }, e.g. Undo
       timeout: typeof toast.timeout === 'number' ? toast.timeout : 3000
     }
     setToasts(prev => [...prev, t])
@@ -45,6 +46,14 @@ export function ToasterProvider({ children }) {
               {t.title ? <div className="toast-title">{t.title}</div> : null}
               <div className="toast-message">{t.message}</div>
             </div>
+            {t.action ? (
+              <button
+                className="toast-action"
+                onClick={() => { t.action.onClick?.(); remove(t.id) }}
+              >
+                {t.action.label}
+              </button>
+            ) : null}
             <button
               className="toast-close"
               aria-label="Close"
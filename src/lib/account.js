@@ -0,0 +1,208 @@
+// src/lib/account.js
+// Accounts: sign up / sign in against the API server (session cookie), and
+// syncing prefs, saves (with their details and collections) and custom events
+// between this browser and the account.
+//
+// storage.js and custom.js stamp every local change. syncNow() sends this
+// browser's state; the server merges it into the account (syncMerge.js) and
+// returns the result, which replaces the local copy. Signing in runs a sync,
+// so whatever was done while signed out is merged into the account.
+
+import {
+  getAccount,
+  setAccount,
+  getSyncMeta,
+  setSyncMeta,
+  getUserPrefs,
+  getSavedIds,
+  getSavedDetails,
+  getCollections,
+  replaceSyncedData
+} from './storage.js'
+import { getCustomEvents, saveCustomEvents } from './custom.js'
+import { mergeSyncState, hasNewer, SYNC_COLLECTIONS, VALUE_COLLECTIONS } from './syncMerge.js'
+
+const API = '/api/account'
+const PUSH_DELAY_MS = 2000 // batch quick successive changes into one sync
+
+async function send(method, url, body) {
+  const res = await fetch(url, {
+    method,
+    credentials: 'same-origin',
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined
+  })
+  if (res.status === 204) return null
+  const data = await res.json().catch(() => ({}))
+  if (!res.ok) {
+    const err = new Error(data.error || `Request failed (${res.status})`)
+    err.status = res.status
+    throw err
+  }
+  return data
+}
+
+/* This browser's data as a sync state. Values without a stamp (saved before
+   sync existed) get updatedAt 0, so the account wins unless it has nothing. */
+function localState() {
+  const meta = getSyncMeta()
+  const prefs = getUserPrefs()
+  const state = { prefs: { value: prefs, updatedAt: meta.prefs || 0 } }
+  // what's here now, per collection: id -> value (saves have none)
+  const present = {
+    saves: new Map(getSavedIds().map(id => [String(id), undefined])),
+    customEvents: new Map(getCustomEvents().map(e => [String(e.id), e])),
+    savedDetails: new Map(Object.entries(getSavedDetails())),
+    collections: new Map(getCollections().map(c => [c.id, c]))
+  }
+  for (const [key, items] of Object.entries(present)) {
+    const stamps = meta[key] || {}
+    const hasValue = VALUE_COLLECTIONS.includes(key)
+    state[key] = {}
+    for (const [id, value] of items) {
+      const m = stamps[id]
+      state[key][id] = { ...(hasValue ? { value } : {}), updatedAt: m && !m.deleted ? m.updatedAt : 0 }
+    }
+    // removals
+    for (const [id, m] of Object.entries(stamps)) {
+      if (!items.has(id)) state[key][id] = { updatedAt: m.updatedAt || 0, deleted: true, ...(hasValue ? { value: null } : {}) }
+    }
+  }
+  return state
+}
+
+const stampsOf = entries =>
+  Object.fromEntries(Object.entries(entries).map(([id, e]) => [id, e.deleted ? { updatedAt: e.updatedAt, deleted: true } : { updatedAt: e.updatedAt }]))
+
+/* Make the local copy match a (merged) sync state */
+function applyState(state) {
+  const savedIds = Object.entries(state.saves)
+    .filter(([, e]) => !e.deleted)
+    .sort((a, b) => a[1].updatedAt - b[1].updatedAt) // keep save order
+    .map(([id]) => id)
+  const values = key => Object.entries(state[key] || {}).filter(([, e]) => !e.deleted && e.value)
+  const custom = values('customEvents').map(([, e]) => e.value)
+  const details = Object.fromEntries(values('savedDetails').map(([id, e]) => [id, e.value]))
+  const collections = values('collections').map(([, e]) => e.value)
+  const differs = (a, b) => JSON.stringify(a) !== JSON.stringify(b)
+
+  replaceSyncedData({
+    prefs: differs(state.prefs.value, getUserPrefs()) ? state.prefs.value : undefined,
+    savedIds: savedIds.join('\n') !== getSavedIds().map(String).join('\n') ? savedIds : undefined,
+    savedDetails: differs(details, getSavedDetails()) ? details : undefined,
+    collections: differs(collections, getCollections()) ? collections : undefined
+  })
+  if (differs(custom, getCustomEvents())) saveCustomEvents(custom, { track: false })
+
+  setSyncMeta({
+    prefs: state.prefs.updatedAt,
+    ...Object.fromEntries(SYNC_COLLECTIONS.map(key => [key, stampsOf(state[key] || {})])),
+    dirty: false
+  })
+}
+
+let inFlight = null
+let pushTimer = null
+
+function schedulePush() {
+  if (!getAccount()) return
+  clearTimeout(pushTimer)
+  pushTimer = setTimeout(() => syncNow().catch(() => {}), PUSH_DELAY_MS)
+}
+
+/**
+ * Reconcile this browser with the account. Resolves with the merged state, or
+ * null when signed out. On failure the changes stay marked and are retried on
+ * the next change, when the browser comes back online, or on the next load.
+ */
+export function syncNow() {
+  if (!getAccount()) return Promise.resolve(null)
+  if (inFlight) return inFlight
+  inFlight = (async () => {
+    try {
+      const remote = await send('POST', `${API}/sync`, localState())
+      // changes made while the request was out are merged in and sent next time
+      const merged = mergeSyncState(localState(), remote)
+      applyState(merged)
+      const account = getAccount()
+      if (account) setAccount({ ...account, lastSyncedAt: new Date().toISOString() })
+      if (hasNewer(merged, remote)) {
+        setSyncMeta({ ...getSyncMeta(), dirty: true })
+        schedulePush()
+      }
+      return merged
+    } catch (err) {
+      setSyncMeta({ ...getSyncMeta(), dirty: true })
+      if (err.status === 401) setAccount(null) // session expired or revoked
+      throw err
+    } finally {
+      inFlight = null
+    }
+  })()
+  return inFlight
+}
+
+/** Check the session with the server; clears the local account if it's gone */
+export async function refreshAccount() {
+  try {
+    const { user } = await send('GET', API)
+    const account = { ...getAccount(), id: user.id, email: user.email, reviewer: Boolean(user.reviewer) }
+    setAccount(account)
+    return account
+  } catch (err) {
+    if (err.status === 401 || err.status === 404) setAccount(null)
+    else throw err // offline: keep what we have
+    return null
+  }
+}
+
+async function signIn(path, email, password) {
+  const { user } = await send('POST', `${API}/${path}`, { email, password })
+  setAccount({ id: user.id, email: user.email, reviewer: Boolean(user.reviewer), lastSyncedAt: null })
+  await syncNow()
+  return user
+}
+
+/** Create an account and move this browser's data into it */
+export function register(email, password) {
+  return signIn('register', email, password)
+}
+
+/** Sign in and merge this browser's data with the account */
+export function login(email, password) {
+  return signIn('login', email, password)
+}
+
+/**
+ * Sign out. Pending changes are sent first; then the account's data is removed
+ * from this browser (it stays in the account).
+ */
+export async function logout() {
+  if (getSyncMeta().dirty) await syncNow().catch(() => {})
+  await send('POST', `${API}/logout`).catch(() => {})
+  setAccount(null)
+  replaceSyncedData({ prefs: null, savedIds: [], savedDetails: {}, collections: [] })
+  saveCustomEvents([], { track: false })
+  setSyncMeta(null)
+}
+
+/**
+ * Keep the account in sync while the app is open: check the session and sync
+ * on start, push local changes shortly after they happen, retry when back
+ * online. Returns a cleanup function.
+ */
+export function startSync() {
+  const onOnline = () => { if (getAccount()) syncNow().catch(() => {}) }
+  window.addEventListener('sync-changed', schedulePush)
+  window.addEventListener('online', onOnline)
+  if (getAccount()) {
+    refreshAccount()
+      .then(account => account && syncNow())
+      .catch(() => {})
+  }
+  return () => {
+    clearTimeout(pushTimer)
+    window.removeEventListener('sync-changed', schedulePush)
+    window.removeEventListener('online', onOnline)
+  }
+}
@@ -1,15 +1,8 @@
 // src/lib/ai.js
 // Simple client-side heuristics to simulate "AI Summarize & Tag"
+import { TAXONOMY, tagKeywords, normalizeTags } from './taxonomy.js';
 
-const TAG_KEYWORDS = {
-    ai: ['ai','artificial intelligence','machine learning','ml','llm','prompt','gpt','computer vision','nlp','deep learning'],
-    finance: ['finance','fintech','investment','stocks','trading','portfolio','quant','valuation'],
-    swe: ['software','coding','programming','developer','engineer','web','app','fullstack','frontend','backend','react','python','javascript','typescript','api'],
-    entrepreneurship: ['startup','founder','pitch','vc','accelerator','incubator','entrepreneurship','ideation'],
-    workshop: ['workshop','hands-on','tutorial','lab','bootcamp'],
-    hackathon: ['hackathon','hackcamp','code sprint','coding marathon'],
-    networking: ['networking','mixer','meet and greet','coffee chat']
-  };
+const TAG_KEYWORDS = tagKeywords();
   const LEVEL_HINTS = {
     beginner: ['intro','101','no experience','all levels','getting started','basics','for everyone','new to'],
     intermediate: ['intermediate','some experience','prior experience','prerequisite','familiar with'],
@@ -28,26 +21,24 @@ const TAG_KEYWORDS = {
   }
   
   export function suggestTags(text = '', max = 5) {
-    const t = text.toLowerCase();
+    const t = ` ${text.toLowerCase().replace(/[^a-z0-9/+#-]+/g, ' ')} `;
     const scores = {};
     for (const [tag, words] of Object.entries(TAG_KEYWORDS)) {
-      scores[tag] = words.reduce((sum, w) => sum + (t.includes(w) ? 1 : 0), 0);
+      // whole words only, so "ai" doesn't match "detail"
+      scores[tag] = words.reduce((sum, w) => sum + (t.includes(` ${w} `) ? 1 : 0), 0);
     }
     // sort by score desc, then name
     const ranked = Object.entries(scores)
       .sort((a,b) => (b[1]-a[1]) || a[0].localeCompare(b[0]))
       .map(([tag]) => tag)
       .filter(tag => scores[tag] > 0);
-    // prioritize core interests first
-    const core = ['ai','finance','swe','entrepreneurship'];
-    const eventTypes = ['workshop','hackathon','networking'];
+    // topics first, then formats (hackathon, workshop, …)
+    const isFormat = (tag) => TAXONOMY.find(x => x.key === tag)?.category === 'Events';
     const pick = [
-      ...ranked.filter(t => core.includes(t)),
-      ...ranked.filter(t => eventTypes.includes(t)),
-      ...ranked.filter(t => !core.includes(t) && !eventTypes.includes(t))
+      ...ranked.filter(tag => !isFormat(tag)),
+      ...ranked.filter(isFormat)
     ];
-    // unique + limit
-    return [...new Set(pick)].slice(0, max);
+    return normalizeTags(pick).slice(0, max);
   }
   
   export function detectLevel(text = '') {
@@ -67,9 +58,54 @@ const TAG_KEYWORDS = {
     if (!evt.description?.trim()) missing.push('description');
     if (!evt.start) missing.push('start');
     if (!evt.location?.trim()) missing.push('location');
-    if (!evt.faculty?.trim()) missing.push('faculty');
+    const hasFaculty = Array.isArray(evt.faculties) ? evt.faculties.length > 0 : !!String(evt.faculty || '').trim();
+    if (!hasFaculty) missing.push('faculty');
     if (!evt.level?.trim()) missing.push('level');
     if (!evt.tags || evt.tags.length === 0) missing.push('tags');
     return missing;
   }
-  
\ No newline at end of file
+  
+  /**
+   * Ask the API server to summarize & tag an event; if it has no key or is
+   * unreachable, fall back to the local heuristics above.
+   * Resolves with { summary, tags, level, missing, source: 'server' | 'local', provider? }.
+   */
+  export async function summarizeEvent(evt = {}) {
+    const title = evt.title || '';
+    const description = evt.description || '';
+    try {
+      const res = await fetch('/api/ai/summarize', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          title,
+          description,
+          start: evt.start,
+          location: evt.location,
+          url: evt.url,
+          organizer: evt.organizer
+        })
+      });
+      if (res.ok) {
+        const data = await res.json();
+        return {
+          summary: data.summary || '',
+          tags: Array.isArray(data.tags) ? normalizeTags(data.tags) : [],
+          level: data.level || 'beginner',
+          missing: Array.isArray(data.missing) ? data.missing : [],
+          source: 'server',
+          provider: data.provider || 'server'
+        };
+      }
+    } catch {
+      // offline or no API server — use heuristics
+    }
+    const text = `${title}. ${description}`;
+    return {
+      summary: summarize(description || title),
+      tags: suggestTags(text),
+      level: detectLevel(text),
+      missing: findMissingFields(evt),
+      source: 'local'
+    };
+  }
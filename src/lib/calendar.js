@@ -1,4 +1,47 @@
 // src/lib/calendar.js
+// Calendar links and RFC 5545 (.ics) generation: CRLF line endings, lines folded
+// at 75 octets, local America/Vancouver times with a VTIMEZONE, optional VALARMs.
+import { toRRule, normalizeRecurrence, seriesOf } from './recurrence.js';
+import { getCalendarAlarms } from './storage.js';
+import { deadlineDate } from './deadline.js';
+import { TZID, wallClock } from './timezone.js';
+
+export { TZID };
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+// Placeholder address: ORGANIZER must be a URI, and clubs don't give us emails
+const ORGANIZER_MAILTO = 'mailto:noreply@ubc-events.invalid';
+
+// Pacific time rules (second Sunday of March / first Sunday of November)
+const VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${TZID}`,
+  `X-LIC-LOCATION:${TZID}`,
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:-0800',
+  'TZOFFSETTO:-0700',
+  'TZNAME:PDT',
+  'DTSTART:19700308T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:-0700',
+  'TZOFFSETTO:-0800',
+  'TZNAME:PST',
+  'DTSTART:19701101T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+/* Reminder choices offered in Settings (minutes before start) */
+export const ALARM_OPTIONS = [
+  { minutes: 7 * 24 * 60, label: '1 week before' },
+  { minutes: 24 * 60, label: '1 day before' },
+  { minutes: 3 * 60, label: '3 hours before' },
+  { minutes: 60, label: '1 hour before' },
+  { minutes: 15, label: '15 minutes before' }
+];
 
 /* Pads numbers to 2 digits (e.g., 7 -> "07") */
 function pad(n) { return String(n).padStart(2, '0'); }
@@ -14,20 +57,70 @@ function toICSDate(d) {
   const ss   = pad(dt.getUTCSeconds());
   return `${yyyy}${mm}${dd}T${hh}${mi}${ss}Z`;
 }
-/* Escape characters that ICS requires */
+
+/* Wall-clock time in Vancouver, for DTSTART;TZID=...: YYYYMMDDTHHMMSS */
+function toLocalICSDate(d) {
+  const w = wallClock(d);
+  const pad = (n, len = 2) => String(n).padStart(len, '0');
+  return `${pad(w.year, 4)}${pad(w.month)}${pad(w.day)}T${pad(w.hour)}${pad(w.minute)}${pad(w.second)}`;
+}
+
+/* Escape characters that ICS requires in TEXT values */
 function escapeICS(text = '') {
   return String(text)
     .replace(/\\/g, '\\\\') // backslash
     .replace(/;/g, '\\;')
     .replace(/,/g, '\\,')
-    .replace(/\n/g, '\\n');
+    .replace(/\r?\n/g, '\\n');
+}
+
+/* Parameter values (e.g. CN=) can't contain quotes; quote them when needed */
+function paramValue(text = '') {
+  const v = String(text).replace(/["\r\n]/g, '');
+  return /[:;,]/.test(v) ? `"${v}"` : v;
+}
+
+/* Fold a content line to 75 octets; continuation lines start with one space.
+   Counts UTF-8 bytes and never splits a character. */
+export function foldLine(line) {
+  const encoder = new TextEncoder();
+  const out = [];
+  let current = '';
+  let octets = 0;
+  for (const ch of line) {
+    const size = encoder.encode(ch).length;
+    const limit = out.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS; // leading space counts
+    if (octets + size > limit) {
+      out.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += ch;
+    octets += size;
+  }
+  out.push(current);
+  return out.join(CRLF + ' ');
+}
+
+/* Minutes before start -> VALARM trigger duration, e.g. -P1D, -PT1H, -PT15M */
+function alarmTrigger(minutes) {
+  if (minutes % (24 * 60) === 0) return `-P${minutes / (24 * 60)}D`;
+  if (minutes % 60 === 0) return `-PT${minutes / 60}H`;
+  return `-PT${minutes}M`;
+}
+
+/* A recurring event expanded for display carries its series start; exports use the series */
+function seriesTimes(evt) {
+  const { start, end } = seriesOf(evt);
+  return { start, end: end || (new Date(new Date(start).getTime() + 60 * 60 * 1000)) }; // +1h default
 }
 
 /* Build a Google Calendar URL (prefilled) for an event */
 export function googleCalendarUrl(evt) {
   if (!evt?.start) return '#';
-  const start = toICSDate(evt.start);
-  const end = toICSDate(evt.end || (new Date(new Date(evt.start).getTime() + 60 * 60 * 1000))); // +1h default
+  const times = seriesTimes(evt);
+  const start = toICSDate(times.start);
+  const end = toICSDate(times.end);
 
   const params = new URLSearchParams({
     action: 'TEMPLATE',
@@ -36,61 +129,188 @@ export function googleCalendarUrl(evt) {
     details: evt.url || evt.description || '',
     location: evt.location || ''
   });
+  // Google only takes the rule itself here; exception dates are .ics-only
+  const rrule = toRRule(evt.recurrence);
+  if (rrule) params.set('recur', `RRULE:${rrule}`);
 
   return `https://calendar.google.com/calendar/render?${params.toString()}`;
 }
 
-/* Build the full .ics file contents */
-export function buildICS(evt) {
-  if (!evt?.start) throw new Error('This event is missing a start time.');
-  const dtStart = toICSDate(evt.start);
-  const dtEnd   = toICSDate(evt.end || (new Date(new Date(evt.start).getTime() + 60 * 60 * 1000)));
-  const now     = toICSDate(new Date());
+/* VEVENT lines for one event (recurring events export the whole series) */
+function veventLines(evt, { now, alarms = [] }) {
+  const times   = seriesTimes(evt);
+  const rrule   = toRRule(evt.recurrence);
   const uid     = evt.id || (crypto?.randomUUID?.() || Math.random().toString(36).slice(2));
 
+  // Exception dates use the series' own wall-clock start time on that day
+  const startTime = toLocalICSDate(times.start).slice(8);
+  const exdates = (normalizeRecurrence(evt.recurrence)?.exdates || [])
+    .map(d => d.replace(/-/g, '') + startTime);
+
   const title = escapeICS(evt.title || 'Event');
-  const desc  = escapeICS(evt.url || evt.description || '');
+  const desc  = escapeICS([evt.description, evt.url].filter(Boolean).join('\n\n'));
   const loc   = escapeICS(evt.location || '');
+  const categories = (evt.tags || []).map(escapeICS).join(',');
 
   return [
-    'BEGIN:VCALENDAR',
-    'VERSION:2.0',
-    'PRODID:-//UBC Events//EN',
-    'CALSCALE:GREGORIAN',
-    'METHOD:PUBLISH',
     'BEGIN:VEVENT',
     `UID:${uid}`,
     `DTSTAMP:${now}`,
-    `DTSTART:${dtStart}`,
-    `DTEND:${dtEnd}`,
+    `DTSTART;TZID=${TZID}:${toLocalICSDate(times.start)}`,
+    `DTEND;TZID=${TZID}:${toLocalICSDate(times.end)}`,
+    ...(rrule ? [`RRULE:${rrule}`] : []),
+    ...(exdates.length ? [`EXDATE;TZID=${TZID}:${exdates.join(',')}`] : []),
     `SUMMARY:${title}`,
     `DESCRIPTION:${desc}`,
     `LOCATION:${loc}`,
-    'END:VEVENT',
+    ...(evt.organizer ? [`ORGANIZER;CN=${paramValue(evt.organizer)}:${ORGANIZER_MAILTO}`] : []),
+    ...(evt.url ? [`URL:${evt.url}`] : []),
+    ...(categories ? [`CATEGORIES:${categories}`] : []),
+    ...alarms.flatMap(minutes => [
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${title}`,
+      `TRIGGER:${alarmTrigger(minutes)}`,
+      'END:VALARM'
+    ]),
+    'END:VEVENT'
+  ];
+}
+
+/* All-day "Apply by" VEVENT for an event's application deadline */
+function deadlineLines(evt, { now, alarms = [] }) {
+  const due = deadlineDate(evt);
+  if (!due) return [];
+  const day = toLocalICSDate(due).slice(0, 8);
+  const next = new Date(Date.UTC(+day.slice(0, 4), +day.slice(4, 6) - 1, +day.slice(6, 8) + 1));
+  const nextDay = next.toISOString().slice(0, 10).replace(/-/g, '');
+  const title = escapeICS(`Apply by: ${evt.title || 'Event'}`);
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${evt.id}-deadline`,
+    `DTSTAMP:${now}`,
+    `DTSTART;VALUE=DATE:${day}`,
+    `DTEND;VALUE=DATE:${nextDay}`,
+    `SUMMARY:${title}`,
+    `DESCRIPTION:${escapeICS(['Application deadline', evt.url].filter(Boolean).join('\n'))}`,
+    'TRANSP:TRANSPARENT',
+    ...(evt.url ? [`URL:${evt.url}`] : []),
+    ...alarms.flatMap(minutes => [
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${title}`,
+      `TRIGGER:${alarmTrigger(minutes)}`,
+      'END:VALARM'
+    ]),
+    'END:VEVENT'
+  ];
+}
+
+/* Build one VCALENDAR holding many events; events without a start only export their deadline.
+   - name: calendar title shown by subscribing apps
+   - alarms: reminder offsets in minutes before start (defaults to the user's choice)
+   - deadlines: also add an all-day "Apply by" entry for each application deadline */
+export function buildCalendar(events, { name, alarms = getCalendarAlarms(), deadlines = true } = {}) {
+  const now = toICSDate(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//UBC Events//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...(name ? [`X-WR-CALNAME:${escapeICS(name)}`] : []),
+    `X-WR-TIMEZONE:${TZID}`,
+    ...VTIMEZONE,
+    ...events.filter(Boolean).flatMap(evt => [
+      ...(evt.start ? veventLines(evt, { now, alarms }) : []),
+      ...(deadlines ? deadlineLines(evt, { now, alarms }) : [])
+    ]),
     'END:VCALENDAR'
-  ].join('\n');
+  ];
+  return lines.map(foldLine).join(CRLF) + CRLF;
+}
+
+/* Build the full .ics file contents */
+export function buildICS(evt) {
+  if (!evt?.start) throw new Error('This event is missing a start time.');
+  return buildCalendar([evt]);
+}
+
+/* Save .ics text as a file in the browser */
+function saveICSFile(ics, name) {
+  const blob = new Blob([ics], { type: 'text/calendar;charset=utf-8' });
+  const url  = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  const slug = (name || 'event')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/(^-|-$)/g, '');
+
+  a.href = url;
+  a.download = `${slug || 'event'}.ics`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 2000);
 }
 
 /* Trigger a download of the .ics file in the browser */
 export function downloadICS(evt) {
   try {
-    const ics = buildICS(evt);
-    const blob = new Blob([ics], { type: 'text/calendar;charset=utf-8' });
-    const url  = URL.createObjectURL(blob);
-
-    const a = document.createElement('a');
-    const slug = (evt.title || 'event')
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/(^-|-$)/g, '');
-
-    a.href = url;
-    a.download = `${slug || 'event'}.ics`;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    setTimeout(() => URL.revokeObjectURL(url), 2000);
+    saveICSFile(buildICS(evt), evt.title);
   } catch (e) {
     alert(e.message || 'Unable to generate calendar invite.');
   }
 }
+
+/* Download one .ics containing every event in the list; returns how many were included */
+export function downloadCalendar(events, name = 'ubc-events') {
+  const dated = events.filter(evt => evt?.start || deadlineDate(evt));
+  if (!dated.length) throw new Error('None of these events have a start time or deadline.');
+  saveICSFile(buildCalendar(dated, { name }), name);
+  return dated.length;
+}
+
+/* ---------- Subscribable feed (GET /api/calendar/:token.ics) ---------- */
+
+const SUBSCRIPTION_KEY = 'ubc:calendarSubscription'; // { token, mode }
+
+export function getCalendarSubscription() {
+  try { return JSON.parse(localStorage.getItem(SUBSCRIPTION_KEY)) || null; } catch { return null; }
+}
+
+/* Absolute feed URL for calendar apps (webcal:// makes them subscribe instead of import) */
+export function calendarFeedUrl(sub, { webcal = false } = {}) {
+  if (!sub?.token) return '';
+  const url = `${window.location.origin}/api/calendar/${sub.token}.ics`;
+  return webcal ? url.replace(/^https?:/, 'webcal:') : url;
+}
+
+/* Create (or update) this browser's subscription. mode: 'saved' | 'personalized' */
+export async function subscribeCalendar({ mode, ids, prefs }) {
+  const existing = getCalendarSubscription();
+  const res = await fetch(existing ? `/api/calendar/subscriptions/${existing.token}` : '/api/calendar/subscriptions', {
+    method: existing ? 'PUT' : 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ mode, ids, prefs, alarms: getCalendarAlarms() })
+  });
+  if (existing && res.status === 404) {
+    // server forgot the token (e.g. data reset) — start a fresh feed
+    localStorage.removeItem(SUBSCRIPTION_KEY);
+    return subscribeCalendar({ mode, ids, prefs });
+  }
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || 'Could not create calendar feed.');
+  const sub = { token: data.token, mode: data.mode };
+  localStorage.setItem(SUBSCRIPTION_KEY, JSON.stringify(sub));
+  return sub;
+}
+
+/* Push the latest saves/prefs to an existing subscription (no-op without one) */
+export function syncCalendarSubscription({ ids, prefs }) {
+  const sub = getCalendarSubscription();
+  if (!sub) return Promise.resolve(null);
+  return subscribeCalendar({ mode: sub.mode, ids, prefs }).catch(() => null);
+}
@@ -0,0 +1,155 @@
+// src/lib/calendarLayout.js
+// Date math and layout for the /calendar views: month grids, event instances
+// per day (recurring events expanded, multi-day events split per day) and
+// side-by-side columns for events that overlap in time.
+// Weeks start on Monday. (.ics generation lives in calendar.js.)
+
+import { occurrences, dayKey } from './recurrence.js'
+import { DEFAULT_DURATION_MS } from './lifecycle.js'
+
+export const CALENDAR_VIEWS = ['month', 'week', 'agenda']
+export const AGENDA_DAYS = 30
+
+export function startOfDay(d) {
+  const x = new Date(d)
+  x.setHours(0, 0, 0, 0)
+  return x
+}
+
+/** Calendar-day arithmetic (safe across DST changes) */
+export function addDays(d, n) {
+  const x = new Date(d)
+  x.setDate(x.getDate() + n)
+  return x
+}
+
+export function addMonths(d, n) {
+  const x = new Date(d)
+  const day = x.getDate()
+  x.setDate(1)
+  x.setMonth(x.getMonth() + n)
+  // clamp the 31st to the last day of shorter months
+  x.setDate(Math.min(day, new Date(x.getFullYear(), x.getMonth() + 1, 0).getDate()))
+  return x
+}
+
+export function startOfWeek(d) {
+  const x = startOfDay(d)
+  return addDays(x, -((x.getDay() + 6) % 7))
+}
+
+/** 'YYYY-MM-DD' -> local midnight, or null */
+export function parseDay(s) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s || '')) return null
+  const d = new Date(`${s}T00:00:00`)
+  return Number.isFinite(d.getTime()) ? d : null
+}
+
+/** Weeks (arrays of 7 days) covering the month `date` is in */
+export function monthWeeks(date) {
+  const first = new Date(date.getFullYear(), date.getMonth(), 1)
+  const last = new Date(date.getFullYear(), date.getMonth() + 1, 0)
+  const weeks = []
+  for (let d = startOfWeek(first); d <= last; d = addDays(d, 7)) {
+    weeks.push(Array.from({ length: 7 }, (_, i) => addDays(d, i)))
+  }
+  return weeks
+}
+
+/** Days a view shows around the focused day: { from, to } with `to` exclusive */
+export function viewRange(view, date) {
+  if (view === 'month') {
+    const weeks = monthWeeks(date)
+    return { from: weeks[0][0], to: addDays(weeks[weeks.length - 1][6], 1) }
+  }
+  if (view === 'week') {
+    const from = startOfWeek(date)
+    return { from, to: addDays(from, 7) }
+  }
+  const from = startOfDay(date)
+  return { from, to: addDays(from, AGENDA_DAYS) }
+}
+
+/**
+ * One instance per occurrence overlapping [from, to):
+ * [{ key, evt, start, end, saved }] with start/end as Dates, sorted by start.
+ */
+export function eventInstances(events, { from, to }, { savedIds = [] } = {}) {
+  const saved = new Set(savedIds.map(String))
+  const out = []
+  for (const evt of events) {
+    // start-only events still need a length for the timeline
+    const occ = occurrences(evt, { from: from.getTime() - DEFAULT_DURATION_MS, to: to.getTime() - 1 })
+    for (const o of occ) {
+      const start = new Date(o.start)
+      const end = o.end ? new Date(o.end) : new Date(start.getTime() + DEFAULT_DURATION_MS)
+      if (end <= from || start >= to) continue
+      out.push({ key: `${evt.id}:${o.start}`, evt, start, end, saved: saved.has(String(evt.id)) })
+    }
+  }
+  return out.sort((a, b) => a.start - b.start || b.end - a.end)
+}
+
+/**
+ * Map of day key (YYYY-MM-DD) -> that day's pieces of each instance, laid out
+ * with layoutDay. Each piece has segStart/segEnd clipped to the day.
+ */
+export function instancesByDay(instances, { from, to }) {
+  const days = new Map()
+  for (let d = startOfDay(from); d < to; d = addDays(d, 1)) days.set(dayKey(d), [])
+  for (const inst of instances) {
+    for (let d = startOfDay(inst.start); d < inst.end && d < to; d = addDays(d, 1)) {
+      const list = days.get(dayKey(d))
+      if (!list) continue
+      const next = addDays(d, 1)
+      list.push({
+        ...inst,
+        segStart: inst.start > d ? inst.start : d,
+        segEnd: inst.end < next ? inst.end : next
+      })
+    }
+  }
+  for (const [key, list] of days) days.set(key, layoutDay(list))
+  return days
+}
+
+/**
+ * Side-by-side layout for one day's pieces: groups of transitively overlapping
+ * events share the width, each in the first free column. Adds { col, cols,
+ * overlaps } where overlaps lists the other events it clashes with.
+ */
+export function layoutDay(pieces) {
+  const sorted = pieces.slice().sort((a, b) => a.segStart - b.segStart || b.segEnd - a.segEnd)
+  const out = []
+  let group = []
+  let groupEnd = -Infinity
+  let columnEnds = []
+
+  const closeGroup = () => {
+    for (const p of group) p.cols = columnEnds.length
+    group = []
+    columnEnds = []
+  }
+
+  for (const piece of sorted) {
+    if (piece.segStart >= groupEnd) {
+      closeGroup()
+      groupEnd = -Infinity
+    }
+    let col = columnEnds.findIndex(end => end <= piece.segStart)
+    if (col === -1) col = columnEnds.length
+    columnEnds[col] = piece.segEnd
+    const placed = { ...piece, col, cols: 1, overlaps: [] }
+    for (const other of group) {
+      if (other.segEnd > placed.segStart && other.evt.id !== placed.evt.id) {
+        other.overlaps.push(placed.evt)
+        placed.overlaps.push(other.evt)
+      }
+    }
+    group.push(placed)
+    out.push(placed)
+    groupEnd = Math.max(groupEnd, piece.segEnd)
+  }
+  closeGroup()
+  return out
+}
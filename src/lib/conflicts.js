@@ -0,0 +1,85 @@
+// src/lib/conflicts.js
+// Time clashes among saved events. An occurrence without an end lasts the
+// default hour (DEFAULT_DURATION_MS, the same +1h calendar.js uses). Only
+// occurrences from now until CONFLICT_HORIZON_DAYS out count, so two weekly
+// series that clash are reported once, with how many times they do.
+
+import { eventInstances, addDays } from './calendarLayout.js'
+import { scoreEvent } from './recommend.js'
+import { deadlineStatus } from './deadline.js'
+import { getAllEventsMerged } from './data.js'
+import { getSavedIds, getUserPrefs } from './storage.js'
+
+export const CONFLICT_HORIZON_DAYS = 180
+// recommender score gap below which neither event is clearly the better fit
+const SCORE_MARGIN = 0.5
+
+/**
+ * Overlapping pairs of events, soonest first:
+ * [{ a, b, start, end, times }] where start/end (Dates) bound the first overlap.
+ */
+export function findConflicts(events, { now = Date.now() } = {}) {
+  const from = new Date(now)
+  const instances = eventInstances(events, { from, to: addDays(from, CONFLICT_HORIZON_DAYS) })
+  const byPair = new Map()
+  for (let i = 0; i < instances.length; i++) {
+    const x = instances[i]
+    // instances are sorted by start, so only later ones starting before x ends can overlap it
+    for (let j = i + 1; j < instances.length && instances[j].start < x.end; j++) {
+      const y = instances[j]
+      if (String(x.evt.id) === String(y.evt.id)) continue
+      const key = [x.evt.id, y.evt.id].map(String).sort().join('|')
+      const found = byPair.get(key)
+      if (found) found.times++
+      else byPair.set(key, { a: x.evt, b: y.evt, start: y.start, end: y.end < x.end ? y.end : x.end, times: 1 })
+    }
+  }
+  return [...byPair.values()].sort((p, q) => p.start - q.start)
+}
+
+/** Conflicts between evt and the other events */
+export function conflictsWith(evt, events, opts) {
+  const others = events.filter(e => String(e.id) !== String(evt.id))
+  return findConflicts([evt, ...others], opts)
+    .filter(c => String(c.a.id) === String(evt.id) || String(c.b.id) === String(evt.id))
+    .map(c => (String(c.a.id) === String(evt.id) ? c : { ...c, a: c.b, b: c.a }))
+}
+
+/** Conflicts between evt and what's saved in this browser (loads the event list) */
+export async function savedConflictsFor(evt) {
+  const saved = new Set(getSavedIds().map(String))
+  const all = await getAllEventsMerged()
+  return conflictsWith(evt, all.filter(e => saved.has(String(e.id))))
+}
+
+/**
+ * Which of a conflicting pair to drop: { drop, keep, reason }, or drop: null
+ * when there's nothing to choose between them.
+ */
+export function suggestDrop({ a, b }, { prefs = getUserPrefs(), now = Date.now() } = {}) {
+  const closed = e => !!deadlineStatus(e, now)?.closed
+  if (closed(a) !== closed(b)) {
+    const [drop, keep] = closed(a) ? [a, b] : [b, a]
+    return { drop, keep, reason: `applications for ${drop.title} have closed` }
+  }
+  if (!!a.recurrence !== !!b.recurrence) {
+    const [drop, keep] = a.recurrence ? [a, b] : [b, a]
+    return { drop, keep, reason: `${drop.title} repeats, so you can catch another session` }
+  }
+  if (prefs) {
+    const sa = scoreEvent(a, { prefs, now }).score
+    const sb = scoreEvent(b, { prefs, now }).score
+    if (Math.abs(sa - sb) >= SCORE_MARGIN) {
+      const [drop, keep] = sa < sb ? [a, b] : [b, a]
+      return { drop, keep, reason: `${keep.title} is a closer match for your interests` }
+    }
+  }
+  return { drop: null, keep: null, reason: 'they look equally relevant — keep the one you’d rather attend' }
+}
+
+/** "Sat, Nov 22, 6:00 – 8:00 PM" for the overlapping window */
+export function describeOverlap({ start, end }) {
+  const day = start.toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' })
+  const time = d => d.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })
+  return `${day}, ${time(start)} – ${time(end)}`
+}
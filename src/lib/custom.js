@@ -1,4 +1,6 @@
 // src/lib/custom.js
+import { markChanged } from './storage.js';
+
 const KEY = 'ubc:customEvents';
 
 export function getCustomEvents() {
@@ -6,8 +8,22 @@ export function getCustomEvents() {
   catch { return []; }
 }
 
-export function saveCustomEvents(list) {
+/* Writes are stamped for account sync unless { track: false } (data coming from the account) */
+export function saveCustomEvents(list, { track = true } = {}) {
+  const prev = track ? getCustomEvents() : [];
   localStorage.setItem(KEY, JSON.stringify(list));
+  try {
+    window.dispatchEvent(new CustomEvent('custom-events-updated', { detail: list }));
+  } catch {
+    // ignore if CustomEvent isn't supported
+  }
+  if (!track) return;
+  const before = new Map(prev.map(e => [String(e.id), JSON.stringify(e)]));
+  const ids = new Set(list.map(e => String(e.id)));
+  markChanged('customEvents', {
+    changed: list.filter(e => before.get(String(e.id)) !== JSON.stringify(e)).map(e => e.id),
+    removed: prev.filter(e => !ids.has(String(e.id))).map(e => e.id),
+  });
 }
 
 export function addCustomEvent(evt) {
@@ -29,6 +45,28 @@ export function addCustomEvent(evt) {
   return withMeta;
 }
 
+export function getCustomEventById(id) {
+  return getCustomEvents().find(e => String(e.id) === String(id)) || null
+}
+
+export function updateCustomEvent(id, patch, { touch = true } = {}) {
+  // Update in place: keep id + createdAt, stamp updatedAt (unless it's just a status sync)
+  const list = getCustomEvents()
+  const idx = list.findIndex(e => String(e.id) === String(id))
+  if (idx === -1) return null
+  const prev = list[idx]
+  list[idx] = {
+    ...prev,
+    ...patch,
+    id: prev.id,
+    isCustom: true,
+    createdAt: prev.createdAt,
+    updatedAt: touch ? (patch.updatedAt || new Date().toISOString()) : prev.updatedAt,
+  }
+  saveCustomEvents(list)
+  return list[idx]
+}
+
 export function removeCustomEvent(id) {
   const next = getCustomEvents().filter(e => e.id !== id);
   saveCustomEvents(next);
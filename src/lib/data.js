@@ -1,86 +1,135 @@
 // src/lib/data.js
-// Data helpers for loading events (from public/events.json) and merging with custom events.
+// Data helpers for loading events (from the API server, falling back to public/events.json)
+// and merging with custom events.
 
 import { getCustomEvents } from './custom.js'
+import { normalizeRecurrence } from './recurrence.js'
+import { normalizeTags } from './taxonomy.js'
+import { normalizeFaculties } from './faculties.js'
 
-/**
- * Load events bundled in the app (public/events.json).
- * Returns an array of event objects.
+const API = '/api/events'
+const LEVELS = ['beginner', 'intermediate', 'advanced']
+
+/*
+ * Read the shared store; if the API server isn't running, use the bundled file.
+ * Resolves with { list, source }: source is 'api', or 'file' for the fallback.
  */
-export async function loadEvents() {
+async function fetchRawEvents() {
+  try {
+    const res = await fetch(API, { cache: 'no-store' })
+    if (res.ok) return { list: await res.json(), source: 'api' }
+  } catch {
+    // server unreachable — fall through to the static file
+  }
   const res = await fetch('/events.json', { cache: 'no-store' })
   if (!res.ok) throw new Error('Failed to load events.json')
-  const list = await res.json()
-  // Normalize minimal shape
-  return (Array.isArray(list) ? list : []).map(e => {
-    // Map public/events.json fields into the app's expected event shape.
-    // - title: the display title used by UI
-    // - description: (optional) summary / details
-    // - tags: array of lowercase strings used for interest matching
-    // - level: normalized difficulty -> beginner/intermediate/advanced
-    // - start / end: ISO date strings used by calendar helpers
-    // - url: external details link
-    // - faculty: single string (first item or 'All')
-
-    // Normalize tags from category array and include type as a tag
-    const categories = Array.isArray(e.category) ? e.category : (e.category ? [e.category] : [])
-    const normalizeTag = (s) => String(s || '').trim().toLowerCase().replace(/\s+/g, ' ')
-    const TAG_SYNONYMS = {
-      'data science': ['data science','ai'],
-      'ai': ['ai'],
-      'software': ['swe'],
-      'web': ['swe'],
-      'entrepreneurship': ['entrepreneurship'],
-      'business': ['business'],
-      'finance': ['finance']
-    }
-
-    const baseCats = categories.map(normalizeTag).filter(Boolean)
-    const typeTags = (e.type || '').toLowerCase().split('/').map(x => x.trim()).filter(Boolean)
-    const tags = [...new Set([
-      ...baseCats,
-      ...typeTags,
-      ...baseCats.flatMap(c => TAG_SYNONYMS[c] || []),
-      ...typeTags.flatMap(c => TAG_SYNONYMS[c] || [])
-    ])]
-
-    // Map difficulty to level used by the UI
-    const diff = String(e.difficulty || '').toLowerCase()
-    const level = diff.includes('easy') ? 'beginner' : diff.includes('medium') ? 'intermediate' : diff.includes('hard') ? 'advanced' : undefined
-
-    // Choose a faculty key: prefer an array first item, or string, else 'All'
-    let faculty = 'All'
-    if (Array.isArray(e.faculty) && e.faculty.length) faculty = e.faculty[0]
-    else if (typeof e.faculty === 'string' && e.faculty.trim()) faculty = e.faculty
-
-    // Build a small description if original missing
-    const description = e.description || [e.type, e.price ? `Price: ${e.price}` : null, e.applicationDeadline ? `Apply by ${e.applicationDeadline}` : null].filter(Boolean).join(' · ')
-
-    return {
-      // fallback id first, then keep original id
-      id: e.id ?? String(Math.random()).slice(2),
-      title: e.name || e.title || 'Untitled Event',
-      description,
-      organizer: e.organizer || undefined,
-      faculty,
-      level,
-      tags,
-      start: e.date || e.start || undefined,
-      end: e.end || undefined,
-      location: e.location || undefined,
-      url: e.link || e.url || undefined,
-      image: e.image || undefined,
-      // keep original fields for reference
-      raw: e
-    }
-  })
+  return { list: await res.json(), source: 'file' }
+}
+
+async function loadShared() {
+  const { list, source } = await fetchRawEvents()
+  return { events: (Array.isArray(list) ? list : []).map(normalizeEvent), source }
+}
+
+/**
+ * Load approved events from the shared event store (GET /api/events).
+ * Returns an array of normalized event objects.
+ */
+export async function loadEvents() {
+  return (await loadShared()).events
+}
+
+/**
+ * Map a stored record into the app's event shape. Handles both the
+ * public/events.json format (name/date/link/category/difficulty) and events
+ * submitted through the UI (title/start/url/tags/level).
+ */
+export function normalizeEvent(e) {
+  // Fields in the app's expected event shape:
+  // - title: the display title used by UI
+  // - description: (optional) summary / details
+  // - tags: canonical taxonomy keys (see taxonomy.js) used for interest matching
+  // - level: normalized difficulty -> beginner/intermediate/advanced
+  // - start / end: ISO date strings used by calendar helpers (first occurrence if recurring)
+  // - recurrence: optional repeat rule, see recurrence.js
+  // - deadline: application deadline (date or ISO), see deadline.js
+  // - url: external details link
+  // - faculties: faculty codes (see faculties.js); 'all' = open to everyone, [] = not given
+  // - price / type: as given ("Free", "$10"; "Startup Competition / Hackathon"), see facets.js
+  // - capacity: optional number of places, for the "Filling up" indicator (popularity.js)
+
+  // Tags: categories, explicit tags and the event type, mapped onto the shared taxonomy
+  const categories = Array.isArray(e.category) ? e.category : (e.category ? [e.category] : [])
+  const typeTags = String(e.type || '').split('/')
+  const tags = normalizeTags([...categories, ...(Array.isArray(e.tags) ? e.tags : []), ...typeTags])
+
+  // Map difficulty to level used by the UI
+  const diff = String(e.difficulty || '').toLowerCase()
+  const level = LEVELS.includes(e.level)
+    ? e.level
+    : diff.includes('easy') ? 'beginner' : diff.includes('medium') ? 'intermediate' : diff.includes('hard') ? 'advanced' : undefined
+
+  // Build a small description if original missing
+  const description = e.description || [e.type, e.price ? `Price: ${e.price}` : null].filter(Boolean).join(' · ')
+
+  return {
+    // fallback id first, then keep original id
+    id: e.id ?? String(Math.random()).slice(2),
+    title: e.name || e.title || 'Untitled Event',
+    description,
+    summary: e.summary || undefined,
+    organizer: e.organizer || undefined,
+    faculties: normalizeFaculties(e.faculties ?? e.faculty),
+    level,
+    tags,
+    price: e.price || undefined,
+    type: e.type || undefined,
+    capacity: Number(e.capacity) > 0 ? Math.floor(Number(e.capacity)) : undefined,
+    start: e.date || e.start || undefined,
+    end: e.end || undefined,
+    deadline: e.deadline || e.applicationDeadline || undefined,
+    recurrence: normalizeRecurrence(e.recurrence || e.rrule) || undefined,
+    location: e.location || undefined,
+    url: e.link || e.url || undefined,
+    image: e.image || undefined,
+    isCustom: e.isCustom || undefined,
+    createdAt: e.createdAt || undefined,
+    updatedAt: e.updatedAt || undefined,
+    status: e.status || 'approved',
+    reviewNotes: e.reviewNotes || [],
+    // keep original fields for reference
+    raw: e
+  }
+}
+
+/**
+ * Merge the shared store with this browser's custom events (custom first), and
+ * say where the shared events came from: { events, source } with source 'api'
+ * (the shared store), 'file' (the bundled events.json: the API server wasn't
+ * reachable, so server-only submissions are missing) or null (nothing loaded).
+ * Only with 'api' does an id that isn't listed mean the event is gone.
+ * Local custom events that also exist on the server are taken from the server;
+ * local copies of submissions still under review, or being deleted, are left out.
+ */
+export async function loadAllEvents() {
+  const { events: shared, source } = await loadShared().catch(() => ({ events: [], source: null }))
+  const sharedIds = new Set(shared.map(e => String(e.id)))
+  const localOnly = getCustomEvents()
+    .filter(e => !sharedIds.has(String(e.id)) && !e.deleting)
+    .filter(e => !e.status || e.status === 'approved')
+  return {
+    events: [
+      ...localOnly,
+      ...shared.filter(e => e.isCustom),
+      ...shared.filter(e => !e.isCustom)
+    ],
+    source
+  }
 }
 
-/** Merge custom events (localStorage) with file events (custom first). */
+/** loadAllEvents() without the source: everything this browser can show right now. */
 export async function getAllEventsMerged() {
-  const fileEvents = await loadEvents().catch(() => [])
-  const custom = getCustomEvents()
-  return [...custom, ...fileEvents]
+  return (await loadAllEvents()).events
 }
 
 /** Find a single event by ID across both sources, or return null. */
@@ -88,3 +137,71 @@ export async function getEventById(id) {
   const all = await getAllEventsMerged()
   return all.find(e => String(e.id) === String(id)) || null
 }
+
+/* ---------- Writes to the shared store ---------- */
+
+async function send(method, url, body, headers = {}) {
+  const res = await fetch(url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json', ...headers } : headers,
+    body: body ? JSON.stringify(body) : undefined
+  })
+  if (res.status === 204) return null
+  const data = await res.json().catch(() => ({}))
+  if (!res.ok) {
+    const err = new Error(data.error || `Request failed (${res.status})`)
+    err.status = res.status // 401 not signed in, 403 not allowed
+    throw err
+  }
+  return data
+}
+
+/* Proves this browser submitted the event (see createEvent) */
+const ownerHeaders = ownerToken => (ownerToken ? { 'X-Owner-Token': ownerToken } : {})
+
+/**
+ * Publish a new event to the shared store. Resolves with the stored record plus
+ * its ownerToken, which editing and deleting it later require (keep it with the
+ * local copy). Signed-in submitters can also use their account instead.
+ */
+export function createEvent(evt) {
+  return send('POST', API, evt)
+}
+
+/** Update an event this browser (or account) submitted. Resolves with the stored record. */
+export function updateEvent(id, patch, ownerToken) {
+  return send('PUT', `${API}/${encodeURIComponent(id)}`, patch, ownerHeaders(ownerToken))
+}
+
+/**
+ * One submission as the server has it, whatever its status, or null if it's gone.
+ * Only its submitter (session or ownerToken) sees it before it's approved.
+ * pendingEdit is set while an edit to the live event awaits review.
+ */
+export async function fetchSubmission(id, ownerToken) {
+  try {
+    return await send('GET', `${API}/${encodeURIComponent(id)}`, undefined, ownerHeaders(ownerToken))
+  } catch (err) {
+    if (err.status === 404) return null
+    throw err
+  }
+}
+
+/**
+ * Load submissions with a moderation status ('pending' by default); reviewers only.
+ * The pending queue includes edits to live events (raw.editedFields lists what changed).
+ */
+export async function loadReviewQueue(status = 'pending') {
+  const list = await send('GET', `${API}?status=${encodeURIComponent(status)}`)
+  return (Array.isArray(list) ? list : []).map(normalizeEvent)
+}
+
+/** Record a reviewer decision: action is 'approve' | 'reject' | 'request-changes'. */
+export function reviewEvent(id, action, note = '') {
+  return send('POST', `${API}/${encodeURIComponent(id)}/review`, { action, note })
+}
+
+/** Delete an event this browser (or account) submitted from the shared store. */
+export function deleteEvent(id, ownerToken) {
+  return send('DELETE', `${API}/${encodeURIComponent(id)}`, undefined, ownerHeaders(ownerToken))
+}
@@ -0,0 +1,51 @@
+// src/lib/deadline.js
+// Application deadlines: events carry `deadline` as a date ('YYYY-MM-DD', closes
+// at the end of that day in Vancouver) or a full ISO timestamp.
+
+import { TZID, fromWallClock } from './timezone.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+export const CLOSING_SOON_DAYS = 7
+
+/** The moment applications close, or null if the event has no (valid) deadline. */
+export function deadlineDate(evt) {
+  if (!evt?.deadline) return null
+  const s = String(evt.deadline)
+  const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(s)
+  const d = day
+    ? fromWallClock({ year: +day[1], month: +day[2], day: +day[3], hour: 23, minute: 59, second: 59 })
+    : new Date(s)
+  return Number.isFinite(d.getTime()) ? d : null
+}
+
+/**
+ * Countdown info for badges and sorting:
+ * { date, msLeft, closed, soon, label } or null when there's no deadline.
+ */
+export function deadlineStatus(evt, now = Date.now()) {
+  const date = deadlineDate(evt)
+  if (!date) return null
+  const msLeft = date.getTime() - now
+  const closed = msLeft < 0
+  const soon = !closed && msLeft <= CLOSING_SOON_DAYS * DAY_MS
+
+  let label
+  if (closed) label = 'Applications closed'
+  else if (msLeft < DAY_MS) {
+    const hours = Math.max(1, Math.floor(msLeft / (60 * 60 * 1000)))
+    label = `Apply within ${hours}h`
+  } else if (msLeft <= 14 * DAY_MS) {
+    const days = Math.floor(msLeft / DAY_MS)
+    label = `Apply in ${days} day${days === 1 ? '' : 's'}`
+  } else {
+    label = `Apply by ${date.toLocaleDateString([], { month: 'short', day: 'numeric', timeZone: TZID })}`
+  }
+  return { date, msLeft, closed, soon, label }
+}
+
+/** Badge text with an icon that reflects urgency */
+export function deadlineBadge(evt, now) {
+  const s = deadlineStatus(evt, now)
+  if (!s) return ''
+  return `${s.closed ? '🔒' : s.soon ? '⏰' : '📝'} ${s.label}`
+}
@@ -0,0 +1,73 @@
+// src/lib/engagement.js
+// Reports opens, saves, calendar adds and shares to the API server, which
+// counts them across everyone and ranks Trending (server/engagement.js).
+// Reporting is fire-and-forget: offline, or for events only this browser
+// knows about, nothing happens and nothing breaks. Saves and calendar adds
+// only count for signed-in users, so they aren't sent without an account.
+
+import { getClientId, getAccount } from './storage.js'
+
+const ACCOUNT_KINDS = ['save', 'unsave', 'calendar'] // server/engagement.js
+
+const STATS_TTL_MS = 60 * 1000
+let statsCache = null // { at, promise } for loadEngagement()
+
+/** Tell the server this browser opened/saved/unsaved/added to calendar/shared an event */
+export function trackEngagement(eventId, kind) {
+  if (!eventId) return
+  try {
+    if (ACCOUNT_KINDS.includes(kind) && !getAccount()) return
+    fetch(`/api/events/${encodeURIComponent(eventId)}/engagement`, {
+      method: 'POST',
+      credentials: 'same-origin',
+      keepalive: true, // still delivered if the click navigates away
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ kind, clientId: getClientId() })
+    })
+      .then(() => { statsCache = null }) // so our own engagement shows on the next load
+      .catch(() => {})
+  } catch {
+    // no fetch/localStorage (e.g. tests): skip
+  }
+}
+
+/**
+ * Trending events across all users, highest score first:
+ * [{ id, score, counts: { open, save, calendar, share } }].
+ * faculty/interests ask for that slice (events open to the faculty, tagged with an interest).
+ */
+export async function fetchTrending({ faculty, interests = [], limit = 10 } = {}) {
+  const params = new URLSearchParams({ limit: String(limit) })
+  if (faculty) params.set('faculty', faculty)
+  for (const i of interests) params.append('interest', i)
+  const res = await fetch(`/api/trending?${params}`)
+  if (!res.ok) throw new Error(`Trending request failed (${res.status})`)
+  const data = await res.json()
+  return Array.isArray(data.events) ? data.events : []
+}
+
+/**
+ * Engagement stats for all events, { [id]: { score, counts, rank } } (see
+ * popularity.js). Shared by every card on a page and refetched after a minute;
+ * resolves to {} when the API server isn't reachable.
+ */
+export function loadEngagement() {
+  if (statsCache && Date.now() - statsCache.at < STATS_TTL_MS) return statsCache.promise
+  const promise = fetch('/api/engagement')
+    .then(res => (res.ok ? res.json() : { events: {} }))
+    .then(data => data.events || {})
+    .catch(() => ({}))
+  statsCache = { at: Date.now(), promise }
+  return promise
+}
+
+/** "12 saves · 30 views" style summary of counts; '' when there's nothing to show */
+export function describeEngagement({ save = 0, open = 0, calendar = 0, share = 0 } = {}) {
+  const part = (n, one, many) => (n ? `${n} ${n === 1 ? one : many}` : null)
+  return [
+    part(save, 'save', 'saves'),
+    part(open, 'view', 'views'),
+    part(calendar, 'calendar add', 'calendar adds'),
+    part(share, 'share', 'shares')
+  ].filter(Boolean).join(' · ')
+}
@@ -0,0 +1,156 @@
+// src/lib/facets.js
+// Facets for narrowing the Feed: date range, cost, level, event type,
+// organizer, location and tags. Counts are computed from whatever pool is on
+// screen, so they always add up to what a click would show.
+//
+// Within a facet, picking several values means "any of them"; different facets
+// combine with AND. Each facet's counts ignore that facet's own selection, so
+// picking "Workshop" still shows how many hackathons there are.
+
+import { occurrences } from './recurrence.js'
+import { tagLabel } from './taxonomy.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const DATE_RANGES = [
+  { key: 'today', label: 'Today' },
+  { key: 'week', label: 'This week' },
+  { key: 'month', label: 'This month' }
+]
+
+export const COSTS = [
+  { key: 'free', label: 'Free' },
+  { key: 'paid', label: 'Paid' }
+]
+
+/* Multi-value facets: filter key -> values an event has for it */
+const VALUE_FACETS = {
+  types: eventTypes,
+  orgs: e => (e.organizer ? [e.organizer.trim()] : []),
+  locs: e => (e.location ? [locationName(e.location)] : []),
+  tags: e => e.tags || []
+}
+
+/** Display label for a value of a multi-value facet */
+export function facetLabel(key, value) {
+  return key === 'tags' ? `#${tagLabel(value)}` : value
+}
+
+/** "Startup Competition / Hackathon" -> ['Startup Competition', 'Hackathon'] */
+export function eventTypes(evt) {
+  return String(evt.type || '').split('/').map(s => s.trim()).filter(Boolean)
+}
+
+/** Venue without the room or area: "AMS Nest, UBC" and "AMS Nest" group together */
+export function locationName(location) {
+  return String(location).split(/[,(]/)[0].trim() || String(location).trim()
+}
+
+/** 'free' | 'paid' | null when the event doesn't say */
+export function costOf(evt) {
+  const price = String(evt.price || '').trim()
+  if (!price) return null
+  if (/free/i.test(price) || /^\$?\s*0+(\.0+)?$/.test(price)) return 'free'
+  return /\d/.test(price) ? 'paid' : null
+}
+
+/* 'YYYY-MM-DD' -> local midnight in ms, or null */
+function dayStart(s) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s || '')) return null
+  const t = new Date(`${s}T00:00:00`).getTime()
+  return Number.isFinite(t) ? t : null
+}
+
+/**
+ * [from, to] in ms for a date range key. Ranges run from the start of today:
+ * 'week' to the end of Sunday, 'month' to the end of the month. 'custom' uses
+ * the from/to dates (either may be open), both days included.
+ */
+export function dateRange(key, { from, to } = {}, now = Date.now()) {
+  const today = new Date(now)
+  today.setHours(0, 0, 0, 0)
+  const start = today.getTime()
+  if (key === 'today') return [start, start + DAY_MS - 1]
+  if (key === 'week') {
+    const daysLeft = (7 - today.getDay()) % 7 // Sunday ends the week
+    return [start, start + (daysLeft + 1) * DAY_MS - 1]
+  }
+  if (key === 'month') {
+    const end = new Date(today.getFullYear(), today.getMonth() + 1, 1).getTime()
+    return [start, end - 1]
+  }
+  if (key === 'custom') {
+    const f = dayStart(from)
+    const t = dayStart(to)
+    return [f ?? -Infinity, t == null ? Infinity : t + DAY_MS - 1]
+  }
+  return null
+}
+
+/* Does the event (any occurrence) overlap [from, to]? */
+function inRange(evt, range) {
+  if (!range) return true
+  return occurrences(evt, { from: range[0], to: range[1], limit: 1 }).length > 0
+}
+
+/* Whether the event passes each facet on its own */
+function facetChecks(evt, filters, now) {
+  const anyOf = (key, selected = []) => !selected.length || VALUE_FACETS[key](evt).some(v => selected.includes(v))
+  return {
+    when: !filters.when || filters.when === 'any' || inRange(evt, dateRange(filters.when, filters, now)),
+    cost: !filters.cost || filters.cost === 'any' || costOf(evt) === filters.cost,
+    level: !filters.level || filters.level === 'all' || evt.level === filters.level,
+    types: anyOf('types', filters.types),
+    orgs: anyOf('orgs', filters.orgs),
+    locs: anyOf('locs', filters.locs),
+    tags: anyOf('tags', filters.tags)
+  }
+}
+
+/** Does an event pass every facet selection in filters? */
+export function matchesFacets(evt, filters, { now = Date.now() } = {}) {
+  return Object.values(facetChecks(evt, filters, now)).every(Boolean)
+}
+
+/**
+ * Counts for every facet value over a pool of events. Returns
+ *   { when: { today, week, month, custom? }, cost: { free, paid }, level: { beginner, … },
+ *     types: [{ value, count }], orgs: […], locs: […], tags: […] }
+ * with value lists sorted by count. Selected values are always listed, even at 0.
+ */
+export function facetCounts(pool, filters, { now = Date.now() } = {}) {
+  const out = { when: {}, cost: {}, level: {}, types: new Map(), orgs: new Map(), locs: new Map(), tags: new Map() }
+  const bump = (bucket, value) => {
+    if (bucket instanceof Map) bucket.set(value, (bucket.get(value) || 0) + 1)
+    else bucket[value] = (bucket[value] || 0) + 1
+  }
+  const ranges = DATE_RANGES.map(r => [r.key, dateRange(r.key, {}, now)])
+  if (filters.when === 'custom') ranges.push(['custom', dateRange('custom', filters, now)])
+
+  for (const evt of pool) {
+    const checks = facetChecks(evt, filters, now)
+    const failing = Object.keys(checks).filter(k => !checks[k])
+    if (failing.length > 1) continue // fails some other facet whichever one we count
+    const counts = key => !failing.length || failing[0] === key
+
+    if (counts('when')) {
+      for (const [key, range] of ranges) if (inRange(evt, range)) bump(out.when, key)
+    }
+    if (counts('cost')) {
+      const cost = costOf(evt)
+      if (cost) bump(out.cost, cost)
+    }
+    if (counts('level') && evt.level) bump(out.level, evt.level)
+    for (const key of Object.keys(VALUE_FACETS)) {
+      if (counts(key)) for (const v of new Set(VALUE_FACETS[key](evt))) bump(out[key], v)
+    }
+  }
+
+  for (const key of Object.keys(VALUE_FACETS)) {
+    for (const v of filters[key] || []) if (!out[key].has(v)) out[key].set(v, 0)
+    out[key] = [...out[key]]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)))
+  }
+  return out
+}
@@ -0,0 +1,100 @@
+// src/lib/faculties.js
+// The faculty registry: one code per faculty, with the labels and spellings
+// that appear in event data and older prefs ("Sauder", "Sauder (Business)",
+// "Business" are all `sauder`). Events carry a list of codes; ALL means the
+// event is open to every faculty.
+
+export const ALL = 'all'
+
+export const FACULTIES = [
+  { code: 'sauder', label: 'Sauder (Business)', short: 'Sauder',
+    aliases: ['sauder', 'business', 'commerce', 'bcom', 'sauder school of business', 'bucs'] },
+  { code: 'apsc', label: 'Applied Science / Engineering', short: 'Engineering',
+    aliases: ['engineering', 'applied science', 'apsc', 'engineer'] },
+  { code: 'science', label: 'Science', short: 'Science',
+    aliases: ['faculty of science'] },
+  { code: 'cs', label: 'Computer Science', short: 'CS', parent: 'science',
+    aliases: ['cs', 'cpsc', 'bucs'] },
+  { code: 'arts', label: 'Arts', short: 'Arts',
+    aliases: ['faculty of arts'] },
+  { code: 'lfs', label: 'Land & Food Systems', short: 'LFS',
+    aliases: ['lfs', 'land and food systems'] },
+  { code: 'forestry', label: 'Forestry', short: 'Forestry' },
+  { code: 'health', label: 'Medicine & Health Sciences', short: 'Health',
+    aliases: ['medicine', 'health', 'health sciences', 'public health', 'nursing', 'pharmacy'] },
+  { code: 'education', label: 'Education', short: 'Education' },
+  { code: 'law', label: 'Law', short: 'Law',
+    aliases: ['allard', 'allard school of law'] }
+]
+
+function clean(s) {
+  return String(s || '').trim().toLowerCase().replace(/\s+/g, ' ')
+}
+
+const BY_CODE = new Map(FACULTIES.map(f => [f.code, f]))
+
+// alias -> codes (an alias like "BUCS", a joint program, can name two faculties)
+const BY_ALIAS = new Map()
+for (const f of FACULTIES) {
+  for (const a of [f.code, f.label, f.short, ...(f.aliases || [])].map(clean)) {
+    BY_ALIAS.set(a, [...new Set([...(BY_ALIAS.get(a) || []), f.code])])
+  }
+}
+for (const a of ['all', 'all faculties', 'everyone', 'any']) BY_ALIAS.set(a, [ALL])
+
+/** Codes for one spelling; unknown names are kept as a cleaned string so nothing is lost. */
+function codesFor(name) {
+  const c = clean(name)
+  if (!c) return []
+  return BY_ALIAS.get(c) || [c]
+}
+
+/**
+ * Normalize an event's or user's faculty field (string or array, any spelling)
+ * to a de-duplicated list of codes.
+ */
+export function normalizeFaculties(value) {
+  const list = Array.isArray(value) ? value : [value]
+  return [...new Set(list.flatMap(codesFor))]
+}
+
+/** A single code for prefs (the user's own faculty); '' when unknown/empty. */
+export function facultyCode(value) {
+  return normalizeFaculties(value).find(c => c !== ALL) || ''
+}
+
+export function facultyLabel(code, { short = false } = {}) {
+  if (code === ALL) return 'All faculties'
+  const f = BY_CODE.get(code)
+  if (!f) return code
+  return short ? f.short : f.label
+}
+
+/* A faculty plus its parent/children (Computer Science sits inside Science) */
+function related(code) {
+  const f = BY_CODE.get(code)
+  return new Set([
+    code,
+    ...(f?.parent ? [f.parent] : []),
+    ...FACULTIES.filter(x => x.parent === code).map(x => x.code)
+  ])
+}
+
+/**
+ * How an event's faculty list relates to a user's faculty:
+ *   'exact'   the user's faculty (or its parent/child) is listed
+ *   'open'    open to everyone (ALL, or no faculty given)
+ *   null      aimed at other faculties only
+ */
+export function facultyMatch(eventCodes = [], userCode) {
+  if (userCode && eventCodes.some(c => related(userCode).has(c))) return 'exact'
+  if (!eventCodes.length || eventCodes.includes(ALL)) return 'open'
+  return null
+}
+
+/** Badge labels for an event: "All faculties" when open, then any faculties it names */
+export function facultyBadges(eventCodes = []) {
+  const specific = eventCodes.filter(c => c !== ALL)
+  const open = !specific.length || eventCodes.includes(ALL)
+  return [...(open ? [facultyLabel(ALL)] : []), ...specific.map(c => facultyLabel(c, { short: true }))]
+}
@@ -0,0 +1,125 @@
+// src/lib/feedFilters.js
+// Feed filters <-> URL query string, so a filtered feed can be reloaded,
+// shared, navigated with back/forward and kept as a saved search.
+//
+//   /feed?view=all&level=beginner&sort=date&q=hackathon&tag=ai&tag=web+dev
+//   /feed?when=week&cost=free&type=Workshop&org=UBC+BizTech&loc=AMS+Nest
+//   /feed?when=custom&from=2025-11-01&to=2025-11-30
+//   /feed?past=1                 include events that have ended (hidden by default)
+//
+// Defaults are left out of the URL to keep links short. Facet matching and
+// counts are in facets.js.
+
+import { tagLabel } from './taxonomy.js'
+import { recommend } from './recommend.js'
+import { buildSearchIndex, search } from './search.js'
+import { DATE_RANGES, COSTS, matchesFacets } from './facets.js'
+import { isPast } from './lifecycle.js'
+
+export const VIEWS = ['all', 'personalized']
+export const SORTS = ['relevance', 'recommended', 'trending', 'date', 'deadline']
+export const LEVELS = ['beginner', 'intermediate', 'advanced']
+const WHENS = ['any', 'custom', ...DATE_RANGES.map(r => r.key)]
+const COST_KEYS = ['any', ...COSTS.map(c => c.key)]
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/
+
+// multi-value facets: filters key -> repeated URL param
+const MULTI_PARAMS = { tags: 'tag', types: 'type', orgs: 'org', locs: 'loc' }
+
+/** Defaults; the view defaults to personalized once the user has a profile */
+export function feedDefaults({ hasProfile = false } = {}) {
+  return {
+    view: hasProfile ? 'personalized' : 'all', level: 'all', sort: 'trending', q: '', past: false,
+    when: 'any', from: '', to: '', cost: 'any', tags: [], types: [], orgs: [], locs: []
+  }
+}
+
+/** URLSearchParams (or a query string) -> filters, ignoring unknown values */
+export function parseFeedParams(params, opts) {
+  const p = params instanceof URLSearchParams ? params : new URLSearchParams(params || '')
+  const d = feedDefaults(opts)
+  const view = p.get('view')
+  const level = p.get('level')
+  const sort = p.get('sort')
+  const cost = p.get('cost')
+  const from = DATE_RE.test(p.get('from')) ? p.get('from') : d.from
+  const to = DATE_RE.test(p.get('to')) ? p.get('to') : d.to
+  // a from/to without a range key is a custom range
+  const when = WHENS.includes(p.get('when')) ? p.get('when') : (from || to ? 'custom' : d.when)
+  const filters = {
+    view: VIEWS.includes(view) ? view : d.view,
+    level: LEVELS.includes(level) ? level : d.level,
+    sort: SORTS.includes(sort) ? sort : d.sort,
+    q: p.get('q') || d.q,
+    past: p.get('past') === '1',
+    when,
+    from: when === 'custom' ? from : d.from,
+    to: when === 'custom' ? to : d.to,
+    cost: COST_KEYS.includes(cost) ? cost : d.cost
+  }
+  for (const [key, param] of Object.entries(MULTI_PARAMS)) {
+    filters[key] = [...new Set(p.getAll(param).filter(Boolean))]
+  }
+  return filters
+}
+
+/** filters -> URLSearchParams with defaults omitted */
+export function toFeedParams(filters, opts) {
+  const d = feedDefaults(opts)
+  const p = new URLSearchParams()
+  if (filters.view && filters.view !== d.view) p.set('view', filters.view)
+  if (filters.level && filters.level !== d.level) p.set('level', filters.level)
+  if (filters.sort && filters.sort !== d.sort) p.set('sort', filters.sort)
+  if (filters.q?.trim()) p.set('q', filters.q)
+  if (filters.past) p.set('past', '1')
+  if (filters.when && filters.when !== d.when) {
+    p.set('when', filters.when)
+    if (filters.when === 'custom') {
+      if (filters.from) p.set('from', filters.from)
+      if (filters.to) p.set('to', filters.to)
+    }
+  }
+  if (filters.cost && filters.cost !== d.cost) p.set('cost', filters.cost)
+  for (const [key, param] of Object.entries(MULTI_PARAMS)) {
+    for (const v of filters[key] || []) p.append(param, v)
+  }
+  return p
+}
+
+/** Short human name for a set of filters, e.g. "“hackathon” · #AI · beginner" */
+export function describeFilters(filters) {
+  const parts = []
+  if (filters.q?.trim()) parts.push(`“${filters.q.trim()}”`)
+  for (const t of filters.tags || []) parts.push(`#${tagLabel(t)}`)
+  if (filters.level && filters.level !== 'all') parts.push(filters.level)
+  const range = DATE_RANGES.find(r => r.key === filters.when)
+  if (range) parts.push(range.label.toLowerCase())
+  if (filters.when === 'custom' && (filters.from || filters.to)) parts.push(`${filters.from || '…'} – ${filters.to || '…'}`)
+  const cost = COSTS.find(c => c.key === filters.cost)
+  if (cost) parts.push(cost.label.toLowerCase())
+  for (const key of ['types', 'orgs', 'locs']) parts.push(...(filters[key] || []))
+  if (filters.view === 'personalized') parts.push('for you')
+  if (filters.past) parts.push('incl. ended')
+  return parts.join(' · ') || 'All events'
+}
+
+/** Facet and search filters over a pool of events (searchResults from search(), or null) */
+export function narrowEvents(pool, filters, searchResults, { now = Date.now() } = {}) {
+  return pool.filter(e =>
+    (!searchResults || searchResults.results.has(e.id)) &&
+    matchesFacets(e, filters, { now })
+  )
+}
+
+/**
+ * Every event a set of filters matches, in no particular order. The Feed builds
+ * the same thing step by step; this is for checking saved searches elsewhere.
+ */
+export function matchFeedFilters(events, filters, { prefs, savedIds = [] } = {}) {
+  if (!filters.past) events = events.filter(e => !isPast(e))
+  const pool = filters.view === 'personalized' && prefs
+    ? recommend(events, { prefs, savedIds }).filter(r => r.relevant).map(r => r.evt)
+    : events
+  const results = filters.q?.trim() ? search(buildSearchIndex(pool), filters.q) : null
+  return narrowEvents(pool, filters, results)
+}
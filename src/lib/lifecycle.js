@@ -0,0 +1,42 @@
+// src/lib/lifecycle.js
+// Where an event is in time: 'upcoming', 'ongoing' or 'past'. A recurring
+// series is past once its last occurrence has ended (open-ended series never
+// are). Events with only a start are assumed to run DEFAULT_DURATION_MS, the
+// same hour calendar.js gives them.
+
+import { occurrences } from './recurrence.js'
+
+export const PHASES = ['upcoming', 'ongoing', 'past']
+export const DEFAULT_DURATION_MS = 60 * 60 * 1000
+
+/* ms an occurrence ends at */
+function endOf(o) {
+  return o.end ? new Date(o.end).getTime() : new Date(o.start).getTime() + DEFAULT_DURATION_MS
+}
+
+/** 'upcoming' | 'ongoing' | 'past', or null when the event has no (valid) date */
+export function eventPhase(evt, now = Date.now()) {
+  if (!evt?.start || !Number.isFinite(new Date(evt.start).getTime())) return null
+  // start-only occurrences that began within the last hour may still be running
+  const current = occurrences(evt, { from: now - DEFAULT_DURATION_MS, limit: 3 }).find(o => endOf(o) >= now)
+  if (!current) return 'past'
+  return new Date(current.start).getTime() <= now ? 'ongoing' : 'upcoming'
+}
+
+export function isPast(evt, now) {
+  return eventPhase(evt, now) === 'past'
+}
+
+/** Start of the last occurrence that has begun by now, as an ISO string (null if none) */
+export function lastOccurrenceStart(evt, now = Date.now()) {
+  const occ = occurrences(evt, { to: now, limit: Infinity })
+  return occ.length ? occ[occ.length - 1].start : null
+}
+
+/** Badge text for ongoing/past events, '' otherwise */
+export function phaseBadge(evt, now) {
+  const phase = eventPhase(evt, now)
+  if (phase === 'past') return '🏁 Ended'
+  if (phase === 'ongoing') return '🟢 Happening now'
+  return ''
+}
@@ -0,0 +1,191 @@
+// src/lib/notifications.js
+// In-app notification center driven by saved events: reminders before an event
+// starts or an application deadline closes, and alerts when a saved event is
+// edited or removed. Browser notifications go through the service worker (public/sw.js).
+
+import { getSavedIds } from './storage.js'
+import { atNextOccurrence } from './recurrence.js'
+import { deadlineStatus } from './deadline.js'
+
+const INBOX_KEY = 'ubc:notifications'        // [{ id, kind, eventId, title, message, createdAt, read }]
+const SEEN_KEY = 'ubc:notifiedKeys'          // keys already delivered (so clearing the inbox doesn't re-notify)
+const SNAPSHOT_KEY = 'ubc:savedSnapshots'    // { [eventId]: { title, start, location, updatedAt } }
+const PREFS_KEY = 'ubc:reminderPrefs'
+
+const MAX_INBOX = 100
+const MAX_SEEN = 500
+const HOUR_MS = 60 * 60 * 1000
+
+export const DEFAULT_REMINDER_PREFS = {
+  eventSoon: true,      // saved event starts within the next day
+  deadlineSoon: true,   // application deadline within 48h
+  eventChanged: true,   // saved event edited or cancelled
+  browser: false        // also show system notifications
+}
+
+function read(key, fallback) {
+  try { return JSON.parse(localStorage.getItem(key)) ?? fallback } catch { return fallback }
+}
+function write(key, value) {
+  localStorage.setItem(key, JSON.stringify(value))
+}
+/* Same-tab listeners (the nav bell); other tabs get the storage event */
+function notifyInboxUpdated() {
+  window.dispatchEvent(new CustomEvent('notifications-updated'))
+}
+
+/* ---------- Preferences ---------- */
+export function getReminderPrefs() {
+  return { ...DEFAULT_REMINDER_PREFS, ...read(PREFS_KEY, {}) }
+}
+export function saveReminderPrefs(prefs) {
+  write(PREFS_KEY, prefs)
+}
+
+/* ---------- Inbox ---------- */
+export function getNotifications() {
+  return read(INBOX_KEY, [])
+}
+export function getUnreadCount() {
+  return getNotifications().filter(n => !n.read).length
+}
+export function markAllRead() {
+  write(INBOX_KEY, getNotifications().map(n => ({ ...n, read: true })))
+  notifyInboxUpdated()
+}
+export function markRead(id) {
+  write(INBOX_KEY, getNotifications().map(n => n.id === id ? { ...n, read: true } : n))
+  notifyInboxUpdated()
+}
+export function clearNotifications() {
+  write(INBOX_KEY, [])
+  notifyInboxUpdated()
+}
+
+/* ---------- Reminder checks ---------- */
+
+function snapshotOf(evt) {
+  return {
+    title: evt.title,
+    start: evt.seriesStart || evt.start || null,
+    location: evt.location || null,
+    updatedAt: evt.updatedAt || null
+  }
+}
+
+function whenLabel(iso, now) {
+  const d = new Date(iso)
+  const time = d.toLocaleTimeString([], { timeStyle: 'short' })
+  return d.toDateString() === new Date(now).toDateString() ? `today at ${time}` : `tomorrow at ${time}`
+}
+
+/* Everything that should be in the inbox right now, keyed so each fires once.
+   Unless the list is complete, a saved event missing from it isn't taken as cancelled. */
+function dueNotifications(events, prefs, now, complete) {
+  const byId = new Map(events.map(e => [String(e.id), e]))
+  const snapshots = read(SNAPSHOT_KEY, {})
+  const nextSnapshots = {}
+  const due = []
+  const endOfTomorrow = new Date(now)
+  endOfTomorrow.setDate(endOfTomorrow.getDate() + 1)
+  endOfTomorrow.setHours(23, 59, 59, 999)
+
+  for (const id of getSavedIds().map(String)) {
+    const evt = byId.get(id)
+    const prev = snapshots[id]
+
+    if (!evt) {
+      // Saved before, gone now: deleted or pulled from the feed
+      if (prev && prefs.eventChanged && complete) {
+        due.push({ key: `cancelled:${id}`, kind: 'cancelled', eventId: id, title: prev.title, message: 'This saved event is no longer listed — it may have been cancelled.' })
+      }
+      if (prev) nextSnapshots[id] = prev
+      continue
+    }
+
+    const snap = snapshotOf(evt)
+    nextSnapshots[id] = snap
+    if (prev && prefs.eventChanged) {
+      const changed = ['start', 'location', 'title', 'updatedAt'].filter(k => prev[k] !== snap[k])
+      if (changed.length) {
+        const what = changed.includes('start') ? 'The time changed.' : changed.includes('location') ? 'The location changed.' : 'Details were updated.'
+        due.push({ key: `edited:${id}:${snap.updatedAt || snap.start}:${snap.location}`, kind: 'edited', eventId: id, title: evt.title, message: what })
+      }
+    }
+
+    const next = atNextOccurrence(evt, now)
+    const startMs = next.start ? new Date(next.start).getTime() : NaN
+    if (prefs.eventSoon && startMs > now && startMs <= endOfTomorrow.getTime()) {
+      due.push({ key: `start:${id}:${next.start}`, kind: 'starting', eventId: id, title: evt.title, message: `Starts ${whenLabel(next.start, now)}.` })
+    }
+
+    const dl = deadlineStatus(evt, now)
+    if (prefs.deadlineSoon && dl && !dl.closed && dl.msLeft <= 48 * HOUR_MS) {
+      due.push({ key: `deadline:${id}:${dl.date.toISOString()}`, kind: 'deadline', eventId: id, title: evt.title, message: `Applications close in ${Math.max(1, Math.round(dl.msLeft / HOUR_MS))}h.` })
+    }
+  }
+
+  write(SNAPSHOT_KEY, nextSnapshots)
+  return due
+}
+
+/**
+ * Compare saved events against the latest event list and add any new reminders
+ * to the inbox (and as browser notifications if enabled). Returns the new ones.
+ * Pass complete: false when the list may lack events (loadAllEvents() didn't
+ * reach the shared store), so missing saves aren't reported as cancelled.
+ */
+export async function checkReminders(events, { now = Date.now(), complete = true } = {}) {
+  const prefs = getReminderPrefs()
+  const seen = new Set(read(SEEN_KEY, []))
+  const fresh = dueNotifications(events, prefs, now, complete).filter(n => !seen.has(n.key))
+  if (!fresh.length) return []
+
+  const created = fresh.map(n => ({
+    id: n.key,
+    kind: n.kind,
+    eventId: n.eventId,
+    title: n.title,
+    message: n.message,
+    createdAt: new Date(now).toISOString(),
+    read: false
+  }))
+  write(INBOX_KEY, [...created, ...getNotifications()].slice(0, MAX_INBOX))
+  write(SEEN_KEY, [...seen, ...fresh.map(n => n.key)].slice(-MAX_SEEN))
+  notifyInboxUpdated()
+
+  if (prefs.browser) await showBrowserNotifications(created)
+  return created
+}
+
+/* ---------- Browser notifications (service worker) ---------- */
+
+export function browserNotificationsSupported() {
+  return typeof window !== 'undefined' && 'Notification' in window && 'serviceWorker' in navigator
+}
+
+export function registerServiceWorker() {
+  if (!browserNotificationsSupported()) return Promise.resolve(null)
+  return navigator.serviceWorker.register('/sw.js').catch(() => null)
+}
+
+/** Ask for permission and register the worker; resolves true when notifications can be shown. */
+export async function enableBrowserNotifications() {
+  if (!browserNotificationsSupported()) return false
+  const permission = await Notification.requestPermission()
+  if (permission !== 'granted') return false
+  await registerServiceWorker()
+  return true
+}
+
+async function showBrowserNotifications(list) {
+  if (!browserNotificationsSupported() || Notification.permission !== 'granted') return
+  const reg = await navigator.serviceWorker.ready
+  for (const n of list) {
+    await reg.showNotification(n.title || 'UBC Events', {
+      body: n.message,
+      tag: n.id,
+      data: { url: `/e/${n.eventId}` }
+    })
+  }
+}
@@ -0,0 +1,46 @@
+// src/lib/popularity.js
+// The indicators shown on event cards and pages, and every threshold behind
+// them (POPULARITY, so they're tuned in one place):
+//   Saved       this browser saved the event (the user's own marker)
+//   Trending    one of the top engagement scores, and a high enough one
+//   N going     enough signed-in people saved it; "Filling up" once that nears its capacity
+// Engagement stats come from the API server (server/engagement.js).
+
+export const POPULARITY = {
+  trendingTop: 10, // only the 10 highest-scoring upcoming events can be Trending…
+  trendingMinScore: 6, // …and only with this score (about two fresh saves; see WEIGHTS there)
+  goingMin: 3, // "N going" from this many saves
+  fillingUpRatio: 0.8 // "Filling up" once saves reach this share of capacity
+}
+
+/**
+ * Indicators for one event:
+ * { saved, trending, going, fillingUp } where going is the save count (0 when
+ * under goingMin). stats is the event's { score, counts, rank } or undefined.
+ */
+export function popularityOf(evt, stats, { saved = false } = {}) {
+  const saves = stats?.counts?.save || 0
+  const going = saves >= POPULARITY.goingMin ? saves : 0
+  return {
+    saved,
+    trending: stats?.rank != null &&
+      stats.rank < POPULARITY.trendingTop &&
+      stats.score >= POPULARITY.trendingMinScore,
+    going,
+    fillingUp: !!evt?.capacity && saves >= evt.capacity * POPULARITY.fillingUpRatio
+  }
+}
+
+/** Badge labels, in display order: [{ key, label, title }] */
+export function popularityBadges(evt, stats, opts) {
+  const p = popularityOf(evt, stats, opts)
+  const badges = []
+  if (p.saved) badges.push({ key: 'saved', label: '★ Saved', title: 'You saved this event' })
+  if (p.trending) badges.push({ key: 'trending', label: '🔥 Trending', title: 'Among the most saved, viewed and shared events right now' })
+  if (p.fillingUp) {
+    badges.push({ key: 'filling', label: '⏳ Filling up', title: `${stats.counts.save} of ${evt.capacity} places spoken for` })
+  } else if (p.going) {
+    badges.push({ key: 'going', label: `👥 ${p.going} going`, title: `${p.going} people saved this event` })
+  }
+  return badges
+}
@@ -0,0 +1,124 @@
+// src/lib/recommend.js
+// Scored recommendations for the personalized feed. Each event gets a weighted
+// score from several signals plus the reasons behind it, so the feed can rank
+// instead of hard-filtering and can say why something was picked.
+
+import { atNextOccurrence } from './recurrence.js'
+import { deadlineStatus } from './deadline.js'
+import { canonicalTag, tagLabel } from './taxonomy.js'
+import { facultyMatch, facultyLabel } from './faculties.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// How much each signal (0..1) counts toward the total
+export const WEIGHTS = {
+  interest: 4,   // overlap between the user's interests and the event's tags
+  faculty: 2,    // event is aimed at the user's faculty (open events get half)
+  history: 2,    // similar to events the user already saved
+  level: 1,      // matches the level of events the user saves
+  recency: 1.5,  // happening soon
+  deadline: 1    // applications closing soon
+}
+
+const RECENCY_HORIZON_DAYS = 60
+const DEADLINE_HORIZON_DAYS = 30
+const ENDED_PENALTY = 3
+const CLOSED_PENALTY = 1
+const MAX_REASONS = 3
+
+/* What the user's saves say about them: tag/organizer frequencies and usual level */
+function profileFromSaves(events, savedIds) {
+  const saved = new Set(savedIds.map(String))
+  const tags = new Map()
+  const organizers = new Set()
+  const levels = new Map()
+  let count = 0
+  for (const e of events) {
+    if (!saved.has(String(e.id))) continue
+    count++
+    for (const t of e.tags || []) tags.set(canonicalTag(t), (tags.get(canonicalTag(t)) || 0) + 1)
+    if (e.organizer) organizers.add(e.organizer)
+    if (e.level) levels.set(e.level, (levels.get(e.level) || 0) + 1)
+  }
+  const level = [...levels.entries()].sort((a, b) => b[1] - a[1])[0]?.[0]
+  return { saved, tags, organizers, level, count }
+}
+
+/**
+ * Score one event. Returns { score, reasons, relevant } where relevant means
+ * at least one personal signal (interest, faculty or save history) matched.
+ */
+export function scoreEvent(evt, { prefs, profile, now = Date.now() }) {
+  const reasons = []
+  const signals = {}
+
+  // Interests: fraction of (up to two) interests covered by the event's tags
+  const evtTags = new Set((evt.tags || []).map(canonicalTag))
+  const liked = (prefs?.interests || []).filter(i => evtTags.has(canonicalTag(i)))
+  const wantMatches = Math.min(2, prefs?.interests?.length || 0)
+  signals.interest = wantMatches ? Math.min(1, liked.length / wantMatches) : 0
+  if (liked.length) reasons.push(`you like ${liked.slice(0, 2).map(canonicalTag).map(tagLabel).join(', ')}`)
+
+  // Faculty: any of the listed faculties, not just the first; open events count half
+  const fac = facultyMatch(evt.faculties, prefs?.faculty)
+  signals.faculty = fac === 'exact' ? 1 : fac === 'open' ? 0.5 : 0
+  if (fac === 'exact') reasons.push(facultyLabel(prefs.faculty, { short: true }))
+
+  // Save history: shared tags or organizer with events already saved (not itself)
+  signals.history = 0
+  if (profile?.count && !profile.saved.has(String(evt.id))) {
+    const shared = [...evtTags].filter(t => profile.tags.has(t)).length
+    const sameOrganizer = evt.organizer && profile.organizers.has(evt.organizer)
+    signals.history = Math.min(1, shared / 3 + (sameOrganizer ? 0.5 : 0))
+    if (sameOrganizer) reasons.push(`you saved other ${evt.organizer} events`)
+    else if (shared >= 2) reasons.push('similar to events you saved')
+  }
+
+  // Level: unknown levels are neutral rather than excluded
+  signals.level = !evt.level || !profile?.level ? 0.5 : evt.level === profile.level ? 1 : 0
+
+  // Recency: sooner is better; ended events sink
+  const next = atNextOccurrence(evt, now)
+  const startMs = next.start ? new Date(next.start).getTime() : NaN
+  const endMs = next.end ? new Date(next.end).getTime() : startMs
+  let penalty = 0
+  signals.recency = 0
+  if (Number.isFinite(startMs)) {
+    if (endMs < now) penalty += ENDED_PENALTY
+    else {
+      const days = Math.max(0, (startMs - now) / DAY_MS)
+      signals.recency = Math.max(0, 1 - days / RECENCY_HORIZON_DAYS)
+      if (days <= 7) reasons.push('this week')
+    }
+  }
+
+  // Deadline: reward open deadlines that are close; closed ones can't be acted on
+  const dl = deadlineStatus(evt, now)
+  signals.deadline = 0
+  if (dl?.closed) penalty += CLOSED_PENALTY
+  else if (dl) {
+    signals.deadline = Math.max(0, 1 - dl.msLeft / (DEADLINE_HORIZON_DAYS * DAY_MS))
+    if (dl.soon) reasons.push('applications close soon')
+  }
+
+  const score = Object.entries(WEIGHTS).reduce((sum, [k, w]) => sum + w * (signals[k] || 0), 0) - penalty
+  const relevant = signals.interest > 0 || fac === 'exact' || signals.history > 0
+  return { score, reasons, relevant, signals }
+}
+
+/**
+ * Rank events for a user. Returns [{ evt, score, reasons, relevant }] best first.
+ * `savedIds` feeds the history and level signals.
+ */
+export function recommend(events, { prefs, savedIds = [], now = Date.now() } = {}) {
+  const profile = profileFromSaves(events, savedIds)
+  return events
+    .map(evt => ({ evt, ...scoreEvent(evt, { prefs, profile, now }) }))
+    .sort((a, b) => b.score - a.score)
+}
+
+/** "because you like ai · Science" (empty when nothing personal matched) */
+export function explain(reasons) {
+  if (!reasons?.length) return ''
+  return `because ${reasons.slice(0, MAX_REASONS).join(' · ')}`
+}
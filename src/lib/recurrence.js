@@ -0,0 +1,193 @@
+// src/lib/recurrence.js
+// Recurring events: a small subset of RFC 5545 RRULE (daily/weekly/monthly,
+// interval, count/until) plus exception dates. Dates are stepped on the
+// Vancouver wall clock (timezone.js), so 6 pm stays 6 pm across DST and every
+// browser and the server agree on the same occurrences.
+//
+// Shape stored on an event:
+//   recurrence: { freq: 'daily'|'weekly'|'monthly', interval: 1, count?: 10, until?: 'YYYY-MM-DD', exdates?: ['YYYY-MM-DD'] }
+
+import { fromWallClock, wallClock, zoneDayKey } from './timezone.js'
+
+export const FREQS = ['daily', 'weekly', 'monthly']
+
+const MAX_ITERATIONS = 1000 // safety cap for open-ended series
+
+/* The viewer's local calendar date as YYYY-MM-DD (calendar grids; recurrence uses Vancouver dates) */
+export function dayKey(d) {
+  const dt = new Date(d)
+  const mm = String(dt.getMonth() + 1).padStart(2, '0')
+  const dd = String(dt.getDate()).padStart(2, '0')
+  return `${dt.getFullYear()}-${mm}-${dd}`
+}
+
+/** Clean up a recurrence object (or an RRULE string); returns null if not recurring. */
+export function normalizeRecurrence(rec) {
+  if (!rec) return null
+  if (typeof rec === 'string') rec = parseRRule(rec)
+  const freq = String(rec?.freq || '').toLowerCase()
+  if (!FREQS.includes(freq)) return null
+  const interval = Math.max(1, parseInt(rec.interval, 10) || 1)
+  const count = parseInt(rec.count, 10) > 0 ? parseInt(rec.count, 10) : undefined
+  const until = !count && rec.until ? String(rec.until).slice(0, 10) : undefined
+  const exdates = Array.isArray(rec.exdates)
+    ? [...new Set(rec.exdates.map(d => String(d).slice(0, 10)).filter(Boolean))].sort()
+    : []
+  return { freq, interval, count, until, exdates }
+}
+
+/** Parse "FREQ=WEEKLY;INTERVAL=2;COUNT=5" (optionally prefixed "RRULE:"). */
+export function parseRRule(str) {
+  const parts = Object.fromEntries(
+    String(str).replace(/^RRULE:/i, '').split(';')
+      .map(p => p.split('='))
+      .filter(([k, v]) => k && v)
+      .map(([k, v]) => [k.toUpperCase(), v])
+  )
+  const until = parts.UNTIL
+    ? `${parts.UNTIL.slice(0, 4)}-${parts.UNTIL.slice(4, 6)}-${parts.UNTIL.slice(6, 8)}`
+    : undefined
+  return {
+    freq: String(parts.FREQ || '').toLowerCase(),
+    interval: parts.INTERVAL,
+    count: parts.COUNT,
+    until
+  }
+}
+
+/* Date-like -> epoch ms; ±Infinity (or anything unparsable) -> fallback */
+function toMs(v, fallback) {
+  const t = typeof v === 'number' ? v : new Date(v).getTime()
+  return Number.isFinite(t) ? t : fallback
+}
+
+/* End of a YYYY-MM-DD day in Vancouver, as epoch ms (UNTIL is inclusive) */
+function endOfDay(key) {
+  const [year, month, day] = key.split('-').map(Number)
+  return fromWallClock({ year, month, day, hour: 23, minute: 59, second: 59 }).getTime()
+}
+
+/* The step-th candidate after base (Vancouver wall-clock fields), or null if that month has no such day */
+function nthCandidate(base, freq, step) {
+  if (freq === 'daily') return fromWallClock({ ...base, day: base.day + step })
+  if (freq === 'weekly') return fromWallClock({ ...base, day: base.day + step * 7 })
+  const d = fromWallClock({ ...base, month: base.month + step })
+  // e.g. the 31st in a 30-day month rolls over; RFC 5545 skips those
+  return wallClock(d).day === base.day ? d : null
+}
+
+/**
+ * Walk the series in order, calling visit({ start, end, excluded }) for each
+ * instance the rule generates (exception dates included, flagged). Stop by
+ * returning false from visit. An occurrence copy (asOccurrence) walks its
+ * series, so COUNT counts from the real first date, but only visits from its
+ * own date on.
+ */
+function walk(evt, visit) {
+  const series = seriesOf(evt)
+  const rec = normalizeRecurrence(series.recurrence)
+  const first = new Date(series.start)
+  if (!Number.isFinite(first.getTime())) return
+  const visitFrom = series === evt ? -Infinity : toMs(evt.start, -Infinity)
+  const base = wallClock(first)
+  const duration = series.end ? new Date(series.end).getTime() - first.getTime() : null
+  const untilEnd = rec?.until ? endOfDay(rec.until) : Infinity
+  const exdates = new Set(rec?.exdates || [])
+
+  let generated = 0
+  for (let k = 0; k < MAX_ITERATIONS; k++) {
+    const start = rec && k > 0 ? nthCandidate(base, rec.freq, k * rec.interval) : first
+    if (start) {
+      if (start.getTime() > untilEnd) return
+      generated++
+      const end = duration != null ? new Date(start.getTime() + duration) : null
+      if (start.getTime() >= visitFrom &&
+        visit({ start, end, excluded: exdates.has(zoneDayKey(start)) }) === false) return
+      if (rec?.count && generated >= rec.count) return
+    }
+    if (!rec) return
+  }
+}
+
+/**
+ * Occurrences of an event (a single one if it doesn't repeat) overlapping
+ * [from, to], skipping exception dates. Returns [{ start, end }] as ISO strings.
+ */
+export function occurrences(evt, { from = -Infinity, to = Infinity, limit = 50 } = {}) {
+  const out = []
+  if (!evt?.start) return out
+  const fromMs = toMs(from, -Infinity)
+  const toLimit = toMs(to, Infinity)
+  walk(evt, ({ start, end, excluded }) => {
+    if (start.getTime() > toLimit) return false
+    if (!excluded && (end || start).getTime() >= fromMs) {
+      out.push({ start: start.toISOString(), end: end ? end.toISOString() : undefined })
+    }
+    return out.length < limit
+  })
+  return out
+}
+
+/** The next occurrence that hasn't ended by `after`, or null when the series is over. */
+export function nextOccurrence(evt, after = new Date()) {
+  return occurrences(evt, { from: after, limit: 1 })[0] || null
+}
+
+/**
+ * Copies of a recurring event, one per occurrence in [from, to]. Each copy keeps
+ * the event id (so save/open/share still work) and remembers the series start.
+ */
+export function expandEvent(evt, { from, to, limit } = {}) {
+  if (!evt.recurrence) return [evt]
+  return occurrences(evt, { from, to, limit }).map(o => asOccurrence(evt, o))
+}
+
+/** A recurring event shown at its next upcoming date (unchanged if none/not recurring). */
+export function atNextOccurrence(evt, after = new Date()) {
+  if (!evt.recurrence) return evt
+  const next = nextOccurrence(evt, after)
+  return next ? asOccurrence(evt, next) : evt
+}
+
+/** Undo asOccurrence: the event with its original series start/end. */
+export function seriesOf(evt) {
+  if (!evt.seriesStart) return evt
+  const { seriesStart, seriesEnd, ...rest } = evt
+  return { ...rest, start: seriesStart, end: seriesEnd }
+}
+
+function asOccurrence(evt, o) {
+  return {
+    ...evt,
+    start: o.start,
+    end: o.end,
+    seriesStart: evt.seriesStart || evt.start,
+    seriesEnd: evt.seriesEnd || evt.end
+  }
+}
+
+/** RRULE value (without the "RRULE:" prefix), e.g. FREQ=WEEKLY;INTERVAL=1;COUNT=8 */
+export function toRRule(rec) {
+  const r = normalizeRecurrence(rec)
+  if (!r) return ''
+  const parts = [`FREQ=${r.freq.toUpperCase()}`, `INTERVAL=${r.interval}`]
+  if (r.count) parts.push(`COUNT=${r.count}`)
+  if (r.until) {
+    // UNTIL is inclusive; use the end of that day in Vancouver, in UTC
+    const iso = new Date(endOfDay(r.until)).toISOString()
+    parts.push(`UNTIL=${iso.replace(/[-:]/g, '').slice(0, 15)}Z`)
+  }
+  return parts.join(';')
+}
+
+/** Short human label, e.g. "Every 2 weeks · 8 times" */
+export function describeRecurrence(rec) {
+  const r = normalizeRecurrence(rec)
+  if (!r) return ''
+  const unit = { daily: 'day', weekly: 'week', monthly: 'month' }[r.freq]
+  const every = r.interval === 1
+    ? { daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly' }[r.freq]
+    : `Every ${r.interval} ${unit}s`
+  const ends = r.count ? ` · ${r.count} times` : r.until ? ` · until ${r.until}` : ''
+  return every + ends
+}
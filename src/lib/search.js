@@ -0,0 +1,271 @@
+// src/lib/search.js
+// Full-text search over events: an inverted index built once per event list,
+// typo-tolerant term matching, field filters and relevance ranking.
+//
+// Query syntax:
+//   design sprint            every word must match (typos and prefixes allowed)
+//   "career fair"            exact phrase
+//   org:biztech              organizer contains
+//   tag:ai  level:beginner   tag / level
+//   faculty:sauder           faculty (any spelling faculties.js knows)
+//   loc:nest                 location contains
+//   before:2025-12-01        has a date before / after (recurring events: any occurrence)
+//   after:2025-11-01
+// Values with spaces can be quoted: org:"ubc biztech"
+
+import { canonicalTag } from './taxonomy.js'
+import { facultyMatch, facultyCode } from './faculties.js'
+import { occurrences } from './recurrence.js'
+
+// How much a hit in each field counts
+const FIELD_WEIGHTS = { title: 5, tags: 3, organizer: 3, location: 2, summary: 1.5, description: 1 }
+const FIELDS = Object.keys(FIELD_WEIGHTS)
+
+// Match quality by kind of hit
+const EXACT = 1
+const PREFIX = 0.75
+const FUZZY = [1, 0.55, 0.35] // by edit distance
+
+const FILTER_ALIASES = {
+  org: 'org', organizer: 'org',
+  tag: 'tag', tags: 'tag',
+  level: 'level',
+  faculty: 'faculty', fac: 'faculty',
+  loc: 'loc', location: 'loc',
+  before: 'before', after: 'after'
+}
+
+/* Lowercase, accents stripped */
+function fold(s) {
+  return String(s || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+}
+
+export function tokenize(s) {
+  return fold(s).split(/[^a-z0-9]+/).filter(Boolean)
+}
+
+/* Typos allowed for a term of this length */
+function maxDistance(term) {
+  if (term.length <= 3) return 0
+  if (term.length <= 7) return 1
+  return 2
+}
+
+/* Optimal string alignment distance (a swap counts as one edit), or max + 1 once it's exceeded */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1
+  let prev2 = null
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost)
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        v = Math.min(v, prev2[j - 2] + 1)
+      }
+      cur[j] = v
+      if (v < rowMin) rowMin = v
+    }
+    if (rowMin > max) return max + 1
+    prev2 = prev
+    prev = cur
+  }
+  return prev[b.length]
+}
+
+function fieldText(evt, field) {
+  if (field === 'tags') return (evt.tags || []).join(' ')
+  return evt[field] || ''
+}
+
+/**
+ * Build the index for a list of (normalized) events. Cheap enough to redo when
+ * the list changes; searches reuse it.
+ */
+export function buildSearchIndex(events = []) {
+  const docs = []
+  const postings = new Map() // token -> Map(docIndex -> best field weight)
+  const byLength = new Map() // token length -> Set(token), to narrow fuzzy lookups
+
+  events.forEach((evt, i) => {
+    const text = {}
+    for (const field of FIELDS) {
+      const raw = fieldText(evt, field)
+      text[field] = fold(raw)
+      for (const tok of tokenize(raw)) {
+        let docsForTok = postings.get(tok)
+        if (!docsForTok) {
+          docsForTok = new Map()
+          postings.set(tok, docsForTok)
+          if (!byLength.has(tok.length)) byLength.set(tok.length, new Set())
+          byLength.get(tok.length).add(tok)
+        }
+        docsForTok.set(i, Math.max(docsForTok.get(i) || 0, FIELD_WEIGHTS[field]))
+      }
+    }
+    docs.push({ evt, text })
+  })
+
+  return { docs, postings, byLength, vocabulary: [...postings.keys()].sort() }
+}
+
+/* Tokens in the index that a query term matches, with match quality */
+function expandTerm(index, term) {
+  const out = new Map()
+  if (index.postings.has(term)) out.set(term, EXACT)
+
+  // prefix: "hack" -> hackathon, hackcamp (binary search into the sorted vocabulary)
+  if (term.length >= 2) {
+    const vocab = index.vocabulary
+    let lo = 0
+    let hi = vocab.length
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1
+      if (vocab[mid] < term) lo = mid + 1
+      else hi = mid
+    }
+    for (let i = lo; i < vocab.length && vocab[i].startsWith(term); i++) {
+      if (!out.has(vocab[i])) out.set(vocab[i], PREFIX)
+    }
+  }
+
+  // typos: only look at tokens whose length could be within range
+  const max = maxDistance(term)
+  for (let len = term.length - max; len <= term.length + max; len++) {
+    for (const tok of index.byLength.get(len) || []) {
+      if (out.has(tok)) continue
+      const d = editDistance(term, tok, max)
+      if (d <= max) out.set(tok, FUZZY[d])
+    }
+  }
+  return out
+}
+
+/** Split a query into free-text terms, quoted phrases and field filters. */
+export function parseQuery(query = '') {
+  const terms = []
+  const phrases = []
+  const filters = {}
+  const re = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"|(\S+)/g
+  let m
+  while ((m = re.exec(query))) {
+    const key = FILTER_ALIASES[(m[1] || m[3] || '').toLowerCase()]
+    const value = m[2] ?? m[4]
+    if (key && value) {
+      (filters[key] ||= []).push(value)
+    } else if (m[5] != null) {
+      const phrase = tokenize(m[5]).join(' ')
+      if (phrase) phrases.push(phrase)
+    } else {
+      // an unknown "foo:bar" is just text
+      terms.push(...tokenize(m[0]))
+    }
+  }
+  return { terms, phrases, filters }
+}
+
+/* 'YYYY-MM-DD' is local midnight; anything else goes through Date */
+function parseDate(s) {
+  const d = /^\d{4}-\d{2}-\d{2}$/.test(s) ? new Date(`${s}T00:00:00`) : new Date(s)
+  return Number.isFinite(d.getTime()) ? d.getTime() : null
+}
+
+function passesFilters(evt, filters) {
+  const has = (field, v) => fold(evt[field]).includes(fold(v))
+  if (filters.org && !filters.org.every(v => has('organizer', v))) return false
+  if (filters.loc && !filters.loc.every(v => has('location', v))) return false
+  if (filters.level && !filters.level.every(v => fold(evt.level).startsWith(fold(v)))) return false
+  if (filters.tag) {
+    const tags = evt.tags || []
+    const ok = filters.tag.every(v => {
+      const key = canonicalTag(v)
+      return tags.some(t => t === key || t.startsWith(key))
+    })
+    if (!ok) return false
+  }
+  if (filters.faculty && !filters.faculty.every(v => facultyMatch(evt.faculties, facultyCode(v)) === 'exact')) return false
+  if (filters.before || filters.after) {
+    const from = filters.after ? parseDate(filters.after[0]) : -Infinity
+    const to = filters.before ? parseDate(filters.before[0]) : Infinity
+    if (from == null || to == null) return false
+    if (!occurrences(evt, { from, to, limit: 1 }).some(o => new Date(o.start).getTime() < to)) return false
+  }
+  return true
+}
+
+/**
+ * Run a query. Returns { results, ranked }: results maps event id -> { score, hits }
+ * for matching events, where hits are the index tokens/phrases that matched (for
+ * highlighting); ranked is false for filter-only queries, whose scores are all 0.
+ */
+export function search(index, query) {
+  const { terms, phrases, filters } = parseQuery(query)
+  const results = new Map()
+  const ranked = terms.length > 0 || phrases.length > 0
+
+  // For each term: docIndex -> { score, tokens }
+  const perTerm = terms.map(term => {
+    const hitsByDoc = new Map()
+    for (const [tok, quality] of expandTerm(index, term)) {
+      for (const [docIdx, weight] of index.postings.get(tok)) {
+        const cur = hitsByDoc.get(docIdx) || { score: 0, tokens: [] }
+        cur.score = Math.max(cur.score, quality * weight)
+        cur.tokens.push(tok)
+        hitsByDoc.set(docIdx, cur)
+      }
+    }
+    return hitsByDoc
+  })
+
+  index.docs.forEach(({ evt, text }, i) => {
+    if (!passesFilters(evt, filters)) return
+    let score = 0
+    const hits = []
+    for (const hitsByDoc of perTerm) {
+      const hit = hitsByDoc.get(i)
+      if (!hit) return // every term must match
+      score += hit.score
+      hits.push(...hit.tokens)
+    }
+    for (const phrase of phrases) {
+      const field = FIELDS.find(f => tokenize(text[f]).join(' ').includes(phrase))
+      if (!field) return
+      score += 2 * FIELD_WEIGHTS[field]
+      hits.push(phrase)
+    }
+    results.set(evt.id, { score, hits })
+  })
+
+  return { results, ranked }
+}
+
+/**
+ * Split text into [{ text, hit }] segments around matched tokens/phrases,
+ * so the UI can wrap hits in <mark>. Matching ignores case and accents.
+ */
+export function highlightSegments(text = '', hits = []) {
+  const s = String(text)
+  if (!hits.length || !s) return [{ text: s, hit: false }]
+  const folded = fold(s)
+  const marks = new Array(s.length).fill(false)
+  for (const h of new Set(hits)) {
+    // phrases were matched on tokens; allow any non-alphanumerics between words
+    const pattern = h.split(' ').map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('[^a-z0-9]+')
+    const re = new RegExp(`(^|[^a-z0-9])(${pattern})`, 'g')
+    let m
+    while ((m = re.exec(folded))) {
+      const start = m.index + m[1].length
+      for (let k = start; k < start + m[2].length; k++) marks[k] = true
+      re.lastIndex = start + m[2].length
+    }
+  }
+  const out = []
+  for (let i = 0; i < s.length; i++) {
+    const last = out[out.length - 1]
+    if (last && last.hit === marks[i]) last.text += s[i]
+    else out.push({ text: s[i], hit: marks[i] })
+  }
+  return out
+}
@@ -0,0 +1,79 @@
+// src/lib/searchAlerts.js
+// Alerts for saved searches. Each saved search remembers the IDs of every event
+// listed when it last ran (knownIds) and when that was (checkedAt). A match is
+// new only if the event wasn't listed then or was created since, so a moving
+// "this week" window or a changed recommendation never brings back old events.
+// New matches are its newIds until opened; they drive the "N new" badges in the
+// nav and the Feed.
+
+import { getSavedSearches, updateSavedSearch, getUserPrefs, getSavedIds } from './storage.js'
+import { parseFeedParams, matchFeedFilters } from './feedFilters.js'
+
+// Remembered IDs per search; the oldest drop off first (createdAt still catches new events)
+const MAX_KNOWN = 2000
+
+/** IDs of the events a saved search matches in `events` */
+export function savedSearchMatches(entry, events) {
+  const prefs = getUserPrefs()
+  const filters = parseFeedParams(entry.query, { hasProfile: !!prefs })
+  return matchFeedFilters(events, filters, { prefs, savedIds: getSavedIds() }).map(e => String(e.id))
+}
+
+/** Fields for a search saved now: everything listed is already known ({ knownIds, checkedAt, newIds }) */
+export function alertBaseline(events, now = Date.now()) {
+  return { knownIds: events.map(e => String(e.id)).slice(-MAX_KNOWN), checkedAt: now, newIds: [] }
+}
+
+/* Known IDs after a run: earlier ones stay, so a list that briefly lacked events doesn't make them new again */
+function mergeKnown(known, events) {
+  const ids = new Set(known)
+  for (const e of events) {
+    ids.delete(String(e.id))
+    ids.add(String(e.id))
+  }
+  return [...ids].slice(-MAX_KNOWN)
+}
+
+/**
+ * Re-check every saved search with alerts on against the merged event list
+ * (getAllEventsMerged). A search that has never been checked takes everything
+ * listed as known. Returns [{ search, newIds }] for searches with news.
+ */
+export function checkSearchAlerts(events, now = Date.now()) {
+  const out = []
+  const createdAt = new Map(events.map(e => [String(e.id), new Date(e.createdAt || 0).getTime()]))
+  for (const entry of getSavedSearches()) {
+    if (entry.alerts === false) continue
+    const matches = savedSearchMatches(entry, events)
+    const prevNew = (entry.newIds || []).filter(id => matches.includes(id)) // still new until opened
+    if (!Array.isArray(entry.knownIds)) {
+      // first run (or saved before knownIds existed)
+      updateSavedSearch(entry.id, { ...alertBaseline(events, now), newIds: prevNew, seenIds: undefined })
+      if (prevNew.length) out.push({ search: { ...entry, newIds: prevNew }, newIds: prevNew })
+      continue
+    }
+    const known = new Set(entry.knownIds)
+    const since = entry.checkedAt || 0
+    const fresh = matches.filter(id => !prevNew.includes(id) && (!known.has(id) || createdAt.get(id) > since))
+    const newIds = [...prevNew, ...fresh]
+    updateSavedSearch(entry.id, { knownIds: mergeKnown(entry.knownIds, events), checkedAt: now, newIds })
+    if (newIds.length) out.push({ search: { ...entry, newIds }, newIds })
+  }
+  return out
+}
+
+/** The user opened the search: nothing it had is new any more */
+export function markSearchSeen(id) {
+  const entry = getSavedSearches().find(s => s.id === id)
+  if (!entry?.newIds?.length) return
+  updateSavedSearch(id, { newIds: [] })
+}
+
+export function setSearchAlerts(id, on) {
+  updateSavedSearch(id, { alerts: on, ...(on ? {} : { newIds: [] }) })
+}
+
+/** Searches with unseen matches, for badges */
+export function searchesWithNews() {
+  return getSavedSearches().filter(s => s.alerts !== false && s.newIds?.length)
+}
@@ -1,18 +1,39 @@
 // src/lib/storage.js
+// localStorage helpers. Prefs, saves and custom events (custom.js) also sync to
+// the signed-in account: every local write is stamped in SYNC_KEY and
+// announced with 'sync-changed', and account.js pushes/merges from there.
+// localStorage stays the working copy, so everything works offline.
+import { canonicalInterests } from './taxonomy.js'
+import { facultyCode } from './faculties.js'
 
 const PREF_KEY = 'ubc:userprefs'
 const SAVES_KEY = 'ubc:saves'
-const SAVE_COUNTS_KEY = 'ubc:saveCounts' // map: { [eventId]: number }
+const ALARMS_KEY = 'ubc:calendarAlarms' // minutes before start, e.g. [1440, 60]
+const SEARCHES_KEY = 'ubc:savedSearches' // [{ id, name, query, createdAt, alerts, knownIds, checkedAt, newIds }], query = feed URL params (see searchAlerts.js)
+const DETAILS_KEY = 'ubc:savedDetails' // { [eventId]: { status, note, collections: [collectionId], savedAt } }
+const COLLECTIONS_KEY = 'ubc:collections' // [{ id, name, createdAt }]
+const SYNC_KEY = 'ubc:syncMeta' // { prefs, saves: { [id]: { updatedAt, deleted? } }, customEvents: {…}, savedDetails, collections, dirty }
+const ACCOUNT_KEY = 'ubc:account' // { id, email, reviewer, lastSyncedAt } — the session itself is an httpOnly cookie
+const CLIENT_KEY = 'ubc:clientId' // random id the API counts this browser's engagement under
+const VERSION_KEY = 'ubc:storageVersion' // how many MIGRATIONS have run in this browser
+const DEFAULT_ALARMS = [24 * 60, 60]
 
 /* ---------- User preferences ---------- */
 export function saveUserPrefs(prefs) {
   localStorage.setItem(PREF_KEY, JSON.stringify(prefs))
+  markChanged('prefs')
 }
 export function getUserPrefs() {
-  try { return JSON.parse(localStorage.getItem(PREF_KEY)) || null } catch { return null }
+  try {
+    const prefs = JSON.parse(localStorage.getItem(PREF_KEY))
+    if (!prefs) return null
+    // prefs saved before the shared registries may use other spellings ("hackathons", "Sauder")
+    return { ...prefs, faculty: facultyCode(prefs.faculty), interests: canonicalInterests(prefs.interests) }
+  } catch { return null }
 }
 export function clearUserPrefs() {
   localStorage.removeItem(PREF_KEY)
+  markChanged('prefs')
 }
 
 /* ---------- Saved events (IDs) ---------- */
@@ -20,43 +41,266 @@ export function getSavedIds() {
   try { return JSON.parse(localStorage.getItem(SAVES_KEY)) || [] } catch { return [] }
 }
 export function setSavedIds(ids) {
+  const prev = getSavedIds()
+  const added = ids.filter(id => !prev.includes(id))
+  const removed = prev.filter(id => !ids.includes(id))
   localStorage.setItem(SAVES_KEY, JSON.stringify(ids))
+  markChanged('saves', { changed: added, removed })
+  trackDetails(added, removed)
+  notifySavesUpdated(ids)
 }
 export function clearSavedIds() {
+  const prev = getSavedIds()
   localStorage.removeItem(SAVES_KEY)
+  markChanged('saves', { removed: prev })
+  trackDetails([], prev)
+  notifySavesUpdated([])
 }
+/* Same-tab listeners (e.g. the calendar feed sync); other tabs get the storage event */
+function notifySavesUpdated(ids) {
+  try {
+    window.dispatchEvent(new CustomEvent('saves-updated', { detail: ids }))
+  } catch {
+    // ignore if CustomEvent isn't supported
+  }
+}
+
+/* ---------- Saved event details: RSVP status, private note, collections ---------- */
+export const SAVE_STATUSES = ['interested', 'applied', 'accepted', 'attended']
+export const SAVE_STATUS_LABELS = { interested: 'Interested', applied: 'Applied', accepted: 'Accepted', attended: 'Attended' }
+
+const newDetail = (savedAt = null) => ({ status: 'interested', note: '', collections: [], savedAt })
 
-/* ---------- Save counts (for Trending) ---------- */
-export function getSaveCounts() {
-  try { return JSON.parse(localStorage.getItem(SAVE_COUNTS_KEY)) || {} } catch { return {} }
+function readDetails() {
+  try { return JSON.parse(localStorage.getItem(DETAILS_KEY)) || {} } catch { return {} }
 }
-function setSaveCounts(map) {
-  localStorage.setItem(SAVE_COUNTS_KEY, JSON.stringify(map))
+function writeDetails(map, { changed = [], removed = [] } = {}) {
+  localStorage.setItem(DETAILS_KEY, JSON.stringify(map))
+  markChanged('savedDetails', { changed, removed })
+  notifyDetailsUpdated()
 }
-export function clearSaveCounts() {
-  localStorage.removeItem(SAVE_COUNTS_KEY)
+function notifyDetailsUpdated() {
+  try {
+    window.dispatchEvent(new CustomEvent('saved-details-updated'))
+  } catch {
+    // ignore if CustomEvent isn't supported
+  }
 }
-function adjustSaveCount(id, delta) {
-  const counts = getSaveCounts()
-  const next = Math.max(0, (counts[id] || 0) + delta)
-  if (next === 0) delete counts[id]
-  else counts[id] = next
-  setSaveCounts(counts)
+/* A new save starts out 'interested'; unsaving drops the details with it */
+function trackDetails(added, removed) {
+  if (!added.length && !removed.length) return
+  const map = readDetails()
+  const at = new Date().toISOString()
+  const created = added.map(String).filter(id => !map[id])
+  for (const id of created) map[id] = newDetail(at)
+  for (const id of removed) delete map[String(id)]
+  writeDetails(map, { changed: created, removed: removed.map(String) })
+}
+
+/* { [eventId]: details } for every saved event that has them */
+export function getSavedDetails() {
+  return readDetails()
+}
+/* Details for one saved event, with defaults filled in */
+export function getSavedDetail(id) {
+  return { ...newDetail(), ...readDetails()[String(id)] }
+}
+export function updateSavedDetail(id, patch) {
+  const map = readDetails()
+  const key = String(id)
+  const next = { ...newDetail(), ...map[key], ...patch }
+  if (!SAVE_STATUSES.includes(next.status)) next.status = 'interested'
+  map[key] = next
+  writeDetails(map, { changed: [key] })
   return next
 }
 
-/* Toggle save; also update counts so we can rank Trending */
+/* Named groups of saved events ("Recruiting season"); details.collections holds their ids */
+export function getCollections() {
+  try { return JSON.parse(localStorage.getItem(COLLECTIONS_KEY)) || [] } catch { return [] }
+}
+function setCollections(list, { changed = [], removed = [] } = {}) {
+  localStorage.setItem(COLLECTIONS_KEY, JSON.stringify(list))
+  markChanged('collections', { changed, removed })
+  notifyDetailsUpdated()
+}
+/* Adding a name that exists (any case) returns the existing collection */
+export function addCollection(name) {
+  const clean = String(name || '').trim()
+  if (!clean) return null
+  const list = getCollections()
+  const existing = list.find(c => c.name.toLowerCase() === clean.toLowerCase())
+  if (existing) return existing
+  const entry = { id: `col_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, name: clean, createdAt: new Date().toISOString() }
+  setCollections([...list, entry], { changed: [entry.id] })
+  return entry
+}
+export function renameCollection(id, name) {
+  const clean = String(name || '').trim()
+  if (!clean) return
+  setCollections(getCollections().map(c => c.id === id ? { ...c, name: clean } : c), { changed: [id] })
+}
+/* Deletes the collection only; its events stay saved */
+export function removeCollection(id) {
+  setCollections(getCollections().filter(c => c.id !== id), { removed: [id] })
+  const map = readDetails()
+  const touched = Object.keys(map).filter(key => map[key].collections?.includes(id))
+  for (const key of touched) map[key] = { ...map[key], collections: map[key].collections.filter(c => c !== id) }
+  if (touched.length) writeDetails(map, { changed: touched })
+}
+
+/* Toggle save; returns whether the event is now saved */
 export function toggleSaveId(id) {
   const current = getSavedIds()
   const has = current.includes(id)
   const next = has ? current.filter(x => x !== id) : [...current, id]
   setSavedIds(next)
-  adjustSaveCount(id, has ? -1 : +1)
   return !has
 }
 
-/* Convenience: wipe both saved ids and counts */
-export function clearAllSaves() {
-  clearSavedIds()
-  clearSaveCounts()
+/* ---------- Browser id (engagement counting, see engagement.js) ---------- */
+export function getClientId() {
+  let id = localStorage.getItem(CLIENT_KEY)
+  if (!id) {
+    id = 'c_' + (crypto?.randomUUID?.() || Math.random().toString(36).slice(2))
+    localStorage.setItem(CLIENT_KEY, id)
+  }
+  return id
+}
+
+/* ---------- Calendar reminders (VALARMs in .ics exports) ---------- */
+export function getCalendarAlarms() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(ALARMS_KEY))
+    return Array.isArray(stored) ? stored : DEFAULT_ALARMS
+  } catch {
+    // also lands here outside the browser (e.g. the API server building a feed)
+    return DEFAULT_ALARMS
+  }
+}
+export function setCalendarAlarms(minutes) {
+  localStorage.setItem(ALARMS_KEY, JSON.stringify(minutes))
+}
+
+/* ---------- Saved searches (Feed filter sets) ---------- */
+export function getSavedSearches() {
+  try { return JSON.parse(localStorage.getItem(SEARCHES_KEY)) || [] } catch { return [] }
+}
+function setSavedSearches(list) {
+  localStorage.setItem(SEARCHES_KEY, JSON.stringify(list))
+  try {
+    window.dispatchEvent(new CustomEvent('saved-searches-updated', { detail: list }))
+  } catch {
+    // ignore if CustomEvent isn't supported
+  }
+}
+/* Saving the same query again just renames it. `extra` seeds other fields (e.g. knownIds). */
+export function addSavedSearch(name, query, extra = {}) {
+  const list = getSavedSearches()
+  const existing = list.find(s => s.query === query)
+  if (existing) {
+    setSavedSearches(list.map(s => s === existing ? { ...s, name } : s))
+    return { ...existing, name }
+  }
+  const entry = { id: `search_${Date.now().toString(36)}`, name, query, createdAt: new Date().toISOString(), ...extra }
+  setSavedSearches([...list, entry])
+  return entry
+}
+export function updateSavedSearch(id, patch) {
+  setSavedSearches(getSavedSearches().map(s => s.id === id ? { ...s, ...patch } : s))
+}
+export function removeSavedSearch(id) {
+  setSavedSearches(getSavedSearches().filter(s => s.id !== id))
+}
+
+/* ---------- Account sync bookkeeping (see account.js) ---------- */
+export function getAccount() {
+  try { return JSON.parse(localStorage.getItem(ACCOUNT_KEY)) } catch { return null }
+}
+export function setAccount(account) {
+  if (account) localStorage.setItem(ACCOUNT_KEY, JSON.stringify(account))
+  else localStorage.removeItem(ACCOUNT_KEY)
+  try {
+    window.dispatchEvent(new CustomEvent('account-updated', { detail: account }))
+  } catch {
+    // ignore if CustomEvent isn't supported
+  }
+}
+
+export function getSyncMeta() {
+  const empty = { prefs: 0, saves: {}, customEvents: {}, savedDetails: {}, collections: {}, dirty: false }
+  try { return { ...empty, ...JSON.parse(localStorage.getItem(SYNC_KEY)) } } catch { return empty }
+}
+export function setSyncMeta(meta) {
+  if (meta) localStorage.setItem(SYNC_KEY, JSON.stringify(meta))
+  else localStorage.removeItem(SYNC_KEY)
+}
+
+/**
+ * Stamp a local change so the next sync sends it. kind is 'prefs' or one of the
+ * SYNC_COLLECTIONS (syncMerge.js); for those pass the ids that changed and were removed.
+ */
+export function markChanged(kind, { changed = [], removed = [] } = {}) {
+  const meta = getSyncMeta()
+  const at = Date.now()
+  if (kind === 'prefs') meta.prefs = at
+  else {
+    for (const id of changed) meta[kind][String(id)] = { updatedAt: at }
+    for (const id of removed) meta[kind][String(id)] = { updatedAt: at, deleted: true }
+    if (!changed.length && !removed.length) return
+  }
+  meta.dirty = true
+  setSyncMeta(meta)
+  try {
+    window.dispatchEvent(new CustomEvent('sync-changed', { detail: { kind } }))
+  } catch {
+    // ignore if CustomEvent isn't supported
+  }
+}
+
+/* Write data that came from the account, without stamping it as local changes */
+export function replaceSyncedData({ prefs, savedIds, savedDetails, collections }) {
+  if (prefs !== undefined) {
+    if (prefs) localStorage.setItem(PREF_KEY, JSON.stringify(prefs))
+    else localStorage.removeItem(PREF_KEY)
+    try {
+      window.dispatchEvent(new CustomEvent('userprefs-updated', { detail: getUserPrefs() }))
+    } catch {
+      // ignore if CustomEvent isn't supported
+    }
+  }
+  if (savedIds) {
+    localStorage.setItem(SAVES_KEY, JSON.stringify(savedIds))
+    notifySavesUpdated(savedIds)
+  }
+  if (savedDetails) localStorage.setItem(DETAILS_KEY, JSON.stringify(savedDetails))
+  if (collections) localStorage.setItem(COLLECTIONS_KEY, JSON.stringify(collections))
+  if (savedDetails || collections) notifyDetailsUpdated()
+}
+
+/* ---------- Migrations ---------- */
+// Each entry upgrades stored data by one version; migrateStorage() runs the
+// ones this browser hasn't had yet, in order. Append only: never reorder or
+// edit a released step. Migrations don't stamp sync changes, so an account's
+// copy of the same data still wins over the defaults they fill in.
+const MIGRATIONS = [
+  // 1: saved ids gain details (status 'interested', no note, no collections)
+  () => {
+    const map = readDetails()
+    for (const id of getSavedIds()) map[String(id)] = map[String(id)] || newDetail()
+    localStorage.setItem(DETAILS_KEY, JSON.stringify(map))
+  }
+]
+
+/* Bring this browser's stored data up to date; call once before rendering */
+export function migrateStorage() {
+  try {
+    const done = Number(localStorage.getItem(VERSION_KEY)) || 0
+    for (let v = done; v < MIGRATIONS.length; v++) {
+      MIGRATIONS[v]()
+      localStorage.setItem(VERSION_KEY, String(v + 1))
+    }
+  } catch (err) {
+    console.error('Storage migration failed:', err)
+  }
 }
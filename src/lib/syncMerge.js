@@ -0,0 +1,79 @@
+// src/lib/syncMerge.js
+// The data an account syncs between browsers, and how two copies are merged.
+// Shared by the client (src/lib/account.js) and the API server (server/accounts.js).
+//
+// Shape:
+//   {
+//     prefs:        { value: {...} | null, updatedAt },
+//     saves:        { [eventId]: { updatedAt, deleted? } },
+//     customEvents: { [eventId]: { value: {...} | null, updatedAt, deleted? } },
+//     savedDetails: { [eventId]: { value: { status, note, collections, savedAt } | null, updatedAt, deleted? } },
+//     collections:  { [collectionId]: { value: { id, name, createdAt } | null, updatedAt, deleted? } }
+//   }
+// updatedAt is epoch ms. Every entry is last-write-wins on its own, and a
+// removal is kept as a `deleted` entry so it can win over an older add made
+// on another device.
+
+export const SYNC_COLLECTIONS = ['saves', 'customEvents', 'savedDetails', 'collections']
+// collections whose entries carry a value (saves are just present or deleted)
+export const VALUE_COLLECTIONS = ['customEvents', 'savedDetails', 'collections']
+
+export function emptySyncState() {
+  return { prefs: { value: null, updatedAt: 0 }, saves: {}, customEvents: {}, savedDetails: {}, collections: {} }
+}
+
+/* The later of two entries; on a tie, whichever still has something in it */
+function newer(a, b) {
+  if (!a || !b) return a || b
+  const ta = a.updatedAt || 0
+  const tb = b.updatedAt || 0
+  if (ta !== tb) return tb > ta ? b : a
+  return a.deleted || a.value === null ? b : a
+}
+
+/** Merge two sync states; neither is modified */
+export function mergeSyncState(a, b) {
+  const x = a || emptySyncState()
+  const y = b || emptySyncState()
+  const out = { prefs: newer(x.prefs, y.prefs) || { value: null, updatedAt: 0 } }
+  for (const key of SYNC_COLLECTIONS) {
+    const merged = { ...(x[key] || {}) }
+    for (const [id, entry] of Object.entries(y[key] || {})) merged[id] = newer(merged[id], entry)
+    out[key] = merged
+  }
+  return out
+}
+
+/**
+ * Clean up a sync state from an untrusted source (request bodies).
+ * Returns null if it isn't shaped like one.
+ */
+export function sanitizeSyncState(input, { maxItems = 5000 } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return null
+  const at = v => (Number.isFinite(Number(v)) && Number(v) > 0 ? Number(v) : 0)
+  const isObject = v => v && typeof v === 'object' && !Array.isArray(v)
+  const out = emptySyncState()
+  if (isObject(input.prefs)) {
+    out.prefs = { value: isObject(input.prefs.value) ? input.prefs.value : null, updatedAt: at(input.prefs.updatedAt) }
+  }
+  for (const key of SYNC_COLLECTIONS) {
+    const entries = isObject(input[key]) ? Object.entries(input[key]).slice(0, maxItems) : []
+    for (const [id, entry] of entries) {
+      if (!isObject(entry)) continue
+      const clean = { updatedAt: at(entry.updatedAt) }
+      if (entry.deleted) clean.deleted = true
+      if (VALUE_COLLECTIONS.includes(key)) clean.value = !entry.deleted && isObject(entry.value) ? entry.value : null
+      out[key][String(id)] = clean
+    }
+  }
+  return out
+}
+
+/** True when `a` has something newer than `b` (so b's holder should hear about it) */
+export function hasNewer(a, b) {
+  const later = (x, y) => (x?.updatedAt || 0) > (y?.updatedAt || 0)
+  if (later(a?.prefs, b?.prefs)) return true
+  return SYNC_COLLECTIONS.some(key =>
+    Object.entries(a?.[key] || {}).some(([id, entry]) => later(entry, b?.[key]?.[id]))
+  )
+}
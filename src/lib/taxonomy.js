@@ -0,0 +1,162 @@
+// src/lib/taxonomy.js
+// The one list of tags the app knows about. Onboarding/Settings interests,
+// Submit's tag picker, the Feed tag cloud, event normalization and the tag
+// suggester all read from here, so "hackathons", "Hackathon" and "hackcamp"
+// end up as the same tag everywhere.
+//
+// Entry shape:
+//   { key, label, category, aliases?, loose?, keywords?, implies? }
+//   key      canonical value stored on events and in prefs
+//   aliases  other spellings that normalize to key
+//   loose    spellings that normalize to key as a tag, but are too common in
+//            free text to suggest it ("pm" in "6 pm", "talk", "fair")
+//   keywords extra words in free text that suggest this tag (suggestTags)
+//   implies  broader tags added alongside (e.g. machine learning -> ai)
+
+export const CATEGORIES = ['Tech', 'Business', 'Design', 'Events', 'Careers', 'Sustainability']
+
+export const TAXONOMY = [
+  // Tech
+  { key: 'ai', label: 'AI', category: 'Tech',
+    aliases: ['artificial intelligence'],
+    keywords: ['llm', 'prompt', 'gpt', 'computer vision', 'nlp', 'deep learning', 'genai'] },
+  { key: 'machine learning', label: 'Machine learning', category: 'Tech', implies: ['ai'],
+    aliases: ['ml'] },
+  { key: 'data science', label: 'Data science', category: 'Tech', implies: ['ai'],
+    aliases: ['data analytics', 'datathon', 'data jam'], loose: ['data'],
+    keywords: ['dataset', 'analytics', 'visualization', 'statistics'] },
+  { key: 'swe', label: 'Software engineering', category: 'Tech',
+    aliases: ['software', 'software engineering', 'programming', 'coding'],
+    keywords: ['developer', 'engineer', 'fullstack', 'backend', 'python', 'javascript', 'typescript', 'api'] },
+  { key: 'web dev', label: 'Web dev', category: 'Tech', implies: ['swe'],
+    aliases: ['web development', 'frontend'], loose: ['web'],
+    keywords: ['react', 'html', 'css', 'website'] },
+  { key: 'mobile dev', label: 'Mobile dev', category: 'Tech', implies: ['swe'],
+    aliases: ['mobile development', 'ios', 'android'], loose: ['mobile'] },
+  { key: 'robotics', label: 'Robotics', category: 'Tech', aliases: ['robots'] },
+  { key: 'cybersecurity', label: 'Cybersecurity', category: 'Tech',
+    aliases: ['infosec', 'ctf'], loose: ['security'] },
+
+  // Business
+  { key: 'entrepreneurship', label: 'Entrepreneurship', category: 'Business',
+    aliases: ['entrepreneur', 'founders'],
+    keywords: ['founder', 'pitch', 'vc', 'accelerator', 'incubator', 'ideation'] },
+  { key: 'startups', label: 'Startups', category: 'Business', implies: ['entrepreneurship'],
+    aliases: ['startup', 'startup competition'] },
+  { key: 'finance', label: 'Finance', category: 'Business',
+    aliases: ['fintech'],
+    keywords: ['investment', 'stocks', 'trading', 'portfolio', 'quant', 'valuation'] },
+  { key: 'consulting', label: 'Consulting', category: 'Business',
+    aliases: ['case competition'] },
+  { key: 'product management', label: 'Product management', category: 'Business',
+    loose: ['product', 'pm'] },
+  { key: 'business', label: 'Business', category: 'Business' },
+
+  // Design
+  { key: 'ux/ui', label: 'UX/UI', category: 'Design',
+    aliases: ['ux', 'ui', 'ui/ux', 'ux design', 'ui design'], loose: ['design'] },
+  { key: 'graphic design', label: 'Graphic design', category: 'Design' },
+  { key: 'industrial design', label: 'Industrial design', category: 'Design' },
+  { key: '3d modeling', label: '3D modeling', category: 'Design', aliases: ['3d', 'cad'] },
+
+  // Events (formats)
+  { key: 'hackathon', label: 'Hackathons', category: 'Events',
+    aliases: ['hackathons', 'hackcamp', 'code sprint', 'vibe code a thon'],
+    keywords: ['coding marathon'] },
+  { key: 'workshop', label: 'Workshops', category: 'Events',
+    aliases: ['workshops', 'bootcamp', 'tutorial'],
+    keywords: ['hands-on', 'lab'] },
+  { key: 'competition', label: 'Competitions', category: 'Events',
+    aliases: ['competitions'], loose: ['challenge'] },
+  { key: 'networking', label: 'Networking', category: 'Events',
+    aliases: ['mixer', 'meetup', 'career night'],
+    keywords: ['meet and greet', 'coffee chat'] },
+  { key: 'social', label: 'Social', category: 'Events', aliases: ['socials'] },
+  { key: 'info session', label: 'Info sessions', category: 'Events',
+    aliases: ['info sessions', 'seminar'], loose: ['panel', 'talk'] },
+  { key: 'conference', label: 'Conferences', category: 'Events',
+    aliases: ['conferences', 'showcase', 'summit'] },
+
+  // Careers
+  { key: 'internships', label: 'Internships', category: 'Careers',
+    aliases: ['internship', 'co-op', 'coop'] },
+  { key: 'career fairs', label: 'Career fairs', category: 'Careers',
+    aliases: ['career fair', 'job fair'], loose: ['fair'] },
+  { key: 'research', label: 'Research opportunities', category: 'Careers',
+    aliases: ['research opportunities', 'undergraduate research'] },
+  { key: 'career skills', label: 'Career skills', category: 'Careers',
+    aliases: ['careers', 'professional development', 'resume'] },
+  { key: 'volunteering', label: 'Volunteering', category: 'Careers',
+    aliases: ['volunteer', 'volunteers'] },
+
+  // Sustainability
+  { key: 'climate', label: 'Climate', category: 'Sustainability', aliases: ['climate change'] },
+  { key: 'sustainability', label: 'Sustainability', category: 'Sustainability',
+    aliases: ['environmental'], loose: ['environment'] },
+  { key: 'clean tech', label: 'Clean tech', category: 'Sustainability',
+    aliases: ['cleantech', 'clean energy'] },
+  { key: 'social impact', label: 'Social impact', category: 'Sustainability',
+    aliases: ['nonprofit'], loose: ['community'] }
+]
+
+/* Lowercase, single-spaced, without stray punctuation at the ends */
+function clean(s) {
+  return String(s || '').trim().toLowerCase().replace(/\s+/g, ' ').replace(/^[#\s]+|[.,;:!]+$/g, '')
+}
+
+const BY_KEY = new Map(TAXONOMY.map(t => [t.key, t]))
+const BY_ALIAS = new Map(
+  TAXONOMY.flatMap(t => [t.key, t.label, ...(t.aliases || []), ...(t.loose || [])].map(a => [clean(a), t.key]))
+)
+
+/** Canonical key for any spelling; unknown tags come back cleaned but otherwise unchanged. */
+export function canonicalTag(raw) {
+  const c = clean(raw)
+  if (!c) return ''
+  if (BY_ALIAS.has(c)) return BY_ALIAS.get(c)
+  // simple plural ("competitions" -> "competition")
+  if (c.endsWith('s') && BY_ALIAS.has(c.slice(0, -1))) return BY_ALIAS.get(c.slice(0, -1))
+  return c
+}
+
+/** Canonical, de-duplicated tags with implied broader tags added. */
+export function normalizeTags(list = []) {
+  const out = new Set()
+  for (const raw of list) {
+    const key = canonicalTag(raw)
+    if (!key) continue
+    out.add(key)
+    for (const broader of BY_KEY.get(key)?.implies || []) out.add(broader)
+  }
+  return [...out]
+}
+
+/** Canonical interests for stored prefs: same as normalizeTags but without implied tags */
+export function canonicalInterests(list = []) {
+  return [...new Set((Array.isArray(list) ? list : []).map(canonicalTag).filter(Boolean))]
+}
+
+export function isKnownTag(key) {
+  return BY_KEY.has(key)
+}
+
+/** Display name for a tag key (unknown tags are shown as-is) */
+export function tagLabel(key) {
+  return BY_KEY.get(key)?.label || key
+}
+
+/** [{ category, tags: [entry] }] in display order, e.g. for interest pickers */
+export function tagsByCategory() {
+  return CATEGORIES.map(category => ({
+    category,
+    tags: TAXONOMY.filter(t => t.category === category)
+  }))
+}
+
+/** { [key]: words } for matching free text: the label, aliases and keywords (not loose spellings) */
+export function tagKeywords() {
+  return Object.fromEntries(TAXONOMY.map(t => [
+    t.key,
+    [...new Set([t.key, t.label, ...(t.aliases || []), ...(t.keywords || [])].map(clean))]
+  ]))
+}
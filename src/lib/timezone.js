@@ -0,0 +1,43 @@
+// src/lib/timezone.js
+// Events happen in Vancouver, so recurrence and .ics dates are worked out on
+// its wall clock, not the time zone of whatever runs the code (a browser
+// abroad, or the API server in UTC).
+
+export const TZID = 'America/Vancouver'
+
+const partsFormat = new Intl.DateTimeFormat('en-CA', {
+  timeZone: TZID,
+  year: 'numeric', month: '2-digit', day: '2-digit',
+  hour: '2-digit', minute: '2-digit', second: '2-digit',
+  hourCycle: 'h23'
+})
+
+/** Vancouver wall-clock time of an instant: { year, month (1–12), day, hour, minute, second, ms } */
+export function wallClock(d) {
+  const t = new Date(d).getTime()
+  const p = Object.fromEntries(partsFormat.formatToParts(t).map(x => [x.type, Number(x.value)]))
+  return { year: p.year, month: p.month, day: p.day, hour: p.hour, minute: p.minute, second: p.second, ms: new Date(t).getUTCMilliseconds() }
+}
+
+/* ms Vancouver is ahead of UTC at instant t (negative: -7h or -8h) */
+function offsetAt(t) {
+  const w = wallClock(t)
+  return Date.UTC(w.year, w.month - 1, w.day, w.hour, w.minute, w.second, w.ms) - t
+}
+
+/**
+ * The instant Vancouver clocks show this wall-clock time. Out-of-range fields
+ * roll over like Date.UTC (day 32 is the 1st of next month).
+ */
+export function fromWallClock({ year, month, day, hour = 0, minute = 0, second = 0, ms = 0 }) {
+  const asUTC = Date.UTC(year, month - 1, day, hour, minute, second, ms)
+  // the offset at the first guess can be off by an hour across a DST change; the second is right
+  const guess = asUTC - offsetAt(asUTC)
+  return new Date(asUTC - offsetAt(guess))
+}
+
+/** Vancouver calendar date of an instant as YYYY-MM-DD */
+export function zoneDayKey(d) {
+  const { year, month, day } = wallClock(d)
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+}
@@ -6,6 +6,7 @@ import App from './App.jsx'
 import './index.css'
 
 import { ToasterProvider } from './components/Toaster.jsx'
+import { migrateStorage } from './lib/storage.js'
 
 import Landing from './pages/Landing.jsx'
 import Onboarding from './pages/Onboarding.jsx'
@@ -16,6 +17,12 @@ import Settings from './pages/Settings.jsx'
 import NotFound from './pages/NotFound.jsx'
 import Pitch from './pages/Pitch.jsx'
 import Event from './pages/Event.jsx' // NEW
+import Review from './pages/Review.jsx'
+import MySubmissions from './pages/MySubmissions.jsx'
+import Archive from './pages/Archive.jsx'
+import Calendar from './pages/Calendar.jsx'
+
+migrateStorage()
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
@@ -27,10 +34,14 @@ ReactDOM.createRoot(document.getElementById('root')).render(
             <Route path="onboarding" element={<Onboarding />} />
             <Route path="feed" element={<Feed />} />
             <Route path="saved" element={<Saved />} />
+            <Route path="archive" element={<Archive />} />
+            <Route path="calendar" element={<Calendar />} />
             <Route path="submit" element={<Submit />} />
+            <Route path="submissions" element={<MySubmissions />} />
             <Route path="settings" element={<Settings />} />
             <Route path="pitch" element={<Pitch />} />
             <Route path="e/:id" element={<Event />} />   {/* NEW: shareable event page */}
+            <Route path="admin/review" element={<Review />} />
             <Route path="*" element={<NotFound />} />
           </Route>
         </Routes>
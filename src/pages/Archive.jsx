@@ -0,0 +1,94 @@
+// src/pages/Archive.jsx
+import { useEffect, useMemo, useState } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import Card from '../components/Card.jsx'
+import Chip from '../components/Chip.jsx'
+import EventCard from '../components/EventCard.jsx'
+import { getAllEventsMerged } from '../lib/data.js'
+import { isPast, lastOccurrenceStart } from '../lib/lifecycle.js'
+
+/* 'YYYY-MM' of a date in local time */
+function monthKey(iso) {
+  const d = new Date(iso)
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`
+}
+
+function monthLabel(key) {
+  const [y, m] = key.split('-').map(Number)
+  return new Date(y, m - 1, 1).toLocaleDateString([], { month: 'long', year: 'numeric' })
+}
+
+/**
+ * Events that have ended, newest first, grouped by the month they (last) took
+ * place in. Cards show the events as they were listed. ?month=YYYY-MM picks one month.
+ */
+export default function Archive() {
+  const [events, setEvents] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [searchParams, setSearchParams] = useSearchParams()
+  const month = searchParams.get('month') || 'all'
+
+  useEffect(() => {
+    getAllEventsMerged()
+      .then(setEvents)
+      .catch(e => setError(e.message || 'Failed to load events'))
+      .finally(() => setLoading(false))
+  }, [])
+
+  // [{ key, label, events }] newest month first
+  const months = useMemo(() => {
+    const groups = new Map()
+    const past = events
+      .filter(e => isPast(e))
+      .map(e => ({ e, at: lastOccurrenceStart(e) || e.start }))
+      .sort((a, b) => new Date(b.at) - new Date(a.at))
+    for (const { e, at } of past) {
+      const key = monthKey(at)
+      if (!groups.has(key)) groups.set(key, [])
+      groups.get(key).push(e)
+    }
+    return [...groups].map(([key, list]) => ({ key, label: monthLabel(key), events: list }))
+  }, [events])
+
+  const shown = month === 'all' ? months : months.filter(m => m.key === month)
+  const total = months.reduce((n, m) => n + m.events.length, 0)
+
+  const pickMonth = key => setSearchParams(key === 'all' ? {} : { month: key })
+
+  return (
+    <div>
+      <div className="row-between">
+        <div className="h1">Past events</div>
+        <Link className="btn btn-ghost" to="/feed">Back to Feed</Link>
+      </div>
+
+      {loading && <Card>Loading events…</Card>}
+      {error && <Card>Failed to load events: {error}</Card>}
+      {!loading && !error && !total && <Card>No past events yet.</Card>}
+
+      {months.length > 0 && (
+        <Card className="space-bottom">
+          <div className="h2" style={{ marginTop: 0 }}>Month</div>
+          <div className="chips">
+            <Chip active={month === 'all'} onClick={() => pickMonth('all')}>All ({total})</Chip>
+            {months.map(m => (
+              <Chip key={m.key} active={month === m.key} onClick={() => pickMonth(m.key)}>
+                {m.label} ({m.events.length})
+              </Chip>
+            ))}
+          </div>
+        </Card>
+      )}
+
+      {shown.map(m => (
+        <section key={m.key} className="space-bottom">
+          <div className="h2">{m.label}</div>
+          <div className="grid">
+            {m.events.map(evt => <EventCard key={evt.id} evt={evt} />)}
+          </div>
+        </section>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,337 @@
+// src/pages/Calendar.jsx
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
+import Card from '../components/Card.jsx'
+import Chip from '../components/Chip.jsx'
+import { getAllEventsMerged } from '../lib/data.js'
+import { getUserPrefs, getSavedIds } from '../lib/storage.js'
+import { parseFeedParams, toFeedParams, describeFilters, matchFeedFilters } from '../lib/feedFilters.js'
+import { dayKey } from '../lib/recurrence.js'
+import {
+  CALENDAR_VIEWS,
+  AGENDA_DAYS,
+  startOfDay,
+  addDays,
+  addMonths,
+  startOfWeek,
+  parseDay,
+  monthWeeks,
+  viewRange,
+  eventInstances,
+  instancesByDay
+} from '../lib/calendarLayout.js'
+
+const VIEW_LABELS = { month: 'Month', week: 'Week', agenda: 'Agenda' }
+const EVENTS_PER_CELL = 3
+const HOUR_PX = 44
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']
+
+const timeOf = d => d.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })
+
+function conflictTitle(piece) {
+  if (!piece.overlaps.length) return piece.evt.title
+  return `${piece.evt.title} — overlaps with ${piece.overlaps.map(e => e.title).join(', ')}`
+}
+
+/**
+ * Month / week / agenda views over the same events the Feed shows: the Feed's
+ * filters come along in the query string, plus ?cal=<view>&day=YYYY-MM-DD.
+ * Arrow keys move between days, PageUp/PageDown change period, Enter on a
+ * day in the month view opens that week.
+ */
+export default function Calendar() {
+  const nav = useNavigate()
+  const [prefs, setPrefs] = useState(() => getUserPrefs())
+  const [savedIds, setSavedIds] = useState(() => getSavedIds())
+  const [events, setEvents] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  const [searchParams, setSearchParams] = useSearchParams()
+  const filterOpts = useMemo(() => ({ hasProfile: !!prefs }), [prefs])
+  const filters = useMemo(() => parseFeedParams(searchParams, filterOpts), [searchParams, filterOpts])
+  const view = CALENDAR_VIEWS.includes(searchParams.get('cal')) ? searchParams.get('cal') : 'month'
+  const dayParam = searchParams.get('day')
+  const focus = useMemo(() => parseDay(dayParam) || startOfDay(new Date()), [dayParam])
+  const focusKey = dayKey(focus)
+
+  const gridRef = useRef(null)
+  const movedByKey = useRef(false)
+
+  useEffect(() => {
+    getAllEventsMerged()
+      .then(setEvents)
+      .catch(e => setError(e.message || 'Failed to load events'))
+      .finally(() => setLoading(false))
+  }, [])
+
+  useEffect(() => {
+    const onSaves = () => setSavedIds(getSavedIds())
+    const onPrefs = e => setPrefs(e?.detail || getUserPrefs())
+    const onStorage = () => { setSavedIds(getSavedIds()); setPrefs(getUserPrefs()) }
+    window.addEventListener('saves-updated', onSaves)
+    window.addEventListener('userprefs-updated', onPrefs)
+    window.addEventListener('storage', onStorage)
+    return () => {
+      window.removeEventListener('saves-updated', onSaves)
+      window.removeEventListener('userprefs-updated', onPrefs)
+      window.removeEventListener('storage', onStorage)
+    }
+  }, [])
+
+  // Same set as the Feed for these filters (order doesn't matter here)
+  const matching = useMemo(
+    () => matchFeedFilters(events, filters, { prefs, savedIds: getSavedIds() }),
+    [events, filters, prefs]
+  )
+  const range = useMemo(() => viewRange(view, focus), [view, focus])
+  const days = useMemo(
+    () => instancesByDay(eventInstances(matching, range, { savedIds }), range),
+    [matching, range, savedIds]
+  )
+
+  // Keep keyboard focus on the focused day after arrow-key moves
+  useEffect(() => {
+    if (!movedByKey.current) return
+    movedByKey.current = false
+    gridRef.current?.querySelector(`[data-day="${focusKey}"]`)?.focus()
+  }, [focusKey, view])
+
+  function update(patch, { replace = false } = {}) {
+    const next = new URLSearchParams(searchParams)
+    for (const [k, v] of Object.entries(patch)) {
+      if (v == null) next.delete(k)
+      else next.set(k, v)
+    }
+    setSearchParams(next, { replace })
+  }
+  const setView = v => update({ cal: v === 'month' ? null : v })
+  const goTo = (d, opts) => update({ day: dayKey(d) === dayKey(new Date()) ? null : dayKey(d) }, opts)
+
+  function step(dir) {
+    if (view === 'month') goTo(addMonths(focus, dir))
+    else if (view === 'week') goTo(addDays(focus, 7 * dir))
+    else goTo(addDays(focus, AGENDA_DAYS * dir))
+  }
+
+  function onKeyDown(e) {
+    const vertical = view === 'agenda' ? 1 : 7
+    const moves = {
+      ArrowLeft: () => addDays(focus, -1),
+      ArrowRight: () => addDays(focus, 1),
+      ArrowUp: () => addDays(focus, -vertical),
+      ArrowDown: () => addDays(focus, vertical),
+      Home: () => startOfWeek(focus),
+      End: () => addDays(startOfWeek(focus), 6),
+      PageUp: () => view === 'month' ? addMonths(focus, -1) : addDays(focus, view === 'week' ? -7 : -AGENDA_DAYS),
+      PageDown: () => view === 'month' ? addMonths(focus, 1) : addDays(focus, view === 'week' ? 7 : AGENDA_DAYS)
+    }
+    if (moves[e.key]) {
+      e.preventDefault()
+      movedByKey.current = true
+      goTo(moves[e.key](), { replace: true })
+    } else if (e.key === 'Enter' && view === 'month' && e.target.dataset.day) {
+      e.preventDefault()
+      movedByKey.current = true
+      setView('week')
+    }
+  }
+
+  // Roving tabindex: only the focused day (and its events) is in the tab order
+  const dayProps = d => ({
+    'data-day': dayKey(d),
+    tabIndex: dayKey(d) === focusKey ? 0 : -1,
+    onFocus: e => { if (e.target === e.currentTarget && dayKey(d) !== focusKey) goTo(d, { replace: true }) }
+  })
+  const eventProps = (piece, d) => ({
+    to: `/e/${piece.evt.id}`,
+    tabIndex: dayKey(d) === focusKey ? 0 : -1,
+    title: conflictTitle(piece),
+    className: `cal-event${piece.saved ? ' saved' : ''}${piece.overlaps.length ? ' conflict' : ''}`
+  })
+
+  const title = view === 'month'
+    ? focus.toLocaleDateString([], { month: 'long', year: 'numeric' })
+    : `${range.from.toLocaleDateString([], { month: 'short', day: 'numeric' })} – ${addDays(range.to, -1).toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' })}`
+  const feedLink = `/feed?${toFeedParams(filters, filterOpts)}`
+  const todayKey = dayKey(new Date())
+
+  return (
+    <div>
+      <div className="row-between">
+        <div className="h1">Calendar</div>
+        <Link className="btn btn-ghost" to={feedLink}>List view</Link>
+      </div>
+
+      <Card className="space-bottom">
+        <div className="row-between">
+          <div className="chips">
+            {CALENDAR_VIEWS.map(v => (
+              <Chip key={v} active={view === v} onClick={() => setView(v)}>{VIEW_LABELS[v]}</Chip>
+            ))}
+            <Chip active={filters.past} onClick={() => update({ past: filters.past ? null : '1' })}>Include ended</Chip>
+          </div>
+          <div className="row">
+            <button className="btn btn-ghost" onClick={() => step(-1)} aria-label="Previous">‹</button>
+            <button className="btn btn-ghost" onClick={() => goTo(new Date())}>Today</button>
+            <button className="btn btn-ghost" onClick={() => step(1)} aria-label="Next">›</button>
+            <div className="h3" style={{ margin: 0 }}>{title}</div>
+          </div>
+        </div>
+        <div className="muted" style={{ marginTop: 8 }}>
+          Showing: {describeFilters(filters)} · <Link className="link" to={feedLink}>change filters in the Feed</Link> · ★ saved · ⚠ overlaps
+        </div>
+      </Card>
+
+      {loading && <Card>Loading events…</Card>}
+      {error && <Card>Failed to load events: {error}</Card>}
+
+      {!loading && !error && (
+        <div ref={gridRef} onKeyDown={onKeyDown}>
+          {view === 'month' && (
+            <div className="cal-month" role="grid" aria-label={title}>
+              <div className="cal-row" role="row">
+                {WEEKDAYS.map(w => <div key={w} className="cal-weekday" role="columnheader">{w}</div>)}
+              </div>
+              {monthWeeks(focus).map(week => (
+                <div key={dayKey(week[0])} className="cal-row" role="row">
+                  {week.map(d => {
+                    const key = dayKey(d)
+                    const list = days.get(key) || []
+                    return (
+                      <div
+                        key={key}
+                        role="gridcell"
+                        aria-selected={key === focusKey}
+                        aria-label={`${d.toLocaleDateString([], { dateStyle: 'full' })}, ${list.length} event${list.length === 1 ? '' : 's'}`}
+                        className={`cal-cell${d.getMonth() !== focus.getMonth() ? ' other-month' : ''}${key === todayKey ? ' today' : ''}${key === focusKey ? ' focused' : ''}`}
+                        {...dayProps(d)}
+                      >
+                        <div className="cal-daynum">{d.getDate()}</div>
+                        {list.slice(0, EVENTS_PER_CELL).map(p => (
+                          <Link key={p.key} {...eventProps(p, d)}>
+                            {p.saved && '★ '}{p.overlaps.length > 0 && '⚠ '}{timeOf(p.segStart)} {p.evt.title}
+                          </Link>
+                        ))}
+                        {list.length > EVENTS_PER_CELL && (
+                          <button
+                            type="button"
+                            className="cal-more"
+                            tabIndex={key === focusKey ? 0 : -1}
+                            onClick={() => update({ cal: 'week', day: key })}
+                          >
+                            +{list.length - EVENTS_PER_CELL} more
+                          </button>
+                        )}
+                      </div>
+                    )
+                  })}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {view === 'week' && <WeekView range={range} days={days} focusKey={focusKey} todayKey={todayKey} dayProps={dayProps} eventProps={eventProps} />}
+
+          {view === 'agenda' && (
+            <div role="list" aria-label={title}>
+              {[...days].filter(([, list]) => list.length).length === 0 && (
+                <Card>No events in the next {AGENDA_DAYS} days. Try Next or include ended events.</Card>
+              )}
+              {[...days].map(([key, list]) => {
+                const d = parseDay(key)
+                if (!list.length && key !== focusKey) return null
+                return (
+                  <div key={key} role="listitem" className={`cal-agenda-day${key === focusKey ? ' focused' : ''}`} {...dayProps(d)}>
+                    <div className="h3">{d.toLocaleDateString([], { weekday: 'long', month: 'long', day: 'numeric' })}</div>
+                    {!list.length && <div className="muted">No events.</div>}
+                    {list.map(p => (
+                      <div key={p.key} className="row" style={{ gap: 'var(--space-2)', padding: '4px 0' }}>
+                        <span className="muted" style={{ minWidth: 130 }}>{timeOf(p.segStart)} – {timeOf(p.segEnd)}</span>
+                        <Link {...eventProps(p, d)}>
+                          {p.saved && '★ '}{p.overlaps.length > 0 && '⚠ '}{p.evt.title}
+                        </Link>
+                        <span className="muted">{p.evt.location || 'TBA'}</span>
+                      </div>
+                    ))}
+                  </div>
+                )
+              })}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="row space-top">
+        <button className="btn btn-ghost" onClick={() => nav(feedLink)}>Back to Feed</button>
+      </div>
+    </div>
+  )
+}
+
+/* Seven day columns on an hour timeline; overlapping events share the column width */
+function WeekView({ range, days, focusKey, todayKey, dayProps, eventProps }) {
+  const week = Array.from({ length: 7 }, (_, i) => addDays(range.from, i))
+  const pieces = week.flatMap(d => days.get(dayKey(d)) || [])
+
+  // 8am–10pm, widened to fit anything earlier or later
+  let first = 8
+  let last = 22
+  for (const p of pieces) {
+    const day = startOfDay(p.segStart)
+    first = Math.min(first, Math.floor((p.segStart - day) / 3600000))
+    last = Math.max(last, Math.ceil((p.segEnd - day) / 3600000))
+  }
+  const hours = Array.from({ length: last - first }, (_, i) => first + i)
+
+  return (
+    <div className="cal-week" role="grid">
+      <div className="cal-row" role="row">
+        <div className="cal-gutter" />
+        {week.map(d => {
+          const key = dayKey(d)
+          return (
+            <div
+              key={key}
+              role="columnheader"
+              className={`cal-weekday${key === todayKey ? ' today' : ''}${key === focusKey ? ' focused' : ''}`}
+              aria-selected={key === focusKey}
+              {...dayProps(d)}
+            >
+              {d.toLocaleDateString([], { weekday: 'short', day: 'numeric' })}
+            </div>
+          )
+        })}
+      </div>
+      <div className="cal-row">
+        <div className="cal-gutter">
+          {hours.map(h => (
+            <div key={h} className="cal-hour muted" style={{ height: HOUR_PX }}>
+              {new Date(2000, 0, 1, h).toLocaleTimeString([], { hour: 'numeric' })}
+            </div>
+          ))}
+        </div>
+        {week.map(d => {
+          const key = dayKey(d)
+          return (
+            <div key={key} className="cal-week-col" style={{ height: hours.length * HOUR_PX }} role="gridcell">
+              {(days.get(key) || []).map(p => {
+                const top = ((p.segStart - d) / 3600000 - first) * HOUR_PX
+                const height = Math.max(18, ((p.segEnd - p.segStart) / 3600000) * HOUR_PX - 2)
+                return (
+                  <Link
+                    key={p.key}
+                    {...eventProps(p, d)}
+                    style={{ top, height, left: `${(p.col / p.cols) * 100}%`, width: `${100 / p.cols}%` }}
+                  >
+                    <strong>{timeOf(p.segStart)}</strong> {p.saved && '★ '}{p.overlaps.length > 0 && '⚠ '}{p.evt.title}
+                  </Link>
+                )
+              })}
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
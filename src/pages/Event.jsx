@@ -7,6 +7,12 @@ import Button from '../components/Button.jsx'
 import { getEventById } from '../lib/data.js'
 import { getSavedIds, toggleSaveId } from '../lib/storage.js'
 import { googleCalendarUrl, downloadICS } from '../lib/calendar.js'
+import { deadlineBadge, deadlineDate } from '../lib/deadline.js'
+import { facultyBadges } from '../lib/faculties.js'
+import { eventPhase, phaseBadge } from '../lib/lifecycle.js'
+import { atNextOccurrence, describeRecurrence, occurrences, seriesOf } from '../lib/recurrence.js'
+import { trackEngagement, loadEngagement } from '../lib/engagement.js'
+import { popularityBadges } from '../lib/popularity.js'
 import { useToast } from '../components/Toaster.jsx'
 
 export default function Event() {
@@ -16,15 +22,25 @@ export default function Event() {
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState('')
   const [version, setVersion] = useState(0) // bump to refresh saved state
+  const [stats, setStats] = useState(null) // engagement for Trending / going badges
 
   useEffect(() => {
     setLoading(true)
     getEventById(id)
-      .then(e => setEvt(e))
+      .then(e => {
+        setEvt(e && atNextOccurrence(e))
+        if (e) trackEngagement(e.id, 'open')
+      })
       .catch(() => setEvt(null))
       .finally(() => setLoading(false))
   }, [id])
 
+  useEffect(() => {
+    let cancelled = false
+    loadEngagement().then(all => { if (!cancelled) setStats(all[String(id)] || null) })
+    return () => { cancelled = true }
+  }, [id])
+
   const saved = useMemo(() => {
     return evt ? getSavedIds().includes(evt.id) : false
   }, [evt, version])
@@ -52,6 +68,10 @@ export default function Event() {
     ? `${start.toLocaleString([], { dateStyle:'medium', timeStyle:'short' })}${end ? ' – ' + end.toLocaleTimeString([], { timeStyle:'short' }) : ''}`
     : 'TBA'
   const hasStart = !!evt.start
+  const ended = eventPhase(evt) === 'past'
+  const upcoming = evt.recurrence
+    ? occurrences(seriesOf(evt), { from: new Date(), limit: 6 })
+    : []
   const gcalHref = hasStart ? googleCalendarUrl(evt) : '#'
 
   async function shareLink() {
@@ -64,6 +84,7 @@ export default function Event() {
         await navigator.clipboard.writeText(link)
         toast.success('Link copied to clipboard.')
       }
+      trackEngagement(evt.id, 'share')
     } catch {
       // user cancelled or clipboard failed—stay quiet or show info
       toast.info('Share cancelled.')
@@ -80,12 +101,42 @@ export default function Event() {
       </div>
 
       <div className="row space-bottom">
-        <Badge>{evt.faculty || 'All'}</Badge>
+        {phaseBadge(evt) && <Badge>{phaseBadge(evt)}</Badge>}
+        {facultyBadges(evt.faculties).map(f => <Badge key={f}>{f}</Badge>)}
         <Badge>{evt.level}</Badge>
         {evt.tags?.map(t => <Badge key={t}>#{t}</Badge>)}
         {evt.isCustom && <Badge>🆕 New</Badge>}
-        {saved && <Badge>🔥 Trending</Badge>}
+        {evt.recurrence && <Badge>🔁 {describeRecurrence(evt.recurrence)}</Badge>}
+        {evt.deadline && <Badge>{deadlineBadge(evt)}</Badge>}
+        {popularityBadges(evt, stats, { saved }).map(b => (
+          <Badge key={b.key} className={`badge-${b.key}`} title={b.title}>{b.label}</Badge>
+        ))}
       </div>
+      {ended && (
+        <div className="muted space-bottom">
+          This event has ended. <Link className="link" to="/archive">Browse past events</Link>
+        </div>
+      )}
+      {evt.deadline && !ended && (
+        <div className="muted space-bottom">
+          Applications close {deadlineDate(evt)?.toLocaleString([], { dateStyle: 'full', timeStyle: 'short' })}.
+        </div>
+      )}
+
+      {evt.recurrence && (
+        <Card className="space-bottom">
+          <div className="h2" style={{marginTop: 0}}>Upcoming dates</div>
+          {upcoming.length ? (
+            <ul style={{margin: 0, paddingLeft: 18, lineHeight: 1.6}}>
+              {upcoming.map(o => (
+                <li key={o.start}>{new Date(o.start).toLocaleString([], { dateStyle:'full', timeStyle:'short' })}</li>
+              ))}
+            </ul>
+          ) : (
+            <p className="muted" style={{margin: 0}}>This series has ended.</p>
+          )}
+        </Card>
+      )}
 
       <Card className="space-bottom">
         <p style={{whiteSpace:'pre-wrap', marginTop: 0}}>
@@ -107,7 +158,8 @@ export default function Event() {
             target="_blank"
             rel="noreferrer"
             onClick={(e) => {
-              if (!hasStart) { e.preventDefault(); toast.error('This event is missing a start time.'); }
+              if (!hasStart) { e.preventDefault(); toast.error('This event is missing a start time.'); return; }
+              trackEngagement(evt.id, 'calendar')
             }}
           >
             Add to Google
@@ -118,6 +170,7 @@ export default function Event() {
             onClick={() => {
               if (!hasStart) { toast.error('This event is missing a start time.'); return; }
               downloadICS(evt)
+              trackEngagement(evt.id, 'calendar')
               toast.success('Calendar file downloaded.')
             }}
           >
@@ -129,6 +182,7 @@ export default function Event() {
             onClick={() => {
               const wasSaved = saved
               toggleSaveId(evt.id)
+              trackEngagement(evt.id, wasSaved ? 'unsave' : 'save')
               setVersion(v => v + 1)
               toast.info(wasSaved ? 'Removed from Saved' : 'Saved ✓')
             }}
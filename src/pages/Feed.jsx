@@ -1,64 +1,117 @@
 // src/pages/Feed.jsx
-import { useEffect, useMemo, useState } from 'react'
-import { Link, useNavigate } from 'react-router-dom'
+import { useDeferredValue, useEffect, useMemo, useState } from 'react'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
 import Card from '../components/Card.jsx'
 import Chip from '../components/Chip.jsx'
 import EventCard from '../components/EventCard.jsx'
-import { loadEvents } from '../lib/data.js'
-import { getCustomEvents } from '../lib/custom.js'
+import FacetPanel from '../components/FacetPanel.jsx'
+import { getAllEventsMerged } from '../lib/data.js'
+import { expandEvent, atNextOccurrence } from '../lib/recurrence.js'
+import { deadlineStatus } from '../lib/deadline.js'
+import { recommend, explain } from '../lib/recommend.js'
+import { tagLabel } from '../lib/taxonomy.js'
+import { facultyLabel } from '../lib/faculties.js'
+import { buildSearchIndex, search } from '../lib/search.js'
+import { feedDefaults, parseFeedParams, toFeedParams, describeFilters, narrowEvents } from '../lib/feedFilters.js'
+import { facetCounts } from '../lib/facets.js'
+import { isPast } from '../lib/lifecycle.js'
+import { fetchTrending, trackEngagement, describeEngagement } from '../lib/engagement.js'
+import { POPULARITY } from '../lib/popularity.js'
 import {
   getUserPrefs,
   getSavedIds,
-  getSaveCounts,
-  toggleSaveId
+  toggleSaveId,
+  addSavedSearch
 } from '../lib/storage.js'
+import { useToast } from '../components/Toaster.jsx'
+import { alertBaseline, checkSearchAlerts, markSearchSeen, searchesWithNews } from '../lib/searchAlerts.js'
 
-const LEVELS = ['beginner', 'intermediate', 'advanced']
-const TAG_CLOUD_LIMIT = 5
+// Trending scores fetched for ranking the Trending sort and strip
+const TRENDING_LIMIT = 100
+
+// Date sort lists each upcoming occurrence of a recurring event within this window
+const OCCURRENCE_WINDOW_DAYS = 28
+const MAX_OCCURRENCES = 4
+
+// How often "now" moves on for date-based sorting (next occurrences, closing soon)
+const CLOCK_TICK_MS = 60 * 1000
 
-// ONLY these 5 tags will appear in the popular tags cloud (and be selectable)
-const ALLOWED_TAGS = ['hackathon', 'web dev', 'product management', 'data science', 'ai']
 
 export default function Feed() {
   const nav = useNavigate()
+  const toast = useToast()
   // initialize prefs from storage and keep it reactive
   const [prefs, setPrefs] = useState(() => getUserPrefs())
-  // default viewMode: personalized if prefs exist, otherwise 'all'
-  const [viewMode, setViewMode] = useState(() => (getUserPrefs() ? 'personalized' : 'all'))
+
+  // Filters live in the URL (see feedFilters.js) so they survive reloads, can be
+  // shared, and back/forward steps through them. The view defaults to
+  // personalized once there's a profile.
+  const [searchParams, setSearchParams] = useSearchParams()
+  const filterOpts = useMemo(() => ({ hasProfile: !!prefs }), [prefs])
+  const filters = useMemo(() => parseFeedParams(searchParams, filterOpts), [searchParams, filterOpts])
+  const { view: viewMode, sort, q, past: showPast } = filters
+
+  function updateFilters(patch, { replace = false } = {}) {
+    setSearchParams(toFeedParams({ ...filters, ...patch }, filterOpts), { replace })
+  }
+  const setViewMode = view => updateFilters({ view })
+  const setSort = s => updateFilters({ sort: s })
 
   const [events, setEvents] = useState([])
-  const [level, setLevel] = useState('all')
-  const [sort, setSort] = useState('trending')
-  const [q, setQ] = useState('')
-  const [selectedTags, setSelectedTags] = useState([])
+  const [searchNews, setSearchNews] = useState(() => searchesWithNews())
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState('')
-  const [version, setVersion] = useState(0) // bump to re-run memos after save toggles
+  const [, setVersion] = useState(0) // bump to re-render after save toggles
+  const [trendStats, setTrendStats] = useState([]) // [{ id, score, counts }] from /api/trending
+  const [now, setNow] = useState(() => Date.now())
 
-  // normalization helper
-  const norm = s => String(s || '').toLowerCase().trim()
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), CLOCK_TICK_MS)
+    return () => clearInterval(timer)
+  }, [])
 
   useEffect(() => {
-    setLoading(true)
-    loadEvents()
-      .then(fileEvents => {
-        const custom = getCustomEvents() || []
-        setEvents([...custom, ...fileEvents])
+    getAllEventsMerged()
+      .then(list => {
+        setEvents(list)
+        if (list.length) checkSearchAlerts(list)
       })
       .catch(e => setError(e.message || 'Failed to load events'))
       .finally(() => setLoading(false))
   }, [])
 
+  // Trending across everyone (server/engagement.js); the personalized view asks
+  // for the slice matching this profile. Without the API server there's no strip.
+  useEffect(() => {
+    let cancelled = false
+    const slice = viewMode === 'personalized' && prefs
+      ? { faculty: prefs.faculty, interests: prefs.interests || [] }
+      : {}
+    fetchTrending({ ...slice, limit: TRENDING_LIMIT })
+      .then(list => { if (!cancelled) setTrendStats(list) })
+      .catch(() => { if (!cancelled) setTrendStats([]) })
+    return () => { cancelled = true }
+  }, [viewMode, prefs])
+  const trendScores = useMemo(() => new Map(trendStats.map(t => [String(t.id), t.score])), [trendStats])
+
+  // Saved-search alerts (updated by checkSearchAlerts, the nav menu, other tabs)
+  useEffect(() => {
+    const refresh = () => setSearchNews(searchesWithNews())
+    window.addEventListener('saved-searches-updated', refresh)
+    window.addEventListener('storage', refresh)
+    return () => {
+      window.removeEventListener('saved-searches-updated', refresh)
+      window.removeEventListener('storage', refresh)
+    }
+  }, [])
+
   // Listen for prefs updates:
   useEffect(() => {
     function onPrefsUpdated(e) {
       // custom event provides detail, but guard fallback to storage read
       const newPrefs = (e?.detail) ? e.detail : getUserPrefs()
+      // with a profile the default view becomes personalized (unless the URL picks one)
       setPrefs(newPrefs)
-      // if user just added prefs and we were on 'all', optionally switch to personalized
-      if (newPrefs && viewMode === 'all') {
-        setViewMode('personalized')
-      }
     }
     // storage event for other tabs/windows
     function onStorage(e) {
@@ -73,63 +126,54 @@ export default function Feed() {
       window.removeEventListener('userprefs-updated', onPrefsUpdated)
       window.removeEventListener('storage', onStorage)
     }
-  }, [viewMode])
+  }, [])
+
+  // Search index is rebuilt only when the event list changes; typing uses a
+  // deferred query so the input stays responsive on large lists
+  const searchIndex = useMemo(() => buildSearchIndex(events), [events])
+  const deferredQ = useDeferredValue(q)
+  const searchResults = useMemo(
+    () => deferredQ.trim() ? search(searchIndex, deferredQ) : null,
+    [searchIndex, deferredQ]
+  )
 
-  // Base pool: returns everything for 'all' else filter by faculty+interests when 'personalized'
+  // Recommender scores for every event. Save history is read when events/prefs
+  // change rather than on every save toggle, so cards don't reshuffle mid-browse.
+  const ranked = useMemo(
+    () => recommend(events, { prefs, savedIds: getSavedIds() }),
+    [events, prefs]
+  )
+  const reasonById = useMemo(() => new Map(ranked.map(r => [r.evt.id, explain(r.reasons)])), [ranked])
+  const rankById = useMemo(() => new Map(ranked.map((r, i) => [r.evt.id, i])), [ranked])
+
+  // Events that have ended; hidden unless the filters ask for them (see /archive)
+  const pastIds = useMemo(() => new Set(events.filter(e => isPast(e, now)).map(e => e.id)), [events, now])
+
+  // Base pool: everything for 'all'; for 'personalized', events with at least one
+  // personal signal (interest, faculty or save history), best matches first
   const basePool = useMemo(() => {
-    if (!events.length) return []
-    if (viewMode === 'personalized' && prefs) {
-      return events.filter(e => {
-        const facultyOk = !e.faculty || e.faculty === 'All' || e.faculty === prefs.faculty
-        const interestOk = (e.tags || []).some(t => (prefs.interests || []).includes(t))
-        return facultyOk && interestOk
-      })
-    }
-    return events
-  }, [events, prefs, viewMode])
-
-  // tag cloud from basePool BUT limited to ALLOWED_TAGS and top TAG_CLOUD_LIMIT
-  const tagCloud = useMemo(() => {
-    const allowedNorm = new Set(ALLOWED_TAGS.map(norm))
-    const counts = {}
-    for (const e of basePool) {
-      for (const t of (e.tags || [])) {
-        const n = norm(t)
-        if (!allowedNorm.has(n)) continue
-        counts[n] = (counts[n] || 0) + 1
-      }
-    }
-    return Object.entries(counts)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, TAG_CLOUD_LIMIT)
-      .map(([normTag, count]) => {
-        // find canonical display tag from ALLOWED_TAGS (preserve spacing/casing from array)
-        const canonical = ALLOWED_TAGS.find(x => norm(x) === normTag) || normTag
-        return { tag: canonical, count }
-      })
-  }, [basePool])
+    const pool = viewMode === 'personalized' && prefs
+      ? ranked.filter(r => r.relevant).map(r => r.evt)
+      : events
+    return showPast ? pool : pool.filter(e => !pastIds.has(e.id))
+  }, [events, ranked, prefs, viewMode, showPast, pastIds])
+
+  // Facet counts over what the search leaves of basePool, so each count is
+  // what clicking that value would show
+  const facets = useMemo(() => {
+    const pool = searchResults ? basePool.filter(e => searchResults.results.has(e.id)) : basePool
+    return facetCounts(pool, filters)
+  }, [basePool, searchResults, filters])
 
-  // Trending computed within current basePool using save counts
+  // Top trending events that are in the current basePool (never ended events),
+  // held to the same bar as the Trending badge
   const trending = useMemo(() => {
-    const counts = getSaveCounts() || {}
-    if (!basePool.length) return []
-    const idToEvent = new Map(basePool.map(e => [e.id, e]))
-    return Object.entries(counts)
-      .filter(([id, c]) => c > 0 && idToEvent.has(id))
-      .sort((a, b) => b[1] - a[1])
+    const idToEvent = new Map(basePool.filter(e => !pastIds.has(e.id)).map(e => [String(e.id), e]))
+    return trendStats
+      .filter(t => t.score >= POPULARITY.trendingMinScore && idToEvent.has(String(t.id)))
       .slice(0, 3)
-      .map(([id, count]) => ({ evt: idToEvent.get(id), count }))
-  }, [basePool, version])
-
-  function matchesQuery(e, query) {
-    if (!query.trim()) return true
-    const hay = [
-      e.title, e.description, e.organizer, e.location,
-      ...(e.tags || [])
-    ].join(' ').toLowerCase()
-    const words = query.toLowerCase().split(/\s+/).filter(Boolean)
-    return words.every(w => hay.includes(w))
-  }
+      .map(t => ({ evt: idToEvent.get(String(t.id)), counts: t.counts }))
+  }, [basePool, pastIds, trendStats])
 
   function dateOrInfinity(iso) {
     if (!iso) return Number.POSITIVE_INFINITY
@@ -137,46 +181,81 @@ export default function Feed() {
     return Number.isFinite(t) ? t : Number.POSITIVE_INFINITY
   }
 
-  // Apply level, tags, search, then sort
+  // Apply facets and search, then sort
   const filtered = useMemo(() => {
-    const withLevel = basePool.filter(e => (level === 'all') || (e.level === level))
+    const withSearch = narrowEvents(basePool, filters, searchResults)
 
-    // match selected tags by normalized compare (so event tags with different casing still match)
-    const selectedNorm = new Set(selectedTags.map(norm))
-    const withTags = selectedTags.length
-      ? withLevel.filter(e => (e.tags || []).some(t => selectedNorm.has(norm(t))))
-      : withLevel
+    if (sort === 'deadline') {
+      // closing soon: only events still taking applications, soonest deadline first
+      return withSearch
+        .map(e => ({ e, status: deadlineStatus(e, now) }))
+        .filter(({ status }) => status && !status.closed)
+        .sort((a, b) => a.status.msLeft - b.status.msLeft)
+        .map(({ e }) => atNextOccurrence(e, now))
+    }
+
+    if (sort === 'relevance' && searchResults?.ranked) {
+      const score = e => searchResults.results.get(e.id).score
+      return withSearch
+        .slice()
+        .sort((a, b) => score(b) - score(a))
+        .map(e => atNextOccurrence(e, now))
+    }
 
-    const withSearch = withTags.filter(e => matchesQuery(e, q))
+    if (sort === 'recommended') {
+      return withSearch
+        .slice()
+        .sort((a, b) => rankById.get(a.id) - rankById.get(b.id))
+        .map(e => atNextOccurrence(e, now))
+    }
 
     if (sort === 'date') {
-      return [...withSearch].sort((a, b) => dateOrInfinity(a.start) - dateOrInfinity(b.start))
+      const to = now + OCCURRENCE_WINDOW_DAYS * 24 * 60 * 60 * 1000
+      const expanded = withSearch.flatMap(e => {
+        if (!e.recurrence) return [e]
+        const occ = expandEvent(e, { from: now, to, limit: MAX_OCCURRENCES })
+        return occ.length ? occ : [atNextOccurrence(e, now)]
+      })
+      return expanded.sort((a, b) => dateOrInfinity(a.start) - dateOrInfinity(b.start))
     }
 
-    // trending: saved first (demo-friendly), then by date
-    const savedSet = new Set(getSavedIds())
-    return [...withSearch].sort((a, b) => {
-      const savedDiff = (+savedSet.has(b.id)) - (+savedSet.has(a.id))
-      if (savedDiff !== 0) return savedDiff
+    // trending: highest engagement score first, then by date (recurring events at their next date)
+    const score = e => trendScores.get(String(e.id)) || 0
+    return withSearch.map(e => atNextOccurrence(e, now)).sort((a, b) => {
+      const scoreDiff = score(b) - score(a)
+      if (scoreDiff !== 0) return scoreDiff
       return dateOrInfinity(a.start) - dateOrInfinity(b.start)
     })
-  }, [basePool, level, sort, q, selectedTags, version])
+  }, [basePool, filters, sort, searchResults, rankById, trendScores, now])
 
-  function toggleTag(tag) {
-    setSelectedTags(prev => prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag])
+  // Typing a search switches to best-match order; clearing it goes back.
+  // Keystrokes replace the history entry so back/forward skips partial queries.
+  function handleQueryChange(value) {
+    const patch = { q: value }
+    if (value.trim() && !q.trim() && sort === 'trending') patch.sort = 'relevance'
+    if (!value.trim() && sort === 'relevance') patch.sort = 'trending'
+    updateFilters(patch, { replace: Boolean(q.trim() && value.trim()) })
   }
 
   function clearAllFilters() {
-    setLevel('all')
-    setSort('trending')
-    setQ('')
-    setSelectedTags([])
+    updateFilters({ ...feedDefaults(filterOpts), view: viewMode })
+  }
+
+  function handleSaveSearch() {
+    const name = prompt('Name this search', describeFilters(filters))
+    if (name == null) return
+    // keep the view explicit so the search opens the same way even if the profile changes
+    const params = toFeedParams(filters, filterOpts)
+    params.set('view', viewMode)
+    // every event listed now is known; only events added later trigger alerts
+    addSavedSearch(name.trim() || describeFilters(filters), params.toString(), { alerts: true, ...alertBaseline(events) })
+    toast.success('Search saved. We’ll flag new events that match it under “Searches” in the top bar.')
   }
 
   const heading = useMemo(() => {
     if (viewMode === 'personalized') {
       if (!prefs) return 'Personalized (set your profile in Onboarding)'
-      return `Personalized for ${prefs.faculty} · ${prefs.interests.join(', ')}`
+      return `Personalized for ${facultyLabel(prefs.faculty)} · ${prefs.interests.map(tagLabel).join(', ')}`
     }
     return 'All events'
   }, [viewMode, prefs])
@@ -197,6 +276,11 @@ export default function Feed() {
               >
                 Personalized
               </Chip>
+              <Chip active={showPast} onClick={() => updateFilters({ past: !showPast })}>
+                Include ended ({pastIds.size})
+              </Chip>
+              <Link className="btn btn-ghost" to={`/calendar?${searchParams}`}>Calendar view</Link>
+              <Link className="btn btn-ghost" to="/archive">Archive →</Link>
             </div>
             {viewMode === 'personalized' && !prefs && (
               <div className="muted" style={{ marginTop: 6 }}>
@@ -208,33 +292,55 @@ export default function Feed() {
           <div>
             <div className="h2" style={{ marginTop: 0 }}>Sort</div>
             <div className="chips">
+              {searchResults?.ranked && (
+                <Chip active={sort === 'relevance'} onClick={() => setSort('relevance')}>Best match</Chip>
+              )}
+              <Chip active={sort === 'recommended'} onClick={() => setSort('recommended')}>Recommended</Chip>
               <Chip active={sort === 'trending'} onClick={() => setSort('trending')}>Trending</Chip>
               <Chip active={sort === 'date'} onClick={() => setSort('date')}>Date</Chip>
+              <Chip active={sort === 'deadline'} onClick={() => setSort('deadline')}>Closing soon</Chip>
             </div>
           </div>
         </div>
       </Card>
 
+      {searchNews.length > 0 && (
+        <Card className="space-bottom">
+          {searchNews.map(s => (
+            <div key={s.id} className="row-between">
+              <div>🔔 {s.newIds.length} new event{s.newIds.length === 1 ? '' : 's'} match “{s.name}”</div>
+              <div className="row">
+                <Link className="btn btn-ghost" to={`/feed?${s.query}`} onClick={() => markSearchSeen(s.id)}>Show</Link>
+                <button className="btn btn-ghost" onClick={() => markSearchSeen(s.id)}>Dismiss</button>
+              </div>
+            </div>
+          ))}
+        </Card>
+      )}
+
       {trending.length > 0 && (
         <Card className="space-bottom">
           <div className="row-between">
             <div className="h2" style={{ marginTop: 0 }}>🔥 Trending {viewMode === 'personalized' ? 'for you' : 'overall'}</div>
-            <div className="muted">based on saves</div>
+            <div className="muted">saves, views, calendar adds and shares, recent ones counting most</div>
           </div>
           <div className="trend-row">
-            {trending.map(({ evt, count }, i) => {
+            {trending.map(({ evt, counts }, i) => {
               const saved = getSavedIds().includes(evt.id)
               return (
                 <div key={evt.id} className="trend-card">
                   <div className="trend-rank">{i + 1}</div>
                   <div className="trend-title">{evt.title}</div>
                   <div className="trend-meta">{evt.level || '—'} · {evt.location || 'TBA'}</div>
-                  <div className="trend-meta">★ {count} save{count === 1 ? '' : 's'}</div>
+                  <div className="trend-meta">{describeEngagement(counts) || '—'}</div>
                   <div className="row space-top">
                     {evt.url && <a className="btn btn-ghost" href={evt.url} target="_blank" rel="noreferrer">Details</a>}
                     <button
                       className={`btn ${saved ? 'btn-primary' : 'btn-ghost'}`}
-                      onClick={() => { toggleSaveId(evt.id); setVersion(v => v + 1) }}
+                      onClick={() => {
+                        trackEngagement(evt.id, toggleSaveId(evt.id) ? 'save' : 'unsave')
+                        setVersion(v => v + 1)
+                      }}
                     >
                       {saved ? 'Saved ✓' : 'Save'}
                     </button>
@@ -252,43 +358,45 @@ export default function Feed() {
             <span className="search-icon" aria-hidden>🔍</span>
             <input
               className="input search-input"
-              placeholder="Search title, description, tags, organizer, or location…"
+              placeholder='Search events… try org:biztech tag:ai level:beginner "career fair"'
               value={q}
-              onChange={e => setQ(e.target.value)}
+              onChange={e => handleQueryChange(e.target.value)}
             />
           </div>
-          <button className="btn btn-ghost" onClick={clearAllFilters}>Clear filters</button>
+          <div className="row">
+            <button className="btn btn-ghost" onClick={handleSaveSearch}>Save this search</button>
+            <button className="btn btn-ghost" onClick={clearAllFilters}>Clear filters</button>
+          </div>
         </div>
 
-        {tagCloud.length > 0 && (
-          <>
-            <div className="h2">Popular tags {viewMode === 'personalized' ? '(in your view)' : '(overall)'}</div>
-            <div className="chips">
-              {tagCloud.map(({ tag, count }) => (
-                <Chip key={tag} active={selectedTags.includes(tag)} onClick={() => toggleTag(tag)}>
-                  #{tag} ({count})
-                </Chip>
-              ))}
-            </div>
-          </>
-        )}
       </Card>
 
       <Card className="space-bottom">
-        <div className="h2" style={{ marginTop: 0 }}>Level</div>
-        <div className="chips">
-          <Chip active={level === 'all'} onClick={() => setLevel('all')}>All</Chip>
-          {LEVELS.map(l => <Chip key={l} active={level === l} onClick={() => setLevel(l)}>{l}</Chip>)}
-        </div>
+        <FacetPanel counts={facets} filters={filters} onChange={patch => updateFilters(patch)} />
       </Card>
 
       {loading && <Card>Loading events…</Card>}
       {error && <Card>Failed to load events: {error}</Card>}
-      {!loading && !error && filtered.length === 0 && <Card>No matches. Try clearing filters or switching the view mode.</Card>}
+      {!loading && !error && filtered.length === 0 && (
+        <Card>
+          {sort === 'deadline'
+            ? 'No open application deadlines match. Try another sort.'
+            : 'No matches. Try clearing filters or switching the view mode.'}
+          {!showPast && pastIds.size > 0 && (
+            <> Ended events are hidden — <Link className="link" to="/archive">browse the archive</Link>.</>
+          )}
+        </Card>
+      )}
 
       <div className="grid">
         {filtered.map(evt => (
-          <EventCard key={evt.id} evt={evt} onSaveToggle={() => setVersion(v => v + 1)} />
+          <EventCard
+            key={`${evt.id}:${evt.start}`}
+            evt={evt}
+            reason={sort === 'recommended' ? reasonById.get(evt.id) : undefined}
+            highlight={searchResults?.results.get(evt.id)?.hits}
+            onSaveToggle={() => setVersion(v => v + 1)}
+          />
         ))}
       </div>
     </div>
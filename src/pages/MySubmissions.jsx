@@ -0,0 +1,152 @@
+// src/pages/MySubmissions.jsx
+import { useEffect, useState } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import Card from '../components/Card.jsx'
+import Badge from '../components/Badge.jsx'
+import Button from '../components/Button.jsx'
+import { getCustomEvents, updateCustomEvent, removeCustomEvent } from '../lib/custom.js'
+import { fetchSubmission, deleteEvent } from '../lib/data.js'
+import { useToast } from '../components/Toaster.jsx'
+
+const UNDO_MS = 6000
+
+const STATUS_LABELS = {
+  pending: '⏳ In review',
+  approved: '✓ Live',
+  'changes-requested': '✎ Changes requested',
+  rejected: '✗ Rejected'
+}
+
+// Deleted submissions stay stored, marked `deleting`, until the server copy is
+// gone: for anonymous submitters the local record holds the only owner token.
+const visibleEvents = () => getCustomEvents().filter(e => !e.deleting)
+
+/* Delete the server copy (if any), then the local record */
+async function finishDelete(evt) {
+  if (evt.status) {
+    try {
+      await deleteEvent(evt.id, evt.ownerToken)
+    } catch (err) {
+      if (err.status !== 404) throw err // already gone is fine
+    }
+  }
+  removeCustomEvent(evt.id)
+}
+
+export default function MySubmissions() {
+  const nav = useNavigate()
+  const toast = useToast()
+  const [events, setEvents] = useState(visibleEvents)
+
+  // Finish deletes whose undo window was cut short (tab closed or reloaded)
+  useEffect(() => {
+    const leftOver = getCustomEvents().filter(e => e.deleting)
+    Promise.all(leftOver.map(e => finishDelete(e).catch(() => {}))) // still hidden; retried next visit
+      .then(() => { if (leftOver.length) setEvents(visibleEvents()) })
+  }, [])
+
+  // Pull the latest moderation status for anything that reached the server
+  useEffect(() => {
+    const submitted = visibleEvents().filter(e => e.status)
+    Promise.all(submitted.map(e => fetchSubmission(e.id, e.ownerToken).catch(() => null)))
+      .then(remotes => {
+        remotes.forEach((remote, i) => {
+          const local = submitted[i]
+          if (!remote) return // gone, or offline: show what we have locally
+          if (local.pendingEdit && !remote.pendingEdit) {
+            // The edit was reviewed: show what's live (the edit if approved, the old version if not)
+            updateCustomEvent(local.id, { ...remote, pendingEdit: undefined }, { touch: false })
+          } else {
+            updateCustomEvent(local.id, {
+              status: remote.status,
+              reviewNotes: remote.reviewNotes,
+              pendingEdit: remote.pendingEdit || undefined
+            }, { touch: false })
+          }
+        })
+        setEvents(visibleEvents())
+      })
+  }, [])
+
+  function handleDelete(evt) {
+    updateCustomEvent(evt.id, { deleting: true }, { touch: false })
+    setEvents(visibleEvents())
+
+    // Hold the delete until the undo window closes
+    const timer = setTimeout(() => {
+      finishDelete(evt)
+        .catch(e => {
+          updateCustomEvent(evt.id, { deleting: undefined }, { touch: false })
+          toast.error(e.message || 'Could not delete it from the server.')
+        })
+        .finally(() => setEvents(visibleEvents()))
+    }, UNDO_MS)
+
+    toast.info(`Deleted “${evt.title || 'Untitled Event'}”.`, {
+      timeout: UNDO_MS,
+      action: {
+        label: 'Undo',
+        onClick: () => {
+          clearTimeout(timer)
+          updateCustomEvent(evt.id, { deleting: undefined }, { touch: false })
+          setEvents(visibleEvents())
+        }
+      }
+    })
+  }
+
+  return (
+    <div>
+      <div className="row-between">
+        <div className="h1">My submissions</div>
+        <Link className="btn btn-accent" to="/submit">Submit new</Link>
+      </div>
+
+      {events.length === 0 && (
+        <Card>
+          You haven’t submitted any events from this browser yet.{' '}
+          <Link className="link" to="/submit">Submit one</Link>.
+        </Card>
+      )}
+
+      {events.map(evt => {
+        const lastNote = evt.reviewNotes?.[evt.reviewNotes.length - 1]
+        return (
+          <Card key={evt.id} className="space-bottom">
+            <div className="row-between">
+              <div>
+                <div className="h2" style={{ marginTop: 0, color: 'var(--ubc-blue-900)' }}>{evt.title}</div>
+                <div className="muted">
+                  {evt.start ? new Date(evt.start).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }) : 'TBA'}
+                  {' · '}{evt.location || 'TBA'}
+                </div>
+                <div className="muted" style={{ fontSize: 13 }}>
+                  created {evt.createdAt ? new Date(evt.createdAt).toLocaleString() : '—'}
+                  {evt.updatedAt ? ` · updated ${new Date(evt.updatedAt).toLocaleString()}` : ''}
+                </div>
+              </div>
+              <div className="row">
+                <Badge>{evt.status ? STATUS_LABELS[evt.status] || evt.status : '💾 Only in this browser'}</Badge>
+                {evt.pendingEdit && <Badge>⏳ Edit in review</Badge>}
+              </div>
+            </div>
+
+            {lastNote?.note && (
+              <p className="muted" style={{ marginBottom: 0 }}>
+                <strong>Reviewer:</strong> {lastNote.note}
+              </p>
+            )}
+
+            <div className="row space-top">
+              <Button kind="ghost" onClick={() => nav(`/submit?edit=${encodeURIComponent(evt.id)}`)}>Edit</Button>
+              <Button kind="ghost" onClick={() => handleDelete(evt)}>Delete</Button>
+              {(!evt.status || evt.status === 'approved') && (
+                <Link className="btn btn-ghost" to={`/e/${evt.id}`}>Open page</Link>
+              )}
+            </div>
+          </Card>
+        )
+      })}
+    </div>
+  )
+}
@@ -4,28 +4,10 @@ import Card from '../components/Card.jsx'
 import Chip from '../components/Chip.jsx'
 import Button from '../components/Button.jsx'
 import { getUserPrefs, saveUserPrefs } from '../lib/storage.js'
+import { TAXONOMY, tagsByCategory, tagLabel } from '../lib/taxonomy.js'
+import { FACULTIES, facultyLabel } from '../lib/faculties.js'
 
-const FACULTIES = [
-  'Sauder (Business)',
-  'Applied Science / Engineering',
-  'Science',
-  'Arts',
-  'Land & Food Systems',
-  'Forestry',
-  'Computer Science',
-  'Medicine & Health Sciences',
-  'Education',
-  'Law'
-]
-
-const INTEREST_CATEGORIES = {
-  Tech: ['ai', 'machine learning', 'data science', 'web dev', 'mobile dev', 'robotics', 'cybersecurity'],
-  Business: ['entrepreneurship', 'finance', 'consulting', 'product management', 'startups'],
-  Design: ['ux/ui', 'graphic design', 'industrial design', '3D modeling'],
-  Events: ['hackathons', 'workshops', 'competitions', 'networking', 'social'],
-  Careers: ['internships', 'career fairs', 'research opportunities', 'volunteering'],
-  Sustainability: ['climate', 'sustainability', 'clean tech', 'social impact']
-}
+const INTEREST_GROUPS = tagsByCategory()
 
 const MIN_INTERESTS = 2
 const MAX_INTERESTS = 5
@@ -51,7 +33,7 @@ export default function Onboarding() {
     }
   }, [])
 
-  const ALL_INTERESTS = useMemo(() => Object.values(INTEREST_CATEGORIES).flat(), [])
+  const ALL_INTERESTS = useMemo(() => TAXONOMY.map(t => t.key), [])
 
   const toggleInterest = useCallback((tag) => {
     setError('')
@@ -120,14 +102,14 @@ export default function Onboarding() {
         <div className="chips" role="list">
           {FACULTIES.map(f => (
             <Chip
-              key={f}
-              active={faculty === f}
-              onClick={() => { setFaculty(f); setTouched(t => ({ ...t, faculty: true })) }}
+              key={f.code}
+              active={faculty === f.code}
+              onClick={() => { setFaculty(f.code); setTouched(t => ({ ...t, faculty: true })) }}
               role="button"
               tabIndex={0}
-              aria-pressed={faculty === f}
+              aria-pressed={faculty === f.code}
             >
-              {f}
+              {f.label}
             </Chip>
           ))}
         </div>
@@ -136,7 +118,7 @@ export default function Onboarding() {
         {faculty && (
           <div style={{ marginTop: 12 }}>
             <div className="muted" style={{ fontSize: 13 }}>
-              Recommended for {faculty.split(' (')[0]}:
+              Recommended for {facultyLabel(faculty, { short: true })}:
             </div>
             {/* Light recommendation: pre-check common tags from categories */}
             <div className="chips" style={{ marginTop: 8 }}>
@@ -146,7 +128,7 @@ export default function Onboarding() {
                   active={interests.includes(r)}
                   onClick={() => toggleInterest(r)}
                 >
-                  {r}
+                  {tagLabel(r)}
                 </Chip>
               ))}
             </div>
@@ -159,17 +141,17 @@ export default function Onboarding() {
           <span style={{ marginLeft: 12, fontWeight: 700 }}>{interests.length}</span> selected
         </div>
 
-        {Object.entries(INTEREST_CATEGORIES).map(([cat, tags]) => (
-          <div key={cat} style={{ marginBottom: 10 }}>
-            <div style={{ fontSize: 13, fontWeight: 700, marginBottom: 6 }}>{cat}</div>
+        {INTEREST_GROUPS.map(({ category, tags }) => (
+          <div key={category} style={{ marginBottom: 10 }}>
+            <div style={{ fontSize: 13, fontWeight: 700, marginBottom: 6 }}>{category}</div>
             <div className="chips">
-              {tags.map(tag => (
+              {tags.map(({ key, label }) => (
                 <Chip
-                  key={tag}
-                  active={interests.includes(tag)}
-                  onClick={() => toggleInterest(tag)}
+                  key={key}
+                  active={interests.includes(key)}
+                  onClick={() => toggleInterest(key)}
                 >
-                  {tag}
+                  {label}
                 </Chip>
               ))}
             </div>
@@ -194,8 +176,8 @@ export default function Onboarding() {
       <Card>
         <div className="h2" style={{ marginTop: 0 }}>What you'll get</div>
         <p className="muted">
-          A personalized event feed for <strong>{faculty || 'your faculty'}</strong> based on interests like{' '}
-          <strong>{interests.length ? interests.join(', ') : 'your picks'}</strong>. You can update these anytime from the Onboarding/Settings page.
+          A personalized event feed for <strong>{faculty ? facultyLabel(faculty) : 'your faculty'}</strong> based on interests like{' '}
+          <strong>{interests.length ? interests.map(tagLabel).join(', ') : 'your picks'}</strong>. You can update these anytime from the Onboarding/Settings page.
         </p>
       </Card>
     </div>
@@ -6,17 +6,18 @@ import { loadEvents } from '../lib/data.js'
 import { addCustomEvent, getCustomEvents } from '../lib/custom.js'
 import {
   saveUserPrefs,
-  clearAllSaves,
   setSavedIds,
   getUserPrefs
 } from '../lib/storage.js'
+import { facultyMatch } from '../lib/faculties.js'
+import { trackEngagement } from '../lib/engagement.js'
 
 /**
  * Pitch Mode seeds:
  * - A demo profile (if none).
  * - One polished custom event (future date).
- * - Trending counts for a few events (so the strip looks alive).
- * - Marks a couple as "Saved" for visual cues.
+ * - Marks a couple as "Saved" for visual cues. The saves are reported like
+ *   any other, so they count toward Trending (nothing is faked).
  * Then navigates to /feed.
  */
 export default function Pitch() {
@@ -33,7 +34,7 @@ export default function Pitch() {
         if (!existing) {
           saveUserPrefs({
             name: 'UBC Demo',
-            faculty: 'Engineering',
+            faculty: 'apsc',
             interests: ['ai', 'swe', 'entrepreneurship']
           })
         }
@@ -69,42 +70,30 @@ export default function Pitch() {
           all = [hero, ...all]
         }
 
-        // 4) Seed "Trending" saveCounts directly for a few visible events
-        // Trending reads from localStorage key below:
-        const SAVE_COUNTS_KEY = 'ubc:saveCounts'
-        const counts = {}
-
-        // Make sure we have at least a few event IDs to boost
-        const idsToBoost = []
+        // 4) Pick a few events that fit the demo profile
+        const picks = []
         for (const e of all) {
           if (!e.start) continue
           // Pick events that are likely to pass Engineering + ai/swe/entrepreneurship filters
           const tags = (e.tags || []).map(t => String(t).toLowerCase())
           const passesInterests = tags.some(t => ['ai','swe','entrepreneurship'].includes(t))
           const future = new Date(e.start).getTime() >= Date.now() - 60*60*1000
-          const facultyOk = !e.faculty || e.faculty === 'All' || e.faculty === 'Engineering'
+          const facultyOk = facultyMatch(e.faculties, 'apsc') != null
           if (passesInterests && future && facultyOk) {
-            idsToBoost.push(e.id)
+            picks.push(e.id)
           }
-          if (idsToBoost.length >= 3) break
+          if (picks.length >= 3) break
         }
 
         // Always include the hero event first
-        if (!idsToBoost.includes('cust_pitch_hero')) {
-          idsToBoost.unshift('cust_pitch_hero')
+        if (!picks.includes('cust_pitch_hero')) {
+          picks.unshift('cust_pitch_hero')
         }
 
-        // Assign descending counts to make a nice ranking
-        const demoCounts = [15, 9, 6, 4, 3]
-        idsToBoost.slice(0, demoCounts.length).forEach((id, i) => {
-          counts[id] = demoCounts[i]
-        })
-        localStorage.setItem(SAVE_COUNTS_KEY, JSON.stringify(counts))
-
-        // 5) Reset "Saved" and mark a couple so cards show Saved ✓
-        clearAllSaves()
-        const toSave = idsToBoost.slice(0, 2) // mark top 2 as saved
+        // 5) Reset "Saved" and mark the top 2 so cards show Saved ✓
+        const toSave = picks.slice(0, 2)
         setSavedIds(toSave)
+        toSave.forEach(id => trackEngagement(id, 'save'))
 
         toast.success('Pitch mode is ready. Opening Feed…', { timeout: 1200 })
       } catch (e) {
@@ -122,12 +111,12 @@ export default function Pitch() {
   return (
     <div>
       <div className="h1">Pitch Mode</div>
-      <p className="muted">Seeding demo profile, trending counts, and a custom highlight…</p>
+      <p className="muted">Seeding demo profile, saves, and a custom highlight…</p>
       <div className="panel" style={{marginTop:12}}>
         <div className="h2" style={{marginTop:0}}>What this does</div>
         <ul style={{margin:0, paddingLeft:18, lineHeight:1.6}}>
           <li>Creates a demo profile (if none)</li>
-          <li>Adds a highlight event and boosts trending</li>
+          <li>Adds a highlight event</li>
           <li>Marks a couple items as Saved ✓</li>
           <li>Navigates to your Feed</li>
         </ul>
@@ -0,0 +1,171 @@
+// src/pages/Review.jsx
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import Card from '../components/Card.jsx'
+import Chip from '../components/Chip.jsx'
+import Badge from '../components/Badge.jsx'
+import Button from '../components/Button.jsx'
+import { loadReviewQueue, reviewEvent } from '../lib/data.js'
+import { findMissingFields } from '../lib/ai.js'
+import { facultyBadges } from '../lib/faculties.js'
+import { useToast } from '../components/Toaster.jsx'
+
+const QUEUES = [
+  { status: 'pending', label: 'Pending' },
+  { status: 'changes-requested', label: 'Changes requested' },
+  { status: 'rejected', label: 'Rejected' }
+]
+
+// Same fields findMissingFields checks, in display order
+const CHECKLIST = ['title', 'description', 'start', 'location', 'faculty', 'level', 'tags']
+
+const ACTION_MESSAGES = {
+  approve: 'Approved — now visible in the feed.',
+  reject: 'Rejected.',
+  'request-changes': 'Sent back to the organizer.'
+}
+
+// For edits to live events (the live version stays unless the edit is approved)
+const EDIT_MESSAGES = {
+  approve: 'Edit approved — now live.',
+  reject: 'Edit rejected; the live version stays.',
+  'request-changes': 'Edit sent back; the live version stays.'
+}
+
+// Answers from the server when the session isn't a reviewer's
+const ACCESS_MESSAGES = {
+  401: 'Sign in with a reviewer account (Settings → Account) to review submissions.',
+  403: 'Your account isn’t a reviewer. Ask an admin to add your email to REVIEWER_EMAILS.'
+}
+
+export default function Review() {
+  const toast = useToast()
+  const [queue, setQueue] = useState('pending')
+  const [events, setEvents] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [notes, setNotes] = useState({}) // { [eventId]: draft note }
+
+  useEffect(() => {
+    let cancelled = false
+    loadReviewQueue(queue)
+      .then(list => { if (!cancelled) { setEvents(list); setError(null) } })
+      .catch(e => { if (!cancelled) setError(e) })
+      .finally(() => { if (!cancelled) setLoading(false) })
+    return () => { cancelled = true }
+  }, [queue])
+
+  function switchQueue(status) {
+    if (status === queue) return
+    setLoading(true)
+    setQueue(status)
+  }
+
+  async function decide(evt, action) {
+    const note = (notes[evt.id] || '').trim()
+    if (action !== 'approve' && !note) {
+      toast.error('Add a note so the organizer knows why.')
+      return
+    }
+    try {
+      await reviewEvent(evt.id, action, note)
+      setEvents(prev => prev.filter(e => e.id !== evt.id))
+      setNotes(prev => ({ ...prev, [evt.id]: '' }))
+      toast.success((evt.raw.editedFields ? EDIT_MESSAGES : ACTION_MESSAGES)[action])
+    } catch (e) {
+      toast.error(e.message || 'Review failed.')
+    }
+  }
+
+  return (
+    <div>
+      <div className="h1">Review submissions</div>
+
+      <Card className="space-bottom">
+        <div className="chips">
+          {QUEUES.map(q => (
+            <Chip key={q.status} active={queue === q.status} onClick={() => switchQueue(q.status)}>{q.label}</Chip>
+          ))}
+        </div>
+      </Card>
+
+      {loading && <Card>Loading submissions…</Card>}
+      {error && (
+        <Card>
+          {ACCESS_MESSAGES[error.status] ||
+            `Failed to load submissions: ${error.message || 'unknown error'}. Is the API server running?`}
+        </Card>
+      )}
+      {!loading && !error && events.length === 0 && <Card>Nothing here. 🎉</Card>}
+
+      {!loading && events.map(evt => {
+        const missing = findMissingFields(evt)
+        const when = evt.start
+          ? new Date(evt.start).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })
+          : 'TBA'
+        return (
+          <Card key={evt.id} className="space-bottom">
+            <div className="row-between">
+              <div className="h2" style={{ marginTop: 0, color: 'var(--ubc-blue-900)' }}>{evt.title}</div>
+              <div className="muted">
+                submitted {evt.createdAt ? new Date(evt.createdAt).toLocaleDateString() : '—'}
+                {evt.updatedAt ? ` · edited ${new Date(evt.updatedAt).toLocaleDateString()}` : ''}
+              </div>
+            </div>
+            <div className="muted">
+              {when} · {evt.location || 'TBA'} {evt.organizer ? `· by ${evt.organizer}` : ''}
+            </div>
+            {evt.raw.editedFields && (
+              <div className="muted">
+                <strong>Edit to a live event</strong> · changed: {evt.raw.editedFields.join(', ')}
+              </div>
+            )}
+            <div className="row" style={{ marginTop: 8, gap: '0.3rem' }}>
+              {facultyBadges(evt.faculties).map(f => <Badge key={f}>{f}</Badge>)}
+              {evt.level && <Badge>{evt.level}</Badge>}
+              {evt.tags?.map(t => <Badge key={t}>#{t}</Badge>)}
+            </div>
+            <p style={{ whiteSpace: 'pre-wrap' }}>{evt.description || 'No description provided.'}</p>
+            {evt.url && <a className="link" href={evt.url} target="_blank" rel="noreferrer">{evt.url}</a>}
+
+            <div className="h2">Quality checklist</div>
+            <div className="chips">
+              {CHECKLIST.map(field => (
+                <Badge key={field}>{missing.includes(field) ? '✗' : '✓'} {field}</Badge>
+              ))}
+            </div>
+
+            {evt.reviewNotes.length > 0 && (
+              <>
+                <div className="h2">Previous notes</div>
+                {evt.reviewNotes.map(n => (
+                  <div key={n.at} className="muted">
+                    {new Date(n.at).toLocaleString()} · {n.action}{n.note ? ` — ${n.note}` : ''}
+                  </div>
+                ))}
+              </>
+            )}
+
+            <div className="h2">Reviewer note</div>
+            <textarea
+              className="textarea"
+              style={{ minHeight: 70 }}
+              placeholder="Required when rejecting or requesting changes"
+              value={notes[evt.id] || ''}
+              onChange={e => setNotes(prev => ({ ...prev, [evt.id]: e.target.value }))}
+            />
+            <div className="row space-top">
+              <Button kind="accent" onClick={() => decide(evt, 'approve')}>Approve</Button>
+              <Button kind="ghost" onClick={() => decide(evt, 'request-changes')}>Request changes</Button>
+              <Button kind="ghost" onClick={() => decide(evt, 'reject')}>Reject</Button>
+            </div>
+          </Card>
+        )
+      })}
+
+      <div className="row">
+        <Link className="btn btn-ghost" to="/settings">Back to Settings</Link>
+      </div>
+    </div>
+  )
+}
@@ -1,25 +1,247 @@
-import { useEffect, useState } from 'react'
-import { loadEvents } from '../lib/data.js'
-import { getSavedIds } from '../lib/storage.js'
+import { useEffect, useMemo, useState } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import { loadAllEvents } from '../lib/data.js'
+import {
+  getSavedIds,
+  setSavedIds,
+  getUserPrefs,
+  toggleSaveId,
+  getSavedDetails,
+  getCollections,
+  addCollection,
+  renameCollection,
+  removeCollection,
+  SAVE_STATUSES,
+  SAVE_STATUS_LABELS
+} from '../lib/storage.js'
+import { atNextOccurrence } from '../lib/recurrence.js'
+import { isPast, lastOccurrenceStart } from '../lib/lifecycle.js'
+import { findConflicts, suggestDrop, describeOverlap } from '../lib/conflicts.js'
+import { trackEngagement } from '../lib/engagement.js'
+import {
+  downloadCalendar,
+  getCalendarSubscription,
+  subscribeCalendar,
+  calendarFeedUrl
+} from '../lib/calendar.js'
 import EventCard from '../components/EventCard.jsx'
+import SavedItemControls from '../components/SavedItemControls.jsx'
 import Card from '../components/Card.jsx'
+import Chip from '../components/Chip.jsx'
+import Button from '../components/Button.jsx'
+import { useToast } from '../components/Toaster.jsx'
+
+const SORTS = { date: 'Event date', saved: 'Recently saved', status: 'Status' }
+const UNSORTED = 'none' // ?collection= value for saved events in no collection
+
+// A saved event's status/note/collections, defaults filled in (see storage.js)
+const detailIn = (details, e) => ({ status: 'interested', note: '', collections: [], savedAt: null, ...details[String(e.id)] })
+
+const startTime = e => {
+  const t = e.start ? new Date(atNextOccurrence(e).start).getTime() : NaN
+  return Number.isFinite(t) ? t : Number.POSITIVE_INFINITY
+}
+const lastStart = e => new Date(lastOccurrenceStart(e) || 0).getTime()
 
 export default function Saved() {
-  const [events, setEvents] = useState([])
+  const [allEvents, setAllEvents] = useState([]) // shared store + this browser's custom events
+  const [savedIds, setSavedIdsState] = useState(() => getSavedIds())
+  const [source, setSource] = useState('api') // where the shared events came from (see loadAllEvents)
+  const [details, setDetails] = useState(() => getSavedDetails())
+  const [collections, setCollectionsState] = useState(() => getCollections())
+  const [newCollection, setNewCollection] = useState('')
+  // Filters live in the URL like the Feed's: ?status=applied&collection=col_x&sort=status
+  const [searchParams, setSearchParams] = useSearchParams()
+  const status = SAVE_STATUSES.includes(searchParams.get('status')) ? searchParams.get('status') : 'all'
+  const collection = searchParams.get('collection') || 'all'
+  const sort = SORTS[searchParams.get('sort')] ? searchParams.get('sort') : 'date'
   const [loading, setLoading] = useState(true)
+  const [sub, setSub] = useState(() => getCalendarSubscription())
+  const [feedMode, setFeedMode] = useState(() => getCalendarSubscription()?.mode || 'saved')
+  const toast = useToast()
+
+  function exportAll() {
+    try {
+      const n = downloadCalendar(events, 'ubc-saved-events')
+      toast.success(`Exported ${n} event${n === 1 ? '' : 's'} to one calendar file.`)
+    } catch (e) {
+      toast.error(e.message || 'Unable to export.')
+    }
+  }
+
+  async function createFeed() {
+    const prefs = getUserPrefs()
+    if (feedMode === 'personalized' && !prefs) {
+      toast.error('Set up your profile in Onboarding first.')
+      return
+    }
+    try {
+      setSub(await subscribeCalendar({ mode: feedMode, ids: getSavedIds(), prefs }))
+      toast.success('Calendar feed is ready.')
+    } catch (e) {
+      toast.error(e.message || 'Could not create calendar feed. Is the API server running?')
+    }
+  }
+
+  function copyFeedUrl() {
+    navigator.clipboard.writeText(calendarFeedUrl(sub)).then(
+      () => toast.success('Feed link copied.'),
+      () => toast.error('Could not copy. Try again.')
+    )
+  }
+
+  function reload() {
+    return loadAllEvents().then(({ events, source }) => {
+      setAllEvents(events)
+      setSource(source)
+    })
+  }
+
+  function dropSaved(evt) {
+    toggleSaveId(evt.id)
+    trackEngagement(evt.id, 'unsave')
+    toast.info(`Removed ${evt.title} from Saved`)
+  }
+
+  // Saved ids that match no event: deleted from the store, or a custom event removed
+  function cleanUp(ids) {
+    const gone = new Set(ids.map(String))
+    setSavedIds(getSavedIds().filter(id => !gone.has(String(id))))
+    toast.info(`Removed ${ids.length} unavailable event${ids.length === 1 ? '' : 's'} from Saved`)
+  }
 
   useEffect(() => {
-    (async () => {
-      setLoading(true)
-      const all = await loadEvents()
-      const savedSet = new Set(getSavedIds())
-      setEvents(all.filter(e => savedSet.has(e.id)))
-      setLoading(false)
-    })()
+    reload().finally(() => setLoading(false))
   }, [])
 
+  // Saves and custom events changed in this tab (cards, conflicts, account sync) or another one
+  useEffect(() => {
+    const onSaves = () => setSavedIdsState(getSavedIds())
+    const onStorage = e => {
+      setSavedIdsState(getSavedIds())
+      if (!e?.key || e.key === 'ubc:customEvents') reload()
+    }
+    window.addEventListener('saves-updated', onSaves)
+    window.addEventListener('custom-events-updated', reload)
+    window.addEventListener('storage', onStorage)
+    return () => {
+      window.removeEventListener('saves-updated', onSaves)
+      window.removeEventListener('custom-events-updated', reload)
+      window.removeEventListener('storage', onStorage)
+    }
+  }, [])
+
+  // The saved events that still exist, and the ids that don't (only known when
+  // the shared store answered: the bundled fallback lacks submitted events)
+  const complete = source === 'api'
+  const { events, missing } = useMemo(() => {
+    const byId = new Map(allEvents.map(e => [String(e.id), e]))
+    const found = []
+    const gone = []
+    for (const id of savedIds) {
+      const evt = byId.get(String(id))
+      if (evt) found.push(evt)
+      else gone.push(String(id))
+    }
+    return { events: found, missing: complete ? gone : [] }
+  }, [allEvents, savedIds, complete])
+
+  // Status, notes and collections (this page, other tabs, account sync)
+  useEffect(() => {
+    const sync = () => {
+      setDetails(getSavedDetails())
+      setCollectionsState(getCollections())
+    }
+    window.addEventListener('saved-details-updated', sync)
+    window.addEventListener('storage', sync)
+    return () => {
+      window.removeEventListener('saved-details-updated', sync)
+      window.removeEventListener('storage', sync)
+    }
+  }, [])
+
+  function setFilter(key, value, fallback) {
+    const next = new URLSearchParams(searchParams)
+    if (value === fallback) next.delete(key)
+    else next.set(key, value)
+    setSearchParams(next, { replace: true })
+  }
+
+  function createCollection(e) {
+    e.preventDefault()
+    const entry = addCollection(newCollection)
+    if (!entry) return
+    setNewCollection('')
+    setFilter('collection', entry.id, 'all')
+  }
+
+  function renameSelected() {
+    const current = collections.find(c => c.id === collection)
+    const name = current && prompt('Rename collection', current.name)
+    if (name) renameCollection(current.id, name)
+  }
+
+  function deleteSelected() {
+    const current = collections.find(c => c.id === collection)
+    if (!current || !confirm(`Delete the collection “${current.name}”? Its events stay saved.`)) return
+    removeCollection(current.id)
+    setFilter('collection', 'all', 'all')
+  }
+
+  // How many saved events each status / collection filter would show
+  const counts = useMemo(() => {
+    const byStatus = {}
+    const byCollection = { [UNSORTED]: 0 }
+    for (const e of events) {
+      const d = detailIn(details, e)
+      byStatus[d.status] = (byStatus[d.status] || 0) + 1
+      if (!d.collections.length) byCollection[UNSORTED]++
+      for (const c of d.collections) byCollection[c] = (byCollection[c] || 0) + 1
+    }
+    return { byStatus, byCollection }
+  }, [events, details])
+
+  // Filtered and sorted, in two groups: upcoming (incl. undated) and past
+  const groups = useMemo(() => {
+    const order = new Map(savedIds.map((id, i) => [String(id), i]))
+    const detail = e => detailIn(details, e)
+    const savedAt = e => {
+      const at = detail(e).savedAt ? new Date(detail(e).savedAt).getTime() : NaN
+      return Number.isFinite(at) ? at : order.get(String(e.id)) ?? 0 // saves from before savedAt: by save order
+    }
+    const list = events.filter(e => {
+      const d = detail(e)
+      if (status !== 'all' && d.status !== status) return false
+      if (collection === UNSORTED) return !d.collections.length
+      return collection === 'all' || d.collections.includes(collection)
+    })
+    const upcoming = list.filter(e => !isPast(e))
+    const past = list.filter(e => isPast(e))
+    if (sort === 'saved') {
+      upcoming.sort((a, b) => savedAt(b) - savedAt(a))
+      past.sort((a, b) => savedAt(b) - savedAt(a))
+    } else if (sort === 'status') {
+      const byStatus = e => SAVE_STATUSES.indexOf(detail(e).status)
+      upcoming.sort((a, b) => byStatus(a) - byStatus(b) || startTime(a) - startTime(b))
+      past.sort((a, b) => byStatus(a) - byStatus(b) || lastStart(b) - lastStart(a))
+    } else {
+      upcoming.sort((a, b) => startTime(a) - startTime(b)) // soonest first
+      past.sort((a, b) => lastStart(b) - lastStart(a)) // most recent first
+    }
+    return [
+      { key: 'upcoming', label: 'Upcoming', events: upcoming },
+      { key: 'past', label: 'Past', events: past }
+    ].filter(g => g.events.length)
+  }, [events, savedIds, details, status, collection, sort])
+
+  // Saved events that overlap in time, each with a suggestion of which to drop
+  const conflicts = useMemo(
+    () => findConflicts(events).map(c => ({ ...c, suggestion: suggestDrop(c) })),
+    [events]
+  )
+
   if (loading) return <Card>Loading your saved events…</Card>
-  if (!events.length)
+  if (!savedIds.length)
     return (
       <Card>
         You haven’t saved any events yet. Go to the{' '}
@@ -32,30 +254,183 @@ export default function Saved() {
 
   return (
     <div>
-      <div className="h1">Saved events</div>
-      <div
-        className="grid"
-        style={{
-          display: 'grid',
-          gap: '1rem',
-          gridTemplateColumns: 'repeat(auto-fill, minmax(300px, 1fr))'
-        }}
-      >
-        {events.map((evt, idx) => (
-          <EventCard
-            key={evt.id}
-            evt={evt}
-            rank={idx + 1} // pass rank to EventCard
-            onSaveToggle={() => {
-              // Refresh saved list after unsave
-              loadEvents().then(all => {
-                const savedSet = new Set(getSavedIds())
-                setEvents(all.filter(e => savedSet.has(e.id)))
-              })
-            }}
-          />
-        ))}
+      <div className="row-between">
+        <div className="h1">Saved events</div>
+        <Button kind="ghost" onClick={exportAll}>Export all saved (.ics)</Button>
       </div>
+
+      {!complete && (
+        <Card className="space-bottom">
+          <span className="muted">
+            {source === 'file'
+              ? 'Couldn’t reach the event server, so submitted events you saved may be missing below.'
+              : 'Couldn’t load events, so some saved events may be missing below.'}
+          </span>{' '}
+          <button className="btn btn-ghost" onClick={reload}>Try again</button>
+        </Card>
+      )}
+
+      {missing.length > 0 && (
+        <Card className="space-bottom">
+          <div className="row-between">
+            <div className="h2" style={{ marginTop: 0 }}>No longer available ({missing.length})</div>
+            <Button kind="ghost" onClick={() => cleanUp(missing)}>Remove all</Button>
+          </div>
+          <p className="muted" style={{ marginTop: 0 }}>
+            These saved events were removed by their organizers or deleted from this browser.
+          </p>
+          {missing.map(id => {
+            const note = details[id]?.note
+            return (
+              <div key={id} className="suggestion-row row-between">
+                <div className="muted">
+                  Event <code>{id}</code>{note && <> · 📝 {note}</>}
+                </div>
+                <Button kind="ghost" onClick={() => cleanUp([id])}>Remove</Button>
+              </div>
+            )
+          })}
+        </Card>
+      )}
+
+      {conflicts.length > 0 && (
+        <Card className="space-bottom">
+          <div className="h2" style={{ marginTop: 0 }}>⚠ Conflicts ({conflicts.length})</div>
+          {conflicts.map(c => (
+            <div key={`${c.a.id}|${c.b.id}`} className="suggestion-row">
+              <div>
+                <strong>{c.a.title}</strong> and <strong>{c.b.title}</strong> overlap · {describeOverlap(c)}
+                {c.times > 1 && <span className="muted"> (and {c.times - 1} more time{c.times === 2 ? '' : 's'})</span>}
+              </div>
+              <div className="row-between" style={{ marginTop: 4 }}>
+                <div className="muted">
+                  {c.suggestion.drop
+                    ? <>Suggestion: drop <strong>{c.suggestion.drop.title}</strong> — {c.suggestion.reason}.</>
+                    : <>No clear pick: {c.suggestion.reason}.</>}
+                </div>
+                <div className="row">
+                  {(c.suggestion.drop ? [c.suggestion.drop] : [c.a, c.b]).map(e => (
+                    <Button key={e.id} kind="ghost" onClick={() => dropSaved(e)}>Remove {e.title}</Button>
+                  ))}
+                </div>
+              </div>
+            </div>
+          ))}
+        </Card>
+      )}
+
+      <Card className="space-bottom">
+        <div className="h2" style={{ marginTop: 0 }}>Subscribe in your calendar</div>
+        <p className="muted" style={{ marginTop: 0 }}>
+          A live feed for Google/Apple Calendar — it updates as you save events or as events change.
+        </p>
+        <div className="chips">
+          <Chip active={feedMode === 'saved'} onClick={() => setFeedMode('saved')}>My saved events</Chip>
+          <Chip active={feedMode === 'personalized'} onClick={() => setFeedMode('personalized')}>Personalized for me</Chip>
+        </div>
+        <div className="row space-top">
+          <Button kind="ghost" onClick={createFeed}>
+            {sub ? (sub.mode === feedMode ? 'Refresh feed' : 'Switch feed') : 'Get feed link'}
+          </Button>
+          {sub && (
+            <>
+              <a className="btn btn-ghost" href={calendarFeedUrl(sub, { webcal: true })}>Open in calendar app</a>
+              <a
+                className="btn btn-ghost"
+                href={`https://calendar.google.com/calendar/r?cid=${encodeURIComponent(calendarFeedUrl(sub, { webcal: true }))}`}
+                target="_blank"
+                rel="noreferrer"
+              >
+                Add to Google
+              </a>
+              <Button kind="ghost" onClick={copyFeedUrl}>Copy link</Button>
+            </>
+          )}
+        </div>
+        {sub && <div className="muted" style={{ marginTop: 8, wordBreak: 'break-all' }}>{calendarFeedUrl(sub)}</div>}
+      </Card>
+      {events.length > 0 && (
+        <Card className="space-bottom">
+          <div className="h2" style={{ marginTop: 0 }}>Status</div>
+          <div className="chips">
+            <Chip active={status === 'all'} onClick={() => setFilter('status', 'all', 'all')}>All ({events.length})</Chip>
+            {SAVE_STATUSES.map(s => (
+              <Chip key={s} active={status === s} onClick={() => setFilter('status', s, 'all')}>
+                {SAVE_STATUS_LABELS[s]} ({counts.byStatus[s] || 0})
+              </Chip>
+            ))}
+          </div>
+
+          <div className="h2 space-top">Collections</div>
+          <div className="chips">
+            <Chip active={collection === 'all'} onClick={() => setFilter('collection', 'all', 'all')}>All</Chip>
+            {collections.map(c => (
+              <Chip key={c.id} active={collection === c.id} onClick={() => setFilter('collection', c.id, 'all')}>
+                {c.name} ({counts.byCollection[c.id] || 0})
+              </Chip>
+            ))}
+            <Chip active={collection === UNSORTED} onClick={() => setFilter('collection', UNSORTED, 'all')}>
+              Not in a collection ({counts.byCollection[UNSORTED]})
+            </Chip>
+          </div>
+          <form className="row space-top" onSubmit={createCollection}>
+            <input
+              className="input"
+              style={{ maxWidth: 260 }}
+              placeholder="New collection, e.g. Recruiting season"
+              value={newCollection}
+              onChange={e => setNewCollection(e.target.value)}
+            />
+            <Button type="submit" kind="ghost" disabled={!newCollection.trim()}>Add collection</Button>
+            {collections.some(c => c.id === collection) && (
+              <>
+                <Button type="button" kind="ghost" onClick={renameSelected}>Rename</Button>
+                <Button type="button" kind="ghost" onClick={deleteSelected}>Delete collection</Button>
+              </>
+            )}
+          </form>
+
+          <div className="h2 space-top">Sort by</div>
+          <div className="chips">
+            {Object.entries(SORTS).map(([key, label]) => (
+              <Chip key={key} active={sort === key} onClick={() => setFilter('sort', key, 'date')}>{label}</Chip>
+            ))}
+          </div>
+        </Card>
+      )}
+
+      {events.length > 0 && !groups.length && (
+        <Card>
+          No saved events match these filters.{' '}
+          <button className="btn btn-ghost" onClick={() => setSearchParams(new URLSearchParams(), { replace: true })}>Clear filters</button>
+        </Card>
+      )}
+
+      {groups.map(group => (
+        <section key={group.key} className="space-bottom">
+          <div className="h2">{group.label} ({group.events.length})</div>
+          <div
+            className="grid"
+            style={{
+              display: 'grid',
+              gap: '1rem',
+              gridTemplateColumns: 'repeat(auto-fill, minmax(300px, 1fr))'
+            }}
+          >
+            {group.events.map((evt, idx) => (
+              <div key={evt.id}>
+                <EventCard evt={evt} rank={group.key === 'upcoming' ? idx + 1 : undefined} />
+                <SavedItemControls
+                  key={detailIn(details, evt).note} // pick up notes edited elsewhere
+                  evt={evt}
+                  detail={detailIn(details, evt)}
+                  collections={collections}
+                />
+              </div>
+            ))}
+          </div>
+        </section>
+      ))}
     </div>
   )
 }
@@ -4,17 +4,34 @@ import { useNavigate, Link } from 'react-router-dom'
 import Card from '../components/Card.jsx'
 import Chip from '../components/Chip.jsx'
 import Button from '../components/Button.jsx'
+import AccountCard from '../components/AccountCard.jsx'
 import {
   getUserPrefs,
   saveUserPrefs,
   clearUserPrefs,
-  clearAllSaves
+  clearSavedIds,
+  getSavedIds,
+  getCalendarAlarms,
+  setCalendarAlarms
 } from '../lib/storage.js'
+import { ALARM_OPTIONS, syncCalendarSubscription } from '../lib/calendar.js'
 import { clearCustomEvents } from '../lib/custom.js'
+import {
+  getReminderPrefs,
+  saveReminderPrefs,
+  browserNotificationsSupported,
+  enableBrowserNotifications
+} from '../lib/notifications.js'
 import { useToast } from '../components/Toaster.jsx'
+import { tagsByCategory } from '../lib/taxonomy.js'
+import { FACULTIES } from '../lib/faculties.js'
 
-const FACULTIES = ['Sauder','Engineering','Science']
-const INTERESTS = ['ai','finance','swe','entrepreneurship']
+const INTEREST_GROUPS = tagsByCategory()
+const REMINDER_OPTIONS = [
+  { key: 'eventSoon', label: 'Saved event starts soon' },
+  { key: 'deadlineSoon', label: 'Application deadline within 48h' },
+  { key: 'eventChanged', label: 'Saved event changed or cancelled' }
+]
 
 export default function Settings() {
   const nav = useNavigate()
@@ -24,6 +41,8 @@ export default function Settings() {
   const [name, setName] = useState(existing?.name || '')
   const [faculty, setFaculty] = useState(existing?.faculty || '')
   const [interests, setInterests] = useState(existing?.interests || [])
+  const [alarms, setAlarms] = useState(() => getCalendarAlarms())
+  const [reminders, setReminders] = useState(() => getReminderPrefs())
 
   useEffect(() => {
     if (existing) {
@@ -52,6 +71,7 @@ export default function Settings() {
   function handleSave() {
     if (!valid) return
     saveUserPrefs(current)
+    window.dispatchEvent(new CustomEvent('userprefs-updated', { detail: current }))
     toast.success('Preferences saved.')
     nav('/feed')
   }
@@ -63,9 +83,33 @@ export default function Settings() {
     toast.info('Reverted changes.')
   }
 
+  function toggleAlarm(minutes) {
+    const next = alarms.includes(minutes)
+      ? alarms.filter(m => m !== minutes)
+      : [...alarms, minutes].sort((a, b) => b - a)
+    setAlarms(next)
+    setCalendarAlarms(next)
+    syncCalendarSubscription({ ids: getSavedIds(), prefs: getUserPrefs() })
+  }
+
+  function updateReminders(patch) {
+    const next = { ...reminders, ...patch }
+    setReminders(next)
+    saveReminderPrefs(next)
+  }
+
+  async function handleEnableBrowser() {
+    if (await enableBrowserNotifications()) {
+      updateReminders({ browser: true })
+      toast.success('Browser notifications enabled.')
+    } else {
+      toast.error('Notifications are blocked. Allow them in your browser settings.')
+    }
+  }
+
   function handleClearSaves() {
-    clearAllSaves()
-    toast.success('Cleared saved events and trending counts.')
+    clearSavedIds()
+    toast.success('Cleared saved events.')
   }
 
   function handleClearCustom() {
@@ -74,9 +118,9 @@ export default function Settings() {
   }
 
   function handleResetAll() {
-    if (!confirm('This will clear preferences, saved events, trending counts, and custom events. Continue?')) return
+    if (!confirm('This will clear preferences, saved events and custom events. Continue?')) return
     clearUserPrefs()
-    clearAllSaves()
+    clearSavedIds()
     clearCustomEvents()
     toast.success('All local data reset.')
     nav('/onboarding')
@@ -86,6 +130,8 @@ export default function Settings() {
     <div>
       <div className="h1">Settings</div>
 
+      <AccountCard />
+
       {!existing && (
         <Card className="space-bottom">
           <p className="muted">
@@ -108,23 +154,28 @@ export default function Settings() {
         <div className="h2 space-top">Faculty</div>
         <div className="chips">
           {FACULTIES.map(f => (
-            <Chip key={f} active={faculty === f} onClick={() => setFaculty(f)}>{f}</Chip>
+            <Chip key={f.code} active={faculty === f.code} onClick={() => setFaculty(f.code)}>{f.label}</Chip>
           ))}
         </div>
         {(!faculty) && <div style={{ color: 'var(--danger)', marginTop: 6 }}>Pick a faculty.</div>}
 
         <div className="h2 space-top">Interests (pick 2–5)</div>
-        <div className="chips">
-          {INTERESTS.map(tag => (
-            <Chip
-              key={tag}
-              active={interests.includes(tag)}
-              onClick={() => toggleInterest(tag)}
-            >
-              {tag}
-            </Chip>
-          ))}
-        </div>
+        {INTEREST_GROUPS.map(({ category, tags }) => (
+          <div key={category} style={{ marginBottom: 10 }}>
+            <div style={{ fontSize: 13, fontWeight: 700, marginBottom: 6 }}>{category}</div>
+            <div className="chips">
+              {tags.map(({ key, label }) => (
+                <Chip
+                  key={key}
+                  active={interests.includes(key)}
+                  onClick={() => toggleInterest(key)}
+                >
+                  {label}
+                </Chip>
+              ))}
+            </div>
+          </div>
+        ))}
         {(interests.length < 2) && <div style={{ color: 'var(--danger)', marginTop: 6 }}>Pick at least 2 interests.</div>}
 
         <div className="row space-top">
@@ -134,11 +185,53 @@ export default function Settings() {
         </div>
       </Card>
 
+      <Card className="space-bottom">
+        <div className="h2" style={{marginTop:0}}>Calendar reminders</div>
+        <p className="muted">Alerts added to .ics downloads and your calendar feed.</p>
+        <div className="chips">
+          {ALARM_OPTIONS.map(o => (
+            <Chip key={o.minutes} active={alarms.includes(o.minutes)} onClick={() => toggleAlarm(o.minutes)}>
+              {o.label}
+            </Chip>
+          ))}
+        </div>
+        {alarms.length === 0 && <div className="muted" style={{ marginTop: 6 }}>No reminders.</div>}
+      </Card>
+
+      <Card className="space-bottom">
+        <div className="h2" style={{marginTop:0}}>Notifications</div>
+        <p className="muted">Reminders for your saved events appear under the 🔔 in the top bar.</p>
+        <div className="chips">
+          {REMINDER_OPTIONS.map(o => (
+            <Chip key={o.key} active={reminders[o.key]} onClick={() => updateReminders({ [o.key]: !reminders[o.key] })}>
+              {o.label}
+            </Chip>
+          ))}
+        </div>
+        <div className="row space-top">
+          {!browserNotificationsSupported() && <span className="muted">This browser doesn’t support system notifications.</span>}
+          {browserNotificationsSupported() && !reminders.browser && (
+            <Button kind="ghost" onClick={handleEnableBrowser}>Enable browser notifications</Button>
+          )}
+          {browserNotificationsSupported() && reminders.browser && (
+            <Button kind="ghost" onClick={() => updateReminders({ browser: false })}>Turn off browser notifications</Button>
+          )}
+        </div>
+      </Card>
+
+      <Card className="space-bottom">
+        <div className="h2" style={{marginTop:0}}>Organizer tools</div>
+        <p className="muted">Submitted events, and edits to live ones, wait in a review queue until a reviewer approves them. The queue needs a signed-in reviewer account.</p>
+        <div className="row space-top">
+          <Link className="btn btn-ghost" to="/admin/review">Open review queue</Link>
+        </div>
+      </Card>
+
       <Card>
         <div className="h2" style={{marginTop:0}}>Data management</div>
-        <p className="muted">These actions affect only your browser’s local data.</p>
+        <p className="muted">These actions affect your browser’s data — and your account’s, if you’re signed in.</p>
         <div className="row space-top">
-          <Button kind="ghost" onClick={handleClearSaves}>Clear saved events + trending</Button>
+          <Button kind="ghost" onClick={handleClearSaves}>Clear saved events</Button>
           <Button kind="ghost" onClick={handleClearCustom}>Clear custom events</Button>
           <Button kind="primary" onClick={handleResetAll}>Reset everything</Button>
         </div>
@@ -1,37 +1,143 @@
 // src/pages/Submit.jsx
 import { useMemo, useState } from 'react'
-import { useNavigate } from 'react-router-dom'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
 import Card from '../components/Card.jsx'
 import Chip from '../components/Chip.jsx'
 import Button from '../components/Button.jsx'
 import Badge from '../components/Badge.jsx'
 import EventCard from '../components/EventCard.jsx'
-import { addCustomEvent } from '../lib/custom.js'
+import { addCustomEvent, getCustomEventById, updateCustomEvent } from '../lib/custom.js'
+import { createEvent, updateEvent } from '../lib/data.js'
+import { summarizeEvent } from '../lib/ai.js'
+import { FREQS, normalizeRecurrence, describeRecurrence } from '../lib/recurrence.js'
 import { useToast } from '../components/Toaster.jsx'
+import { TAXONOMY, tagLabel } from '../lib/taxonomy.js'
+import { ALL, FACULTIES, normalizeFaculties } from '../lib/faculties.js'
 
-const FACULTIES = ['Sauder','Engineering','Science']
 const LEVELS = ['beginner','intermediate','advanced']
-const KNOWN_TAGS = ['ai','finance','swe','entrepreneurship','workshop','hackathon','networking']
+const KNOWN_TAGS = TAXONOMY.map(t => t.key)
 
+/* ISO string -> value for a datetime-local input (local time, no seconds) */
+function toLocalInput(iso) {
+  if (!iso) return ''
+  const dt = new Date(iso)
+  if (!Number.isFinite(dt.getTime())) return ''
+  return new Date(dt.getTime() - dt.getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+}
+
+// /submit?edit=<id> reopens one of your custom events; keyed so switching resets the form
 export default function Submit() {
+  const [params] = useSearchParams()
+  const editId = params.get('edit') || ''
+  return <SubmitForm key={editId} editing={editId ? getCustomEventById(editId) : null} />
+}
+
+function SubmitForm({ editing }) {
   const nav = useNavigate()
   const toast = useToast()
 
-  // Organizer form fields
-  const [title, setTitle] = useState('')
-  const [description, setDescription] = useState('')
-  const [faculty, setFaculty] = useState('')
-  const [level, setLevel] = useState('beginner')
-  const [tags, setTags] = useState([])
-  const [location, setLocation] = useState('')
-  const [start, setStart] = useState('') // datetime-local
-  const [end, setEnd] = useState('')
-  const [url, setUrl] = useState('')
+  // Organizer form fields (prefilled when editing)
+  const [title, setTitle] = useState(editing?.title || '')
+  const [description, setDescription] = useState(editing?.description || '')
+  const [faculties, setFaculties] = useState(() => editing ? normalizeFaculties(editing.faculties ?? editing.faculty) : [])
+  const [level, setLevel] = useState(editing?.level || 'beginner')
+  const [tags, setTags] = useState(editing?.tags || [])
+  const [location, setLocation] = useState(editing?.location || '')
+  const [start, setStart] = useState(toLocalInput(editing?.start)) // datetime-local
+  const [end, setEnd] = useState(toLocalInput(editing?.end))
+  const [deadline, setDeadline] = useState(editing?.deadline ? String(editing.deadline).slice(0, 10) : '') // date
+  const [capacity, setCapacity] = useState(editing?.capacity ? String(editing.capacity) : '')
+  const [url, setUrl] = useState(editing?.url || '')
+  const [organizer, setOrganizer] = useState(editing?.organizer && editing.organizer !== 'Submitted via UI' ? editing.organizer : '')
+  const [summary, setSummary] = useState(editing?.summary || '')
+
+  // Repeat rule (see lib/recurrence.js)
+  const rec = editing?.recurrence
+  const [repeat, setRepeat] = useState(rec?.freq || 'none')
+  const [repeatEvery, setRepeatEvery] = useState(rec?.interval || 1)
+  const [endsMode, setEndsMode] = useState(rec?.count ? 'count' : rec?.until ? 'until' : 'never')
+  const [count, setCount] = useState(rec?.count || 8)
+  const [until, setUntil] = useState(rec?.until || '')
+  const [exdates, setExdates] = useState(rec?.exdates || [])
+  const [exdateDraft, setExdateDraft] = useState('')
+
+  // AI suggestions + the organizer's accept/reject decisions ('tag:<t>' | 'level' | 'summary')
+  const [suggestion, setSuggestion] = useState(null)
+  const [decided, setDecided] = useState({})
+  const [suggesting, setSuggesting] = useState(false)
+
+  // "All faculties" is exclusive; picking a specific faculty clears it
+  function toggleFaculty(code) {
+    setFaculties(prev => {
+      if (code === ALL) return prev.includes(ALL) ? [] : [ALL]
+      const rest = prev.filter(c => c !== ALL)
+      return rest.includes(code) ? rest.filter(c => c !== code) : [...rest, code]
+    })
+  }
 
   function toggleTag(t) {
     setTags(prev => prev.includes(t) ? prev.filter(x => x !== t) : [...prev, t])
   }
 
+  async function autoFill() {
+    if (!title.trim() && !description.trim()) {
+      toast.error('Add a title or description first.')
+      return
+    }
+    setSuggesting(true)
+    try {
+      const s = await summarizeEvent({ title, description, faculties, level, tags, location, start, url, organizer })
+      setSuggestion(s)
+      setDecided({})
+      if (s.source === 'local') toast.info('AI server unavailable — using offline suggestions.')
+    } finally {
+      setSuggesting(false)
+    }
+  }
+
+  // Only suggestions that would actually change the form are worth reviewing
+  const pending = useMemo(() => {
+    if (!suggestion) return []
+    const items = suggestion.tags
+      .filter(t => !tags.includes(t))
+      .map(t => ({ key: 'tag:' + t, kind: 'tag', value: t }))
+    if (suggestion.level && suggestion.level !== level) {
+      items.push({ key: 'level', kind: 'level', value: suggestion.level })
+    }
+    if (suggestion.summary && suggestion.summary !== summary) {
+      items.push({ key: 'summary', kind: 'summary', value: suggestion.summary })
+    }
+    return items.filter(i => !decided[i.key])
+  }, [suggestion, decided, tags, level, summary])
+
+  function acceptSuggestion(item) {
+    if (item.kind === 'tag') setTags(prev => prev.includes(item.value) ? prev : [...prev, item.value])
+    if (item.kind === 'level') setLevel(item.value)
+    if (item.kind === 'summary') setSummary(item.value)
+    setDecided(prev => ({ ...prev, [item.key]: 'accepted' }))
+  }
+
+  function rejectSuggestion(item) {
+    setDecided(prev => ({ ...prev, [item.key]: 'rejected' }))
+  }
+
+  const recurrence = useMemo(() => {
+    if (repeat === 'none') return undefined
+    return normalizeRecurrence({
+      freq: repeat,
+      interval: repeatEvery,
+      count: endsMode === 'count' ? count : undefined,
+      until: endsMode === 'until' ? until : undefined,
+      exdates
+    }) || undefined
+  }, [repeat, repeatEvery, endsMode, count, until, exdates])
+
+  function addExdate() {
+    if (!exdateDraft) return
+    setExdates(prev => prev.includes(exdateDraft) ? prev : [...prev, exdateDraft].sort())
+    setExdateDraft('')
+  }
+
   // Build a live preview object (same shape as feed events)
   const eventPreview = useMemo(() => {
     const toISO = (s) => {
@@ -41,30 +147,34 @@ export default function Submit() {
       return Number.isFinite(dt.getTime()) ? dt.toISOString() : undefined
     }
     return {
-      id: 'preview_' + Math.random().toString(36).slice(2),
+      id: editing?.id || 'preview_' + Math.random().toString(36).slice(2),
       title: title || 'Untitled Event',
       description: description || '',
-      faculty: faculty || 'All',
+      summary: summary || undefined,
+      faculties: faculties.length ? faculties : [ALL],
       tags,
       level: level || 'beginner',
       start: toISO(start),
       end: toISO(end),
+      deadline: deadline || undefined,
+      capacity: Number(capacity) > 0 ? Math.floor(Number(capacity)) : undefined,
+      recurrence,
       location,
       url,
-      organizer: 'Submitted via UI',
+      organizer: organizer.trim() || 'Submitted via UI',
       isCustom: true
     }
-  }, [title, description, faculty, tags, level, start, end, url])
+  }, [editing, title, description, summary, faculties, tags, level, start, end, deadline, capacity, recurrence, location, url, organizer])
 
   // Simple validation for required fields
   const missing = useMemo(() => {
     const m = []
     if (!title.trim()) m.push('title')
-    if (!faculty.trim()) m.push('faculty')
+    if (!faculties.length) m.push('faculty')
     if (!location.trim()) m.push('location')
     if (!start.trim()) m.push('start')
     return m
-  }, [title, faculty, location, start])
+  }, [title, faculties, location, start])
 
   function copyJSON() {
     const { id: _drop, ...clean } = eventPreview
@@ -76,20 +186,61 @@ export default function Submit() {
     })
   }
 
-  function publishToFeed() {
+  async function publishToFeed() {
     if (missing.length) {
       toast.error('Please fill: ' + missing.join(', '))
       return
     }
     const { id: _drop, ...clean } = eventPreview
-    addCustomEvent(clean)
-    toast.success('Published to your feed: ' + (clean.title || 'Event'))
+    if (editing) {
+      await saveEdits(clean)
+      return
+    }
+    try {
+      // Shared store first (lands in the review queue); keep a local copy so it stays in "your" events
+      const stored = await createEvent(clean)
+      addCustomEvent(stored)
+      toast.success('Submitted for review: ' + (clean.title || 'Event') + '. It will appear in the feed once approved.')
+    } catch (e) {
+      if (e.status >= 400 && e.status < 500) {
+        // The server said what's wrong with it: let them fix it here
+        toast.error(e.message)
+        return
+      }
+      addCustomEvent(clean)
+      toast.warn('Server unavailable — saved to your browser only.')
+    }
     nav('/feed')
   }
 
+  async function saveEdits(clean) {
+    let stored = null
+    // Only events that reached the server carry a moderation status
+    if (editing.status) {
+      try {
+        stored = await updateEvent(editing.id, clean, editing.ownerToken)
+      } catch (e) {
+        toast.error(e.message || 'Could not save changes. Try again.')
+        return
+      }
+    }
+    if (stored?.pendingEdit) {
+      // The live event keeps its approved version until a reviewer approves the edit
+      updateCustomEvent(editing.id, { ...clean, status: stored.status, reviewNotes: stored.reviewNotes, pendingEdit: true })
+      toast.success('Changes sent for review: ' + (clean.title || 'Event') + '. The current version stays in the feed until they’re approved.')
+    } else {
+      updateCustomEvent(editing.id, stored || clean)
+      toast.success('Updated: ' + (clean.title || 'Event'))
+    }
+    nav('/submissions')
+  }
+
   return (
     <div>
-      <div className="h1">Submit an event</div>
+      <div className="row-between">
+        <div className="h1">{editing ? 'Edit event' : 'Submit an event'}</div>
+        <Link className="btn btn-ghost" to="/submissions">My submissions</Link>
+      </div>
 
       {/* Organizer form */}
       <Card className="space-bottom">
@@ -107,13 +258,20 @@ export default function Submit() {
           value={description}
           onChange={e => setDescription(e.target.value)}
         />
+        <div className="row" style={{marginTop:8}}>
+          <Button kind="ghost" onClick={autoFill} disabled={suggesting}>
+            {suggesting ? 'Thinking…' : '✨ Auto-fill from description'}
+          </Button>
+          {summary && <span className="muted">Summary set · <button className="btn btn-ghost" onClick={() => setSummary('')}>Clear</button></span>}
+        </div>
 
         <div className="row space-top">
           <div style={{minWidth:220, flex:1}}>
-            <div className="h2">Faculty</div>
+            <div className="h2">Faculties</div>
             <div className="chips">
+              <Chip active={faculties.includes(ALL)} onClick={() => toggleFaculty(ALL)}>All faculties</Chip>
               {FACULTIES.map(f => (
-                <Chip key={f} active={faculty===f} onClick={() => setFaculty(f)}>{f}</Chip>
+                <Chip key={f.code} active={faculties.includes(f.code)} onClick={() => toggleFaculty(f.code)}>{f.short}</Chip>
               ))}
             </div>
           </div>
@@ -135,22 +293,113 @@ export default function Submit() {
           <input className="input" placeholder="Location (e.g., ICICS X350)" value={location} onChange={e=>setLocation(e.target.value)} />
         </div>
 
+        <div className="h2 space-top">Application deadline (optional)</div>
+        <input className="input" type="date" style={{maxWidth:220}} value={deadline} onChange={e=>setDeadline(e.target.value)} />
+
+        <div className="h2 space-top">Capacity (optional)</div>
+        <input className="input" type="number" min="1" style={{maxWidth:220}} placeholder="Number of places" value={capacity} onChange={e=>setCapacity(e.target.value)} />
+
+        <div className="h2 space-top">Repeats</div>
+        <div className="chips">
+          <Chip active={repeat === 'none'} onClick={() => setRepeat('none')}>Does not repeat</Chip>
+          {FREQS.map(f => (
+            <Chip key={f} active={repeat === f} onClick={() => setRepeat(f)}>{f}</Chip>
+          ))}
+        </div>
+        {repeat !== 'none' && (
+          <div style={{marginTop:12}}>
+            <div className="row">
+              <span className="muted">Every</span>
+              <input className="input" type="number" min={1} style={{width:90}} value={repeatEvery} onChange={e=>setRepeatEvery(e.target.value)} />
+              <span className="muted">{{ daily: 'day(s)', weekly: 'week(s)', monthly: 'month(s)' }[repeat]}</span>
+            </div>
+            <div className="row" style={{marginTop:8}}>
+              <span className="muted">Ends</span>
+              <Chip active={endsMode === 'never'} onClick={() => setEndsMode('never')}>never</Chip>
+              <Chip active={endsMode === 'count'} onClick={() => setEndsMode('count')}>after</Chip>
+              {endsMode === 'count' && (
+                <input className="input" type="number" min={1} style={{width:90}} value={count} onChange={e=>setCount(e.target.value)} />
+              )}
+              <Chip active={endsMode === 'until'} onClick={() => setEndsMode('until')}>on date</Chip>
+              {endsMode === 'until' && (
+                <input className="input" type="date" style={{width:180}} value={until} onChange={e=>setUntil(e.target.value)} />
+              )}
+            </div>
+            <div className="row" style={{marginTop:8}}>
+              <span className="muted">Skip dates</span>
+              <input className="input" type="date" style={{width:180}} value={exdateDraft} onChange={e=>setExdateDraft(e.target.value)} />
+              <Button kind="ghost" onClick={addExdate}>Add</Button>
+              {exdates.map(d => (
+                <Chip key={d} onClick={() => setExdates(prev => prev.filter(x => x !== d))}>{d} ×</Chip>
+              ))}
+            </div>
+            {recurrence && <div className="muted" style={{marginTop:8}}>🔁 {describeRecurrence(recurrence)}</div>}
+          </div>
+        )}
+
+        <div className="h2 space-top">Organizer</div>
+        <input className="input" placeholder="Club or team hosting the event" value={organizer} onChange={e=>setOrganizer(e.target.value)} />
+
         <div className="h2 space-top">Link (optional)</div>
         <input className="input" placeholder="Registration or info URL" value={url} onChange={e=>setUrl(e.target.value)} />
 
         <div className="h2 space-top">Tags</div>
         <div className="chips">
-          {KNOWN_TAGS.map(t => (
-            <Chip key={t} active={tags.includes(t)} onClick={() => toggleTag(t)}>{t}</Chip>
+          {[...KNOWN_TAGS, ...tags.filter(t => !KNOWN_TAGS.includes(t))].map(t => (
+            <Chip key={t} active={tags.includes(t)} onClick={() => toggleTag(t)}>{tagLabel(t)}</Chip>
           ))}
         </div>
 
         <div className="row space-top">
           <Button kind="ghost" onClick={copyJSON}>Copy JSON</Button>
-          <Button kind="accent" onClick={publishToFeed}>Publish to Feed</Button>
+          <Button kind="accent" onClick={publishToFeed}>{editing ? 'Save changes' : 'Submit for review'}</Button>
+          {editing && <Link className="btn btn-ghost" to="/submissions">Cancel</Link>}
         </div>
       </Card>
 
+      {/* AI suggestions (diff against the current form) */}
+      {suggestion && (
+        <Card className="space-bottom">
+          <div className="row-between">
+            <div className="h2" style={{marginTop:0}}>Suggestions</div>
+            <div className="muted">{suggestion.source === 'server' ? `from ${suggestion.provider}` : 'offline heuristics'}</div>
+          </div>
+          {pending.length === 0 ? (
+            <p className="muted">All suggestions reviewed.</p>
+          ) : (
+            <>
+              {pending.map(item => (
+                <div key={item.key} className="row-between suggestion-row">
+                  <div>
+                    {item.kind === 'tag' && <span className="diff-add">+ #{item.value}</span>}
+                    {item.kind === 'level' && (
+                      <span><span className="diff-del">{level}</span> → <span className="diff-add">{item.value}</span></span>
+                    )}
+                    {item.kind === 'summary' && (
+                      <div>
+                        {summary && <div className="diff-del">− {summary}</div>}
+                        <div className="diff-add">+ {item.value}</div>
+                      </div>
+                    )}
+                  </div>
+                  <div className="row">
+                    <Button kind="ghost" onClick={() => acceptSuggestion(item)}>Accept</Button>
+                    <Button kind="ghost" onClick={() => rejectSuggestion(item)}>Reject</Button>
+                  </div>
+                </div>
+              ))}
+              <div className="row space-top">
+                <Button kind="ghost" onClick={() => pending.forEach(acceptSuggestion)}>Accept all</Button>
+                <Button kind="ghost" onClick={() => pending.forEach(rejectSuggestion)}>Reject all</Button>
+              </div>
+            </>
+          )}
+          {suggestion.missing.length > 0 && (
+            <p><strong>AI noticed missing:</strong> {suggestion.missing.map(m => <Badge key={m}>{m}</Badge>)}</p>
+          )}
+        </Card>
+      )}
+
       {/* Validation */}
       <Card className="space-bottom">
         <div className="h2" style={{marginTop:0}}>Submission check</div>
@@ -0,0 +1,43 @@
+// test/accounts.test.js — one account per email, even when registrations race
+import { test, describe, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+
+let server, base, dataDir
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ubc-accounts-test-'))
+  process.env.DATA_DIR = dataDir
+  process.env.AI_PROVIDER = 'heuristic'
+  const { app } = await import('../server/index.js')
+  server = app.listen(0)
+  await new Promise(resolve => server.once('listening', resolve))
+  base = `http://127.0.0.1:${server.address().port}`
+})
+
+after(() => {
+  server?.close()
+  fs.rmSync(dataDir, { recursive: true, force: true })
+})
+
+const register = (email) => fetch(`${base}/api/account/register`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ email, password: 'password123' })
+})
+
+describe('POST /api/account/register', () => {
+  test('a taken email gets 409', async () => {
+    assert.equal((await register('first@ubc.ca')).status, 201)
+    assert.equal((await register('First@UBC.ca')).status, 409)
+  })
+
+  test('simultaneous registrations for one email create one account', async () => {
+    const statuses = (await Promise.all([register('race@ubc.ca'), register('race@ubc.ca')])).map(r => r.status)
+    assert.deepEqual(statuses.sort(), [201, 409])
+    const users = JSON.parse(fs.readFileSync(path.join(dataDir, 'users.json'), 'utf8'))
+    assert.equal(Object.values(users).filter(u => u.email === 'race@ubc.ca').length, 1)
+  })
+})
@@ -0,0 +1,179 @@
+// test/ai.test.js — AI providers, the summary schema and POST /api/ai/summarize (heuristic provider)
+import { test, describe, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import http from 'node:http'
+import os from 'node:os'
+import path from 'node:path'
+import { createProvider } from '../server/ai/providers.js'
+import { SUMMARY_SCHEMA, validate } from '../server/ai/schema.js'
+
+const GOOD = {
+  summary: 'A hands-on intro to machine learning with Python.',
+  tags: ['ai', 'workshop'],
+  level: 'beginner',
+  missing: ['link']
+}
+
+describe('createProvider', () => {
+  test('defaults to heuristic without an OpenAI key', () => {
+    assert.equal(createProvider({}).name, 'heuristic')
+  })
+
+  test('defaults to openai when OPENAI_API_KEY is set', () => {
+    const p = createProvider({ OPENAI_API_KEY: 'sk-test' })
+    assert.equal(p.name, 'openai')
+    assert.equal(p.model, 'gpt-4o-mini')
+  })
+
+  test('AI_PROVIDER wins over the key and is case-insensitive', () => {
+    assert.equal(createProvider({ AI_PROVIDER: 'Heuristic', OPENAI_API_KEY: 'sk-test' }).name, 'heuristic')
+  })
+
+  test('openai-compatible uses AI_BASE_URL and AI_MODEL', () => {
+    const p = createProvider({ AI_PROVIDER: 'openai-compatible', AI_BASE_URL: 'http://localhost:1234/v1', AI_MODEL: 'llama' })
+    assert.equal(p.name, 'openai-compatible')
+    assert.equal(p.model, 'llama')
+  })
+
+  test('rejects missing settings and unknown providers', () => {
+    assert.throws(() => createProvider({ AI_PROVIDER: 'openai' }), /needs OPENAI_API_KEY/)
+    assert.throws(() => createProvider({ AI_PROVIDER: 'openai-compatible' }), /needs AI_BASE_URL/)
+    assert.throws(() => createProvider({ AI_PROVIDER: 'gemini' }), /Unknown AI_PROVIDER "gemini"/)
+  })
+})
+
+describe('validate(SUMMARY_SCHEMA)', () => {
+  test('accepts well-formed output', () => {
+    assert.deepEqual(validate(SUMMARY_SCHEMA, GOOD), [])
+  })
+
+  test('reports each problem with its path', () => {
+    const problems = validate(SUMMARY_SCHEMA, {
+      ...GOOD,
+      summary: 'x'.repeat(601),
+      tags: ['AI', 'AI'],
+      level: 'expert',
+      extra: true
+    })
+    assert.ok(problems.includes('$.summary: too long'), problems.join('\n'))
+    assert.ok(problems.some(p => p.startsWith('$.tags')), problems.join('\n'))
+    assert.ok(problems.some(p => p.startsWith('$.level')), problems.join('\n'))
+    assert.ok(problems.some(p => p.includes('extra')), problems.join('\n'))
+  })
+
+  test('requires every field', () => {
+    const { level: _level, ...rest } = GOOD
+    assert.ok(validate(SUMMARY_SCHEMA, rest).length > 0)
+    assert.ok(validate(SUMMARY_SCHEMA, null).length > 0)
+  })
+})
+
+describe('heuristic provider', () => {
+  const provider = createProvider({ AI_PROVIDER: 'heuristic' })
+
+  test('output passes the schema', async () => {
+    const data = await provider.summarize({
+      title: 'Intro to Machine Learning Workshop',
+      description: 'Learn the basics of machine learning with Python. No experience needed.'
+    })
+    assert.deepEqual(validate(SUMMARY_SCHEMA, data), [])
+    assert.deepEqual(data.missing, ['date', 'location', 'link', 'organizer'])
+  })
+
+  test('long text without sentence breaks is cut to maxLength', async () => {
+    const data = await provider.summarize({ title: 'Long', description: 'word '.repeat(400) })
+    assert.ok(data.summary.length <= SUMMARY_SCHEMA.properties.summary.maxLength)
+    assert.ok(data.summary.endsWith('…'))
+    assert.deepEqual(validate(SUMMARY_SCHEMA, data), [])
+  })
+})
+
+describe('openai-compatible provider', () => {
+  let server, prompt
+
+  before(async () => {
+    // Stands in for the model: answers every request with the same output
+    server = http.createServer((req, res) => {
+      let body = ''
+      req.on('data', chunk => { body += chunk })
+      req.on('end', () => {
+        prompt = JSON.parse(body).input
+        res.setHeader('Content-Type', 'application/json')
+        res.end(JSON.stringify({
+          id: 'resp_1',
+          object: 'response',
+          output: [{ type: 'message', role: 'assistant', content: [{ type: 'output_text', text: JSON.stringify(GOOD) }] }]
+        }))
+      })
+    })
+    server.listen(0)
+    await new Promise(resolve => server.once('listening', resolve))
+  })
+
+  after(() => server?.close())
+
+  test('sees the form fields, and missing comes from what the form filled in', async () => {
+    const p = createProvider({ AI_PROVIDER: 'openai-compatible', AI_BASE_URL: `http://127.0.0.1:${server.address().port}/v1` })
+    const out = await p.summarize({
+      title: 'ML workshop',
+      description: 'Hands-on intro.',
+      start: '2030-01-10T02:00:00Z',
+      url: 'https://example.com/ml'
+    })
+    assert.match(prompt, /Start: 2030-01-10T02:00:00Z/)
+    assert.match(prompt, /Link: https:\/\/example\.com\/ml/)
+    assert.match(prompt, /Location: \(not given\)/)
+    assert.deepEqual(out.missing, ['location', 'organizer'])
+    assert.equal(out.summary, GOOD.summary)
+  })
+})
+
+describe('POST /api/ai/summarize (AI_PROVIDER=heuristic)', () => {
+  let server, base, dataDir
+
+  before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ubc-events-test-'))
+    process.env.DATA_DIR = dataDir
+    process.env.AI_PROVIDER = 'heuristic'
+    const { app } = await import('../server/index.js')
+    server = app.listen(0)
+    await new Promise(resolve => server.once('listening', resolve))
+    base = `http://127.0.0.1:${server.address().port}`
+  })
+
+  after(() => {
+    server?.close()
+    fs.rmSync(dataDir, { recursive: true, force: true })
+  })
+
+  const summarize = (body) => fetch(`${base}/api/ai/summarize`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  })
+
+  test('returns schema-valid output and the provider name', async () => {
+    const res = await summarize({
+      title: 'Startup Pitch Night',
+      description: 'Pitch your startup idea to founders and investors. Prizes for the top three teams.',
+      location: 'Nest 2nd floor'
+    })
+    assert.equal(res.status, 200)
+    const { provider, ...data } = await res.json()
+    assert.equal(provider, 'heuristic')
+    assert.deepEqual(validate(SUMMARY_SCHEMA, data), [])
+    assert.ok(!data.missing.includes('location'))
+  })
+
+  test('long unpunctuated descriptions still succeed', async () => {
+    const res = await summarize({ title: 'Long', description: 'a'.repeat(700) })
+    assert.equal(res.status, 200)
+    assert.ok((await res.json()).summary.length <= SUMMARY_SCHEMA.properties.summary.maxLength)
+  })
+
+  test('needs a title or description', async () => {
+    assert.equal((await summarize({})).status, 400)
+    assert.equal((await summarize({ title: '   ', description: '\n\t' })).status, 400)
+  })
+})
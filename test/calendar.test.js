@@ -0,0 +1,180 @@
+// test/calendar.test.js — .ics output checked against RFC 5545
+import { test, describe } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildCalendar, foldLine, TZID } from '../src/lib/calendar.js'
+import { expandEvent } from '../src/lib/recurrence.js'
+
+const CRLF = '\r\n'
+const octets = s => Buffer.byteLength(s, 'utf8')
+const unfold = ics => ics.replace(/\r\n[ \t]/g, '')
+const linesOf = ics => unfold(ics).split(CRLF).slice(0, -1) // content ends with CRLF
+
+/* The lines of each BEGIN:<name> … END:<name> block */
+function blocks(lines, name) {
+  const out = []
+  let current = null
+  for (const line of lines) {
+    if (line === `BEGIN:${name}`) current = []
+    else if (line === `END:${name}` && current) { out.push(current); current = null }
+    else if (current) current.push(line)
+  }
+  return out
+}
+
+// Mondays 6–8 pm Vancouver from Nov 3 2025 (PST), four times, not Nov 10
+const EVENT = {
+  id: 'evt-1',
+  title: 'Café, crêpes; and \\ more\nline two',
+  description: 'Bring a laptop. '.repeat(8) + 'Questions? Ask in the 💬 channel.',
+  location: 'ICICS X360',
+  organizer: 'UBC: AI Club',
+  url: 'https://example.com/ai-night',
+  tags: ['ai', 'data science'],
+  start: '2025-11-04T02:00:00.000Z',
+  end: '2025-11-04T04:00:00.000Z',
+  recurrence: { freq: 'weekly', interval: 1, count: 4, exdates: ['2025-11-10'] },
+  deadline: '2025-11-01'
+}
+
+const ALARMS = [7 * 24 * 60, 24 * 60, 3 * 60, 60, 15]
+
+describe('foldLine', () => {
+  test('leaves lines of up to 75 octets alone', () => {
+    const line = 'X'.repeat(75)
+    assert.equal(foldLine(line), line)
+  })
+
+  test('folds at 75 octets with a leading space on continuation lines', () => {
+    const folded = foldLine('DESCRIPTION:' + 'a'.repeat(200))
+    const parts = folded.split(CRLF)
+    assert.equal(octets(parts[0]), 75)
+    for (const part of parts.slice(1)) {
+      assert.ok(part.startsWith(' '))
+      assert.ok(octets(part) <= 75)
+    }
+    assert.equal(unfold(folded), 'DESCRIPTION:' + 'a'.repeat(200))
+  })
+
+  test('counts UTF-8 octets and never splits a character', () => {
+    for (const ch of ['é', '中', '💬']) {
+      const line = 'SUMMARY:' + ch.repeat(60)
+      const parts = foldLine(line).split(CRLF)
+      assert.ok(parts.length > 1, `${ch} should need folding`)
+      for (const part of parts) {
+        assert.ok(octets(part) <= 75, `${ch}: ${octets(part)} octets`)
+        assert.ok(part.isWellFormed(), `${ch}: split a surrogate pair`)
+      }
+      assert.equal(unfold(parts.join(CRLF)), line)
+    }
+  })
+
+  test('fills the first line as far as whole characters allow', () => {
+    // 8 ASCII octets + 33 × 2-octet chars = 74; a 34th would make 76
+    const [first] = foldLine('SUMMARY:' + 'é'.repeat(60)).split(CRLF)
+    assert.equal(first, 'SUMMARY:' + 'é'.repeat(33))
+  })
+})
+
+describe('buildCalendar', () => {
+  const ics = buildCalendar([EVENT], { name: 'UBC Events — Saved', alarms: ALARMS })
+  const lines = linesOf(ics)
+  const [vevent, deadline] = blocks(lines, 'VEVENT')
+
+  test('uses CRLF line endings throughout, ending with one', () => {
+    assert.ok(ics.endsWith(CRLF))
+    assert.doesNotMatch(ics, /[^\r]\n/)
+    assert.doesNotMatch(ics, /\r[^\n]/)
+  })
+
+  test('keeps every physical line within 75 octets', () => {
+    for (const line of ics.split(CRLF)) assert.ok(octets(line) <= 75, `${octets(line)}: ${line}`)
+    assert.ok(ics.split(CRLF).some(l => l.startsWith(' ')), 'the long DESCRIPTION should be folded')
+  })
+
+  test('wraps everything in one VCALENDAR', () => {
+    assert.equal(lines[0], 'BEGIN:VCALENDAR')
+    assert.equal(lines.at(-1), 'END:VCALENDAR')
+    assert.ok(lines.includes('VERSION:2.0'))
+    assert.ok(lines.some(l => l.startsWith('PRODID:')))
+    assert.ok(lines.includes('X-WR-CALNAME:UBC Events — Saved'))
+  })
+
+  test('defines the Vancouver VTIMEZONE before any event', () => {
+    const [tz] = blocks(lines, 'VTIMEZONE')
+    assert.ok(tz, 'VTIMEZONE missing')
+    assert.ok(lines.indexOf('BEGIN:VTIMEZONE') < lines.indexOf('BEGIN:VEVENT'))
+    assert.ok(tz.includes(`TZID:${TZID}`))
+    const [daylight] = blocks(tz, 'DAYLIGHT')
+    const [standard] = blocks(tz, 'STANDARD')
+    assert.deepEqual(
+      daylight.filter(l => /^(TZOFFSETFROM|TZOFFSETTO|RRULE):/.test(l)),
+      ['TZOFFSETFROM:-0800', 'TZOFFSETTO:-0700', 'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU']
+    )
+    assert.deepEqual(
+      standard.filter(l => /^(TZOFFSETFROM|TZOFFSETTO|RRULE):/.test(l)),
+      ['TZOFFSETFROM:-0700', 'TZOFFSETTO:-0800', 'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU']
+    )
+  })
+
+  test('gives start and end as Vancouver wall-clock times with TZID', () => {
+    assert.ok(vevent.includes('UID:evt-1'))
+    assert.ok(vevent.some(l => /^DTSTAMP:\d{8}T\d{6}Z$/.test(l)))
+    assert.ok(vevent.includes('DTSTART;TZID=America/Vancouver:20251103T180000'))
+    assert.ok(vevent.includes('DTEND;TZID=America/Vancouver:20251103T200000'))
+  })
+
+  test('exports the recurrence rule and exception dates at the series start time', () => {
+    assert.ok(vevent.includes('RRULE:FREQ=WEEKLY;INTERVAL=1;COUNT=4'))
+    assert.ok(vevent.includes('EXDATE;TZID=America/Vancouver:20251110T180000'))
+  })
+
+  test('escapes TEXT values', () => {
+    assert.ok(vevent.includes('SUMMARY:Café\\, crêpes\\; and \\\\ more\\nline two'))
+    assert.ok(vevent.includes('CATEGORIES:ai,data science'))
+    assert.ok(vevent.includes('ORGANIZER;CN="UBC: AI Club":mailto:noreply@ubc-events.invalid'))
+    const description = vevent.find(l => l.startsWith('DESCRIPTION:'))
+    assert.ok(description.endsWith('channel.\\n\\nhttps://example.com/ai-night'))
+  })
+
+  test('adds one display VALARM per reminder with duration TRIGGERs', () => {
+    const alarms = blocks(vevent, 'VALARM')
+    assert.deepEqual(alarms.map(a => a.find(l => l.startsWith('TRIGGER:'))), [
+      'TRIGGER:-P7D',
+      'TRIGGER:-P1D',
+      'TRIGGER:-PT3H',
+      'TRIGGER:-PT1H',
+      'TRIGGER:-PT15M'
+    ])
+    for (const alarm of alarms) assert.ok(alarm.includes('ACTION:DISPLAY'))
+  })
+
+  test('adds an all-day, non-blocking "Apply by" event for the deadline', () => {
+    assert.ok(deadline, 'deadline VEVENT missing')
+    assert.ok(deadline.includes('UID:evt-1-deadline'))
+    assert.ok(deadline.includes('DTSTART;VALUE=DATE:20251101'))
+    assert.ok(deadline.includes('DTEND;VALUE=DATE:20251102'))
+    assert.ok(deadline.includes('SUMMARY:Apply by: Café\\, crêpes\\; and \\\\ more\\nline two'))
+    assert.ok(deadline.includes('TRANSP:TRANSPARENT'))
+    assert.ok(!deadline.some(l => l.startsWith('DTSTART;TZID')))
+  })
+
+  test('a deadline on Dec 31 ends on Jan 1 of the next year', () => {
+    const out = linesOf(buildCalendar([{ id: 'd', title: 'Grant', deadline: '2025-12-31' }], { alarms: [] }))
+    assert.ok(out.includes('DTSTART;VALUE=DATE:20251231'))
+    assert.ok(out.includes('DTEND;VALUE=DATE:20260101'))
+    assert.equal(blocks(out, 'VEVENT').length, 1, 'no start: only the deadline is exported')
+  })
+
+  test('deadlines: false leaves the deadline out', () => {
+    const out = linesOf(buildCalendar([EVENT], { alarms: [], deadlines: false }))
+    assert.equal(blocks(out, 'VEVENT').length, 1)
+    assert.ok(!out.some(l => l.startsWith('BEGIN:VALARM')))
+  })
+
+  test('an occurrence shown in the feed exports its whole series', () => {
+    const [, copy] = expandEvent(EVENT, { from: '2025-11-01T00:00:00Z' })
+    assert.notEqual(copy.start, EVENT.start)
+    const out = linesOf(buildCalendar([copy], { alarms: [], deadlines: false }))
+    assert.ok(out.includes('DTSTART;TZID=America/Vancouver:20251103T180000'))
+  })
+})
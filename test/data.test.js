@@ -0,0 +1,51 @@
+// test/data.test.js — loadAllEvents says whether the shared store answered
+import { test, describe, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { loadAllEvents, getAllEventsMerged } from '../src/lib/data.js'
+
+const realFetch = globalThis.fetch
+afterEach(() => { globalThis.fetch = realFetch })
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } })
+
+/* fetch stub: routes maps a URL to a Response factory, or to an Error to throw */
+function stubFetch(routes) {
+  globalThis.fetch = async (url) => {
+    const route = routes[url]
+    if (!route || route instanceof Error) throw route || new TypeError('fetch failed')
+    return route()
+  }
+}
+
+describe('loadAllEvents', () => {
+  test("source is 'api' when the shared store answers", async () => {
+    stubFetch({ '/api/events': () => json([{ id: 'cust_1', title: 'Submitted', status: 'approved' }]) })
+    const { events, source } = await loadAllEvents()
+    assert.equal(source, 'api')
+    assert.deepEqual(events.map(e => e.id), ['cust_1'])
+  })
+
+  test("source is 'file' when it fell back to the bundled events.json", async () => {
+    stubFetch({
+      '/api/events': new TypeError('fetch failed'),
+      '/events.json': () => json([{ id: 7, name: 'Seeded' }])
+    })
+    const { events, source } = await loadAllEvents()
+    assert.equal(source, 'file')
+    assert.deepEqual(events.map(e => e.id), [7])
+  })
+
+  test("an API error also falls back, as 'file'", async () => {
+    stubFetch({
+      '/api/events': () => json({ error: 'boom' }, 500),
+      '/events.json': () => json([{ id: 7, name: 'Seeded' }])
+    })
+    assert.equal((await loadAllEvents()).source, 'file')
+  })
+
+  test('source is null when nothing loaded; it never throws', async () => {
+    stubFetch({})
+    assert.deepEqual(await loadAllEvents(), { events: [], source: null })
+    assert.deepEqual(await getAllEventsMerged(), [])
+  })
+})
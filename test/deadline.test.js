@@ -0,0 +1,34 @@
+// test/deadline.test.js — date-only deadlines close at the end of the day in Vancouver whatever the host zone
+import { test, describe, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { deadlineDate, deadlineStatus } from '../src/lib/deadline.js'
+
+const HOST_ZONES = ['UTC', 'Asia/Tokyo', 'America/Vancouver']
+const originalTZ = process.env.TZ
+
+after(() => {
+  if (originalTZ === undefined) delete process.env.TZ
+  else process.env.TZ = originalTZ
+})
+
+for (const zone of HOST_ZONES) {
+  describe(`host TZ=${zone}`, () => {
+    test('a date closes at 23:59:59 Vancouver time', () => {
+      process.env.TZ = zone
+      assert.equal(deadlineDate({ deadline: '2025-11-01' }).toISOString(), '2025-11-02T06:59:59.000Z') // PDT
+      assert.equal(deadlineDate({ deadline: '2025-12-01' }).toISOString(), '2025-12-02T07:59:59.000Z') // PST
+    })
+
+    test('it is still open in the evening of that day in Vancouver', () => {
+      process.env.TZ = zone
+      const status = deadlineStatus({ deadline: '2025-12-01' }, Date.parse('2025-12-02T05:00:00Z')) // 9 pm Dec 1
+      assert.equal(status.closed, false)
+      assert.equal(status.label, 'Apply within 2h')
+    })
+  })
+}
+
+test('full timestamps are taken as given', () => {
+  assert.equal(deadlineDate({ deadline: '2025-12-01T12:00:00Z' }).toISOString(), '2025-12-01T12:00:00.000Z')
+  assert.equal(deadlineDate({ deadline: 'soon' }), null)
+})
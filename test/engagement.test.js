@@ -0,0 +1,103 @@
+// test/engagement.test.js — saves and calendar adds need an account; anonymous actors are capped per event
+import { test, describe, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+
+let server, base, dataDir, engagement
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ubc-engagement-test-'))
+  process.env.DATA_DIR = dataDir
+  process.env.AI_PROVIDER = 'heuristic'
+  process.env.REVIEWER_EMAILS = 'reviewer@ubc.ca'
+  const { app } = await import('../server/index.js')
+  engagement = await import('../server/engagement.js')
+  server = app.listen(0)
+  await new Promise(resolve => server.once('listening', resolve))
+  base = `http://127.0.0.1:${server.address().port}`
+})
+
+after(() => {
+  server?.close()
+  fs.rmSync(dataDir, { recursive: true, force: true })
+})
+
+async function api(method, url, { body, cookie } = {}) {
+  const headers = {}
+  if (body) headers['Content-Type'] = 'application/json'
+  if (cookie) headers.Cookie = cookie
+  const res = await fetch(base + url, { method, headers, body: body ? JSON.stringify(body) : undefined })
+  const data = res.status === 204 ? null : await res.json()
+  return { status: res.status, data, cookie: res.headers.get('set-cookie')?.split(';')[0] }
+}
+
+const register = async (email) => (await api('POST', '/api/account/register', { body: { email, password: 'password123' } })).cookie
+
+/* An approved event to engage with */
+async function approvedEvent(reviewer, title) {
+  const { data: evt } = await api('POST', '/api/events', { body: { title } })
+  await api('POST', `/api/events/${evt.id}/review`, { cookie: reviewer, body: { action: 'approve' } })
+  return evt
+}
+
+describe('POST /api/events/:id/engagement', () => {
+  let reviewer, student
+
+  before(async () => {
+    reviewer = await register('reviewer@ubc.ca')
+    student = await register('student@ubc.ca')
+  })
+
+  const track = (evt, kind, opts = {}) =>
+    api('POST', `/api/events/${evt.id}/engagement`, { ...opts, body: { kind, clientId: opts.clientId } })
+  const counts = async (evt) => (await api('GET', '/api/engagement')).data.events[evt.id]?.counts
+
+  test('saves and calendar adds need an account', async () => {
+    const evt = await approvedEvent(reviewer, 'Hackathon kickoff')
+    for (const kind of ['save', 'unsave', 'calendar']) {
+      assert.equal((await track(evt, kind, { clientId: 'c_anon' })).status, 401, kind)
+    }
+    assert.equal((await track(evt, 'save', { cookie: student })).status, 204)
+    assert.equal((await track(evt, 'calendar', { cookie: student })).status, 204)
+    assert.equal((await track(evt, 'open', { clientId: 'c_anon' })).status, 204)
+    assert.deepEqual(await counts(evt), { open: 1, save: 1, calendar: 1, share: 0 })
+  })
+
+  test('opens and shares without an account need a clientId', async () => {
+    const evt = await approvedEvent(reviewer, 'Poetry reading')
+    assert.equal((await track(evt, 'open')).status, 400)
+  })
+
+  test('a clientId cannot pass itself off as an account', async () => {
+    const evt = await approvedEvent(reviewer, 'Career fair')
+    const { data } = await api('GET', '/api/account', { cookie: student })
+    assert.equal((await track(evt, 'open', { clientId: data.user.id })).status, 204)
+    await track(evt, 'open', { cookie: student })
+    assert.equal((await counts(evt)).open, 2)
+  })
+})
+
+describe('recordEngagement', () => {
+  test('ignores saves and calendar adds from anonymous actors', () => {
+    assert.equal(engagement.recordEngagement('e1', 'anon:c_1', 'save'), false)
+    assert.equal(engagement.recordEngagement('e1', 'anon:c_1', 'calendar'), false)
+    assert.equal(engagement.recordEngagement('e1', 'anon:c_1', 'share'), true)
+    assert.deepEqual(engagement.engagementFor('e1').counts, { open: 0, save: 0, calendar: 0, share: 1 })
+  })
+
+  test('keeps at most MAX_ANONYMOUS_ACTORS per event, dropping the least recent', () => {
+    const { MAX_ANONYMOUS_ACTORS, recordEngagement, engagementFor } = engagement
+    const now = Date.now()
+    recordEngagement('e2', 'user_1', 'save', now)
+    for (let i = 0; i < MAX_ANONYMOUS_ACTORS + 50; i++) {
+      recordEngagement('e2', `anon:c_${i}`, 'open', now + i)
+    }
+    const { counts } = engagementFor('e2', now + MAX_ANONYMOUS_ACTORS + 50)
+    assert.equal(counts.open, MAX_ANONYMOUS_ACTORS)
+    assert.equal(counts.save, 1, 'accounts are never dropped')
+    // the oldest went first: a fresh open from c_0 counts again
+    assert.equal(recordEngagement('e2', 'anon:c_0', 'open', now + 1000), true)
+  })
+})
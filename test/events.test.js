@@ -0,0 +1,179 @@
+// test/events.test.js — the shared event store: reviewer-only moderation, edits to live events, ownership
+import { test, describe, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+
+let server, base, dataDir
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ubc-events-test-'))
+  process.env.DATA_DIR = dataDir
+  process.env.AI_PROVIDER = 'heuristic'
+  process.env.REVIEWER_EMAILS = 'reviewer@ubc.ca'
+  const { app } = await import('../server/index.js')
+  server = app.listen(0)
+  await new Promise(resolve => server.once('listening', resolve))
+  base = `http://127.0.0.1:${server.address().port}`
+})
+
+after(() => {
+  server?.close()
+  fs.rmSync(dataDir, { recursive: true, force: true })
+})
+
+async function api(method, url, { body, cookie, owner } = {}) {
+  const headers = {}
+  if (body) headers['Content-Type'] = 'application/json'
+  if (cookie) headers.Cookie = cookie
+  if (owner) headers['X-Owner-Token'] = owner
+  const res = await fetch(base + url, { method, headers, body: body ? JSON.stringify(body) : undefined })
+  const data = res.status === 204 ? null : await res.json()
+  return { status: res.status, data, cookie: res.headers.get('set-cookie')?.split(';')[0] }
+}
+
+const register = async (email) => (await api('POST', '/api/account/register', { body: { email, password: 'password123' } })).cookie
+
+describe('moderation', () => {
+  let reviewer, student
+
+  before(async () => {
+    reviewer = await register('reviewer@ubc.ca')
+    student = await register('student@ubc.ca')
+  })
+
+  test('accounts say whether they can review', async () => {
+    assert.equal((await api('GET', '/api/account', { cookie: reviewer })).data.user.reviewer, true)
+    assert.equal((await api('GET', '/api/account', { cookie: student })).data.user.reviewer, false)
+  })
+
+  test('the queue and review actions need a reviewer', async () => {
+    const { data: evt } = await api('POST', '/api/events', { body: { title: 'Board games night' } })
+    assert.equal((await api('GET', '/api/events?status=pending')).status, 401)
+    assert.equal((await api('GET', '/api/events?status=pending', { cookie: student })).status, 403)
+    assert.equal((await api('POST', `/api/events/${evt.id}/review`, { body: { action: 'approve' } })).status, 401)
+    assert.equal((await api('POST', `/api/events/${evt.id}/review`, { cookie: student, body: { action: 'approve' } })).status, 403)
+
+    const queue = await api('GET', '/api/events?status=pending', { cookie: reviewer })
+    assert.ok(queue.data.some(e => e.id === evt.id))
+    const review = await api('POST', `/api/events/${evt.id}/review`, { cookie: reviewer, body: { action: 'approve' } })
+    assert.equal(review.data.status, 'approved')
+  })
+
+  test('an edit to a live event waits for review and keeps the approved version public', async () => {
+    const { data: evt } = await api('POST', '/api/events', { body: { title: 'Hack Night' } })
+    await api('POST', `/api/events/${evt.id}/review`, { cookie: reviewer, body: { action: 'approve' } })
+
+    const edit = await api('PUT', `/api/events/${evt.id}`, { owner: evt.ownerToken, body: { title: 'Totally different event' } })
+    assert.equal(edit.status, 200)
+    assert.equal(edit.data.status, 'approved')
+    assert.equal(edit.data.title, 'Hack Night')
+    assert.equal(edit.data.pendingEdit, true)
+
+    const publicList = (await api('GET', '/api/events')).data
+    const live = publicList.find(e => e.id === evt.id)
+    assert.equal(live.title, 'Hack Night')
+    assert.equal(live.revision, undefined)
+
+    const queued = (await api('GET', '/api/events?status=pending', { cookie: reviewer })).data.find(e => e.id === evt.id)
+    assert.equal(queued.title, 'Totally different event')
+    assert.deepEqual(queued.editedFields, ['title'])
+
+    await api('POST', `/api/events/${evt.id}/review`, { cookie: reviewer, body: { action: 'reject', note: 'Not the same event' } })
+    const afterReject = (await api('GET', `/api/events/${evt.id}`)).data
+    assert.equal(afterReject.title, 'Hack Night')
+    assert.equal(afterReject.status, 'approved')
+    assert.equal(afterReject.pendingEdit, undefined)
+
+    await api('PUT', `/api/events/${evt.id}`, { owner: evt.ownerToken, body: { title: 'Hack Night (room change)' } })
+    await api('POST', `/api/events/${evt.id}/review`, { cookie: reviewer, body: { action: 'approve' } })
+    assert.equal((await api('GET', `/api/events/${evt.id}`)).data.title, 'Hack Night (room change)')
+  })
+
+  test('a submission under review is only visible to its submitter and reviewers', async () => {
+    const { data: evt } = await api('POST', '/api/events', { cookie: student, body: { title: 'Secret rave' } })
+    await api('POST', `/api/events/${evt.id}/review`, { cookie: reviewer, body: { action: 'reject', note: 'Not a campus event' } })
+    const url = `/api/events/${evt.id}`
+    assert.equal((await api('GET', url)).status, 404)
+    assert.equal((await api('GET', url, { owner: 'f'.repeat(48) })).status, 404)
+    assert.equal((await api('GET', url, { cookie: await register('nosy@ubc.ca') })).status, 404)
+    assert.equal((await api('GET', url, { cookie: student })).data.reviewNotes[0].note, 'Not a campus event')
+    assert.equal((await api('GET', url, { owner: evt.ownerToken })).data.status, 'rejected')
+    assert.equal((await api('GET', url, { cookie: reviewer })).status, 200)
+  })
+
+  test('fixing a submission that was sent back queues it again', async () => {
+    const { data: evt } = await api('POST', '/api/events', { body: { title: 'Talk' } })
+    await api('POST', `/api/events/${evt.id}/review`, { cookie: reviewer, body: { action: 'request-changes', note: 'Add a date' } })
+    const { data } = await api('PUT', `/api/events/${evt.id}`, { owner: evt.ownerToken, body: { start: '2030-01-10T18:00:00' } })
+    assert.equal(data.status, 'pending')
+  })
+})
+
+describe('ownership', () => {
+  let alice, bob
+
+  before(async () => {
+    alice = await register('alice@ubc.ca')
+    bob = await register('bob@ubc.ca')
+  })
+
+  test('POST returns an owner token once and never stores or lists it', async () => {
+    const { data: evt } = await api('POST', '/api/events', { body: { title: 'Pottery class' } })
+    assert.match(evt.ownerToken, /^[0-9a-f]{48}$/)
+    const again = (await api('GET', `/api/events/${evt.id}`, { owner: evt.ownerToken })).data
+    assert.equal(again.title, 'Pottery class')
+    assert.equal(again.ownerToken, undefined)
+    assert.equal(again.ownerTokenHash, undefined)
+  })
+
+  test('only the owner token can edit or delete an anonymous submission', async () => {
+    const { data: evt } = await api('POST', '/api/events', { body: { title: 'Open mic' } })
+    assert.equal((await api('PUT', `/api/events/${evt.id}`, { body: { title: 'Mine now' } })).status, 403)
+    assert.equal((await api('PUT', `/api/events/${evt.id}`, { owner: 'f'.repeat(48), body: { title: 'Mine now' } })).status, 403)
+    assert.equal((await api('DELETE', `/api/events/${evt.id}`, { cookie: alice })).status, 403)
+    assert.equal((await api('PUT', `/api/events/${evt.id}`, { owner: evt.ownerToken, body: { title: 'Open mic night' } })).data.title, 'Open mic night')
+    assert.equal((await api('DELETE', `/api/events/${evt.id}`, { owner: evt.ownerToken })).status, 204)
+  })
+
+  test('a signed-in submitter can use their account instead of the token', async () => {
+    const { data: evt } = await api('POST', '/api/events', { cookie: alice, body: { title: 'Chess club' } })
+    assert.equal((await api('PUT', `/api/events/${evt.id}`, { cookie: bob, body: { title: 'Bob was here' } })).status, 403)
+    assert.equal((await api('PUT', `/api/events/${evt.id}`, { cookie: alice, body: { title: 'Chess club (new room)' } })).status, 200)
+    assert.equal((await api('DELETE', `/api/events/${evt.id}`, { cookie: bob })).status, 403)
+    assert.equal((await api('DELETE', `/api/events/${evt.id}`, { cookie: alice })).status, 204)
+  })
+
+  test('clients cannot claim or move ownership', async () => {
+    const { data: evt } = await api('POST', '/api/events', { cookie: alice, body: { title: 'Yoga' } })
+    await api('PUT', `/api/events/${evt.id}`, { cookie: alice, body: { ownerId: 'someone-else', ownerTokenHash: 'x' } })
+    assert.equal((await api('PUT', `/api/events/${evt.id}`, { cookie: alice, body: { title: 'Yoga at noon' } })).status, 200)
+  })
+
+  test('clients cannot pick the id or fake bookkeeping fields', async () => {
+    const seeded = (await api('GET', '/api/events')).data[0]
+    const { data: evt } = await api('POST', '/api/events', {
+      body: {
+        title: 'Impostor',
+        id: seeded.id,
+        createdAt: '2000-01-01T00:00:00Z',
+        updatedAt: '2000-01-01T00:00:00Z',
+        pendingEdit: true,
+        editedFields: ['title']
+      }
+    })
+    assert.notEqual(evt.id, seeded.id)
+    assert.match(evt.id, /^cust_/)
+    assert.notEqual(evt.createdAt, '2000-01-01T00:00:00Z')
+    for (const field of ['updatedAt', 'pendingEdit', 'editedFields']) assert.equal(evt[field], undefined, field)
+    assert.equal((await api('GET', `/api/events/${seeded.id}`)).data.title, seeded.title)
+  })
+
+  test('seeded events have no submitter, so nobody can edit them', async () => {
+    const seeded = (await api('GET', '/api/events')).data.find(e => !String(e.id).startsWith('cust_'))
+    assert.ok(seeded, 'expected seeded events from public/events.json')
+    assert.equal((await api('PUT', `/api/events/${seeded.id}`, { cookie: alice, body: { title: 'x' } })).status, 403)
+    assert.equal((await api('DELETE', `/api/events/${seeded.id}`, { cookie: alice })).status, 403)
+  })
+})
@@ -0,0 +1,42 @@
+// test/notifications.test.js — missing saves are only "cancelled" when the event list is complete
+import { test, describe, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { checkReminders, getNotifications } from '../src/lib/notifications.js'
+
+/* Just enough of the browser for notifications.js and storage.js */
+function installBrowser() {
+  const store = new Map()
+  globalThis.localStorage = {
+    getItem: key => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: key => store.delete(key)
+  }
+  globalThis.window = new EventTarget()
+}
+
+const NOW = Date.parse('2030-03-01T12:00:00Z')
+const EVT = { id: 'cust_1', title: 'Robotics demo', start: '2030-03-20T01:00:00Z', location: 'ICICS' }
+
+describe('checkReminders', () => {
+  beforeEach(() => {
+    installBrowser()
+    localStorage.setItem('ubc:saves', JSON.stringify(['cust_1']))
+  })
+
+  test('no cancellation notice while the list is incomplete', async () => {
+    await checkReminders([EVT], { now: NOW }) // snapshot the saved event
+    const created = await checkReminders([], { now: NOW, complete: false })
+    assert.deepEqual(created, [])
+    assert.equal(getNotifications().length, 0)
+
+    // …and it isn't used up: once the full list confirms it's gone, it fires
+    const later = await checkReminders([], { now: NOW })
+    assert.deepEqual(later.map(n => n.kind), ['cancelled'])
+  })
+
+  test('an event that comes back after an incomplete load is not reported', async () => {
+    await checkReminders([EVT], { now: NOW })
+    await checkReminders([], { now: NOW, complete: false })
+    assert.deepEqual(await checkReminders([EVT], { now: NOW }), [])
+  })
+})
@@ -0,0 +1,75 @@
+// test/recurrence.test.js — series are worked out in Vancouver time whatever the host zone
+import { test, describe, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { toRRule, occurrences, expandEvent, nextOccurrence } from '../src/lib/recurrence.js'
+
+const HOST_ZONES = ['UTC', 'Asia/Tokyo', 'America/Vancouver']
+const originalTZ = process.env.TZ
+
+after(() => {
+  if (originalTZ === undefined) delete process.env.TZ
+  else process.env.TZ = originalTZ
+})
+
+// 6–8 pm on Sunday Oct 26 2025 in Vancouver (PDT); DST ends Nov 2
+const WEEKLY = {
+  id: 'w1',
+  start: '2025-10-27T01:00:00.000Z',
+  end: '2025-10-27T03:00:00.000Z',
+  recurrence: { freq: 'weekly', count: 4, exdates: ['2025-11-09'] }
+}
+
+for (const zone of HOST_ZONES) {
+  describe(`host TZ=${zone}`, () => {
+    test('UNTIL is the end of that day in Vancouver', () => {
+      process.env.TZ = zone
+      assert.equal(toRRule({ freq: 'weekly', until: '2025-12-01' }), 'FREQ=WEEKLY;INTERVAL=1;UNTIL=20251202T075959Z')
+    })
+
+    test('an occurrence on the UNTIL day is kept', () => {
+      process.env.TZ = zone
+      // 6 pm Mondays from Nov 3, until Dec 1 (the last one is 02:00Z on Dec 2)
+      const evt = { start: '2025-11-04T02:00:00.000Z', recurrence: { freq: 'weekly', until: '2025-12-01' } }
+      const starts = occurrences(evt).map(o => o.start)
+      assert.equal(starts.length, 5)
+      assert.equal(starts.at(-1), '2025-12-02T02:00:00.000Z')
+    })
+
+    test('weekly keeps the wall-clock time across DST and skips Vancouver exdates', () => {
+      process.env.TZ = zone
+      assert.deepEqual(occurrences(WEEKLY).map(o => o.start), [
+        '2025-10-27T01:00:00.000Z',
+        '2025-11-03T02:00:00.000Z', // 6 pm PST
+        '2025-11-17T02:00:00.000Z' // Nov 9 (Vancouver date) excluded
+      ])
+    })
+
+    test('monthly skips months without that day', () => {
+      process.env.TZ = zone
+      const evt = { start: '2026-02-01T02:00:00.000Z', recurrence: { freq: 'monthly', count: 3 } } // Jan 31, 6 pm
+      assert.deepEqual(occurrences(evt).map(o => o.start), [
+        '2026-02-01T02:00:00.000Z',
+        '2026-04-01T01:00:00.000Z', // Mar 31 (PDT)
+        '2026-06-01T01:00:00.000Z' // May 31
+      ])
+    })
+  })
+}
+
+describe('occurrence copies', () => {
+  test('walk their series, so COUNT still ends the series', () => {
+    const copies = expandEvent(WEEKLY, { from: '2025-11-01T00:00:00Z' })
+    assert.deepEqual(copies.map(c => c.start), ['2025-11-03T02:00:00.000Z', '2025-11-17T02:00:00.000Z'])
+    const [copy] = copies
+    assert.equal(copy.seriesStart, WEEKLY.start)
+    // from the copy's own date on, and no phantom dates past the 4th
+    assert.deepEqual(occurrences(copy).map(o => o.start), ['2025-11-03T02:00:00.000Z', '2025-11-17T02:00:00.000Z'])
+    assert.equal(nextOccurrence(copy, new Date('2025-11-20T00:00:00Z')), null)
+  })
+
+  test('keep the series duration', () => {
+    const [copy] = expandEvent(WEEKLY, { from: '2025-11-10T00:00:00Z' })
+    const [o] = occurrences(copy)
+    assert.equal(new Date(o.end) - new Date(o.start), 2 * 60 * 60 * 1000)
+  })
+})
@@ -0,0 +1,68 @@
+// test/searchAlerts.test.js — only events that weren't listed before count as new for a saved search
+import { test, describe, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { addSavedSearch, getSavedSearches } from '../src/lib/storage.js'
+import { alertBaseline, checkSearchAlerts, markSearchSeen } from '../src/lib/searchAlerts.js'
+
+/* Just enough of the browser for storage.js */
+function installBrowser() {
+  const store = new Map()
+  globalThis.localStorage = {
+    getItem: key => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: key => store.delete(key)
+  }
+  globalThis.window = new EventTarget()
+}
+
+const event = (id, price, extra = {}) => ({ id, title: `Event ${id}`, price, tags: [], start: '2099-05-01T18:00:00Z', ...extra })
+const newIds = () => getSavedSearches()[0].newIds
+
+describe('checkSearchAlerts', () => {
+  const A = event('a', 'Free')
+  const B = event('b', '$10')
+
+  beforeEach(() => {
+    installBrowser()
+    addSavedSearch('Free stuff', 'cost=free', { alerts: true, ...alertBaseline([A, B], 1000) })
+  })
+
+  test('an event listed before that starts matching is not new', () => {
+    assert.deepEqual(checkSearchAlerts([A, { ...B, price: 'Free' }], 2000), [])
+    assert.deepEqual(newIds(), [])
+  })
+
+  test('an event that was not listed before is new until the search is opened', () => {
+    const C = event('c', 'Free')
+    const [news] = checkSearchAlerts([A, B, C], 2000)
+    assert.deepEqual(news.newIds, ['c'])
+    // still new on the next run, even though it's known by then
+    assert.deepEqual(checkSearchAlerts([A, B, C], 3000)[0].newIds, ['c'])
+    markSearchSeen(getSavedSearches()[0].id)
+    assert.deepEqual(checkSearchAlerts([A, B, C], 4000), [])
+  })
+
+  test('a new event that stops matching before it is opened drops out', () => {
+    checkSearchAlerts([A, B, event('c', 'Free')], 2000)
+    assert.deepEqual(checkSearchAlerts([A, B, event('c', '$5')], 3000), [])
+  })
+
+  test('events missing from one run are not new when they come back', () => {
+    checkSearchAlerts([A], 2000) // e.g. the shared store was unreachable
+    assert.deepEqual(checkSearchAlerts([A, { ...B, price: 'Free' }], 3000), [])
+  })
+
+  test('an event created since the last run is new', () => {
+    const reposted = event('a', 'Free', { createdAt: new Date(2500).toISOString() })
+    assert.deepEqual(checkSearchAlerts([reposted, B], 3000)[0].newIds, ['a'])
+  })
+
+  test('a search saved before knownIds existed starts from what is listed now', () => {
+    installBrowser()
+    addSavedSearch('Old', 'cost=free', { alerts: true, seenIds: ['a'], newIds: [] })
+    assert.deepEqual(checkSearchAlerts([A, event('c', 'Free')], 2000), [])
+    const [entry] = getSavedSearches()
+    assert.equal(entry.seenIds, undefined)
+    assert.deepEqual(entry.knownIds, ['a', 'c'])
+  })
+})
@@ -0,0 +1,50 @@
+// test/subscriptions.test.js — calendar feed tokens that name Object.prototype keys are unknown
+import { test, describe, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+
+let server, base, dataDir
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ubc-subscriptions-test-'))
+  process.env.DATA_DIR = dataDir
+  process.env.AI_PROVIDER = 'heuristic'
+  const { app } = await import('../server/index.js')
+  server = app.listen(0)
+  await new Promise(resolve => server.once('listening', resolve))
+  base = `http://127.0.0.1:${server.address().port}`
+})
+
+after(() => {
+  server?.close()
+  fs.rmSync(dataDir, { recursive: true, force: true })
+})
+
+const put = (token, body) => fetch(`${base}/api/calendar/subscriptions/${token}`, {
+  method: 'PUT',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+})
+
+describe('calendar subscriptions', () => {
+  test('a real token works', async () => {
+    const res = await fetch(`${base}/api/calendar/subscriptions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ mode: 'saved', ids: [] })
+    })
+    const { token } = await res.json()
+    assert.equal((await put(token, { mode: 'saved', ids: ['1'] })).status, 200)
+    assert.equal((await fetch(`${base}/api/calendar/${token}.ics`)).status, 200)
+  })
+
+  for (const token of ['__proto__', 'constructor', 'toString', 'hasOwnProperty']) {
+    test(`"${token}" is an unknown feed`, async () => {
+      assert.equal((await fetch(`${base}/api/calendar/${token}.ics`)).status, 404)
+      assert.equal((await put(token, { mode: 'saved', ids: ['1'] })).status, 404)
+      assert.equal({}.mode, undefined) // nothing leaked onto Object.prototype
+    })
+  }
+})
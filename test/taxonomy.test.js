@@ -0,0 +1,27 @@
+// test/taxonomy.test.js — tag spellings normalize, but common words in free text don't suggest tags
+import { test, describe } from 'node:test'
+import assert from 'node:assert/strict'
+import { normalizeTags } from '../src/lib/taxonomy.js'
+import { suggestTags } from '../src/lib/ai.js'
+
+describe('suggestTags', () => {
+  test('times like "6 pm" produce no tags', () => {
+    assert.deepEqual(suggestTags('Join us Friday from 6:00 pm to 9 pm at the Nest.'), [])
+    assert.deepEqual(suggestTags('Doors open at 6 pm'), [])
+  })
+
+  test('common words alone produce no tags', () => {
+    const text = 'A talk and panel at the fair: bring your data, design and product ideas to the community challenge.'
+    assert.deepEqual(suggestTags(text), [])
+  })
+
+  test('still finds specific words', () => {
+    assert.deepEqual(suggestTags('A product management workshop on ux design'), ['ux/ui', 'product management', 'workshop'])
+  })
+})
+
+describe('normalizeTags', () => {
+  test('loose spellings still normalize when given as tags', () => {
+    assert.deepEqual(normalizeTags(['PM', 'talk', 'fair', 'data']), ['product management', 'info session', 'career fairs', 'data science', 'ai'])
+  })
+})